@@ -0,0 +1,65 @@
+'use strict';
+
+/**
+ * Run with `npm run benchmark`. Times the traversal methods on a wide
+ * tree and on a deeply nested tree.
+ */
+
+const Node = require('..');
+
+function wide(width, depth) {
+  const root = new Node({ type: 'root' });
+  const stack = [[root, 0]];
+  while (stack.length) {
+    const [parent, level] = stack.pop();
+    for (let i = 0; i < width; i++) {
+      const node = new Node('text', 'a');
+      parent.push(node);
+      if (level < depth) stack.push([node, level + 1]);
+    }
+  }
+  return root;
+}
+
+function deep(depth) {
+  const root = new Node({ type: 'root' });
+  let parent = root;
+  for (let i = 0; i < depth; i++) {
+    const node = new Node('brace', '{');
+    parent.push(node);
+    parent = node;
+  }
+  return root;
+}
+
+function bench(name, fn) {
+  fn();
+  const start = process.hrtime();
+  const runs = 5;
+  for (let i = 0; i < runs; i++) fn();
+  const [sec, ns] = process.hrtime(start);
+  const ms = (sec * 1e3 + ns / 1e6) / runs;
+  process.stdout.write('  ' + name.padEnd(24) + ' ' + ms.toFixed(2) + ' ms\n');
+}
+
+const trees = { 'wide (~100k nodes)': wide(5, 6), 'deep (100k levels)': deep(100000) };
+
+for (const name of Object.keys(trees)) {
+  const tree = trees[name];
+  let last = tree;
+  while (last.nodes && last.nodes.length) last = last.nodes[last.nodes.length - 1];
+
+  process.stdout.write(name + '\n');
+  bench('visit', () => tree.visit(() => {}));
+  bench('walk', () => tree.walk({ enter() {}, leave() {} }));
+  bench('stringify', () => tree.stringify());
+  bench('isEmpty', () => tree.isEmpty());
+  bench('clone', () => tree.clone());
+  bench('descendants', () => {
+    let count = 0;
+    for (const node of tree.descendants()) count += node.size;
+    return count;
+  });
+  bench('depth', () => last.depth);
+  bench('isInside', () => last.isInside('none'));
+}
@@ -1,5 +1,26 @@
 'use strict';
 
+const util = require('util');
+const asyncWalk = require('./lib/async');
+const builders = require('./lib/builders');
+const diff = require('./lib/diff');
+const events = require('./lib/events');
+const immutable = require('./lib/immutable');
+const inspect = require('./lib/inspect');
+const interop = require('./lib/interop');
+const json = require('./lib/json');
+const location = require('./lib/location');
+const match = require('./lib/match');
+const NodePath = require('./lib/path');
+const plugins = require('./lib/plugins');
+const printer = require('./lib/printer');
+const query = require('./lib/query');
+const registry = require('./lib/registry');
+const sexpr = require('./lib/sexpr');
+const sourceMap = require('./lib/source-map');
+const trivia = require('./lib/trivia');
+const types = require('./lib/types');
+
 /**
  * Create a new AST `Node` with the given `type` and `value`, or an
  * object to initialize with.
@@ -19,6 +40,11 @@
 
 class Node {
   constructor(type, value, clone) {
+    const Subclass = registry.resolve(new.target, isObject(type) ? type.type : type);
+    if (Subclass) {
+      return new Subclass(type, value, clone);
+    }
+
     define(this, 'isNode', true);
     define(this, 'parent', null);
     define(this, 'size', 0);
@@ -31,6 +57,10 @@ class Node {
         this.value = value;
       }
     }
+
+    if (this.constructor.strict === true) {
+      types.enforce(this.constructor, this);
+    }
   }
 
   /**
@@ -48,29 +78,203 @@ class Node {
    */
 
   clone() {
-    return new this.constructor(this, null, true);
+    return createNode(this, this, true);
+  }
+
+  /**
+   * Validate the node and its descendants against the node types that are
+   * registered with [Node.defineType](#defineType). Returns an array of
+   * violations, as `{ path, node, message }` objects, where `path` is the
+   * path from this node to the invalid node, like `nodes[1].nodes[0]`.
+   *
+   * ```js
+   * const errors = ast.validate();
+   * //=> [{ path: 'nodes[1]', node, message: 'unknown node type "brce"' }]
+   * ```
+   * @name .validate
+   * @return {Array}
+   * @api public
+   */
+
+  validate() {
+    return types.validate(this.constructor, this);
+  }
+
+  /**
+   * Returns true if the node and `other` have the same enumerable properties,
+   * and child nodes that are equal. Values are compared deeply.
+   *
+   * ```js
+   * const a = new Node({ type: 'star', value: '*', loc: { start: 0 } });
+   * const b = new Node({ type: 'star', value: '*', loc: { start: 2 } });
+   * console.log(a.equals(b)); //=> false
+   * console.log(a.equals(b, { ignore: ['loc'] })); //=> true
+   * ```
+   * @name .equals
+   * @param {Object} `other`
+   * @param {Object} `options` Pass `options.ignore` with an array of property names to skip.
+   * @return {Boolean}
+   * @api public
+   */
+
+  equals(other, options) {
+    return diff.equals(this, other, options);
   }
 
   /**
    * Return a string created from `node.value` and/or recursively
-   * visiting over `node.nodes`.
+   * visiting over `node.nodes`. Values that are `null` or `undefined`
+   * are skipped.
+   *
+   * Pass `options.sourceMap: true` to return an object with the string
+   * as `code`, and a v3 source map as `map`, with mappings from the
+   * `loc` of each node that produces output. The map uses `options.file`
+   * as the generated file name, `options.source` as the name of the source
+   * file (unless `node.loc.source` is defined), and `options.sourceContent`
+   * as the source string to embed in the map.
+   *
+   * Pass `options.trivia: true` to add the `leadingTrivia` and `trailingTrivia`
+   * of each node, and to print nodes that were not changed since
+   * [Node.attachTrivia](#attachTrivia) exactly as they were in the source.
+   * When both options are used, the trivia is added to `code`, and the map
+   * has mappings for the text of each node.
    *
    * ```js
    * const node = new Node({type: 'star', value: '*'});
    * consle.log(node.stringify());
    * //=> '*'
+   *
+   * const { code, map } = ast.stringify({ sourceMap: true, file: 'out.js', source: 'in.glob' });
+   * const str = ast.stringify({ trivia: true });
    * ```
    * @name .stringify
-   * @return {String}
+   * @param {Function} `fn` (optional) Function that returns the string for a node. Defaults to returning `node.value`.
+   * @param {Object} `options`
+   * @return {String|Object}
    * @api public
    */
 
-  stringify(fn = n => n.value) {
+  stringify(fn, options) {
+    if (isObject(fn)) {
+      options = fn;
+      fn = null;
+    }
+    if (typeof fn !== 'function') {
+      fn = n => n.value;
+    }
+    if (options && options.sourceMap === true) {
+      return sourceMap.stringify(this, fn, options, options.trivia === true ? trivia.print : undefined);
+    }
+    if (options && options.trivia === true) {
+      return trivia.stringify(this, fn);
+    }
     let str = '';
-    visit(this, n => (str += fn(n)));
+    for (const node of this) {
+      const value = fn(node);
+      if (value != null) str += value;
+    }
     return str;
   }
 
+  /**
+   * Return a plain object for serializing the node and its descendants,
+   * in a versioned format that can be converted back to a tree of nodes
+   * with [Node.fromJSON](#fromJSON). Enumerable properties are kept, in the
+   * order `type`, `value`, other properties sorted by name, then `nodes`.
+   * This method is called by `JSON.stringify`.
+   *
+   * ```js
+   * const node = new Node({ type: 'star', value: '*', loc });
+   * console.log(node.toJSON({ omit: ['loc'] }));
+   * //=> { version: 1, node: { type: 'star', value: '*' } }
+   * console.log(JSON.stringify(node));
+   * ```
+   * @name .toJSON
+   * @param {Object} `options` Pass `options.omit` with an array of property names to leave out.
+   * @return {Object}
+   * @api public
+   */
+
+  toJSON(options) {
+    return json.serialize(this, isObject(options) ? options : {});
+  }
+
+  /**
+   * Return a [unist](https://github.com/syntax-tree/unist) tree for the node
+   * and its descendants, for use with unified, remark and other unist tools.
+   * The `nodes` of each node are added as `children`, and the `loc` is added
+   * as `position`, where the `index` of each point is the `offset`. Other
+   * enumerable properties are copied, and the properties of `node.unist` are
+   * added to the unist node. Use [Node.fromUnist](#fromUnist) to convert it
+   * back.
+   *
+   * ```js
+   * const node = new Node({ type: 'paragraph', nodes: [{ type: 'text', value: 'a' }] });
+   * console.log(node.toUnist());
+   * //=> { type: 'paragraph', children: [{ type: 'text', value: 'a' }] }
+   * ```
+   * @name .toUnist
+   * @return {Object}
+   * @api public
+   */
+
+  toUnist() {
+    return interop.toUnist(this);
+  }
+
+  /**
+   * Return an [ESTree](https://github.com/estree/estree) tree for the node
+   * and its descendants. Each child node is set on the property of its
+   * parent that's named by its `field`, or is added to an array on that
+   * property when the name is listed on the `lists` of the parent. Child
+   * nodes without a `field` are added to a `nodes` array. The `loc` of each
+   * node is converted to ESTree's `loc`, where columns start at 0, and to
+   * `start` and `end` offsets. Use [Node.fromESTree](#fromESTree) to convert
+   * it back.
+   *
+   * ```js
+   * const ast = Node.fromESTree(acorn.parse('a + b', { locations: true }));
+   * console.log(ast.toESTree());
+   * ```
+   * @name .toESTree
+   * @param {Object} `options` Pass `options.range` to add `range` arrays with the `[start, end]` offsets of nodes.
+   * @return {Object}
+   * @api public
+   */
+
+  toESTree(options) {
+    return interop.toESTree(this, isObject(options) ? options : {});
+  }
+
+  /**
+   * Returns a string that draws the node and its descendants as an
+   * indented tree, with the type and value of each node. This method is
+   * also used by `console.log` and `util.inspect`.
+   *
+   * ```js
+   * console.log(ast.inspect());
+   * // root
+   * // ├─ text "a"
+   * // └─ brace
+   * //    └─ text "b"
+   * ```
+   * @name .inspect
+   * @param {Object} `options` Pass `options.depth` to limit the number of levels that are drawn, `options.showLoc` to add the `loc` of each node, and `options.colors` to add ANSI colors.
+   * @return {String}
+   * @api public
+   */
+
+  inspect(options) {
+    return inspect.tree(this, isObject(options) ? options : {});
+  }
+
+  [util.inspect.custom](depth, options) {
+    if (depth < 0) {
+      return options.stylize('[Node ' + this.type + ']', 'special');
+    }
+    return inspect.tree(this, { depth, colors: options.colors });
+  }
+
   /**
    * Push a child node onto the `node.nodes` array.
    *
@@ -79,6 +283,10 @@ class Node {
    * const bar = new Node({type: 'bar'});
    * foo.push(bar);
    * ```
+   * If the node has a `loc`, the `loc` of this node and its ancestors
+   * is widened to include it. If the node has a parent, it is removed
+   * from its parent first.
+   *
    * @name .push
    * @param {Object} `node`
    * @return {Number} Returns the length of `node.nodes`, like `Array.push`
@@ -86,17 +294,25 @@ class Node {
    */
 
   push(node) {
+    if (immutable.isImmutable(this)) return immutable.apply(this, 'push', [node]);
     if (!node) return;
     assert(isObject(node), 'expected node to be an object');
     assert(node !== this, 'node should not be the same as node.parent');
     if (!this.constructor.isNode(node)) {
-      node = new this.constructor(node);
+      node = createNode(this, node);
     }
+    if (this.constructor.strict === true) {
+      types.enforce(this.constructor, this, [node]);
+    }
+    detach(this, node);
     this.nodes = this.nodes || [];
     node.parent = this;
     ensureNodes(node);
     this.size++;
-    return this.nodes.push(node);
+    const len = this.nodes.push(node);
+    if (node.loc) location.widen(this, node.loc);
+    events.emit('insert', this, len - 1, node);
+    return len;
   }
 
   /**
@@ -108,6 +324,10 @@ class Node {
    * const bar = new Node({type: 'bar'});
    * foo.unshift(bar);
    * ```
+   * If the node has a `loc`, the `loc` of this node and its ancestors
+   * is widened to include it. If the node has a parent, it is removed
+   * from its parent first.
+   *
    * @name .unshift
    * @param {Object} `node`
    * @return {Number} Returns the length of `node.nodes`
@@ -115,17 +335,25 @@ class Node {
    */
 
   unshift(node) {
+    if (immutable.isImmutable(this)) return immutable.apply(this, 'unshift', [node]);
     if (!node) return;
     assert(isObject(node), 'expected node to be an object');
     assert(node !== this, 'node should not be the same as node.parent');
     if (!this.constructor.isNode(node)) {
-      node = new this.constructor(node);
+      node = createNode(this, node);
     }
+    if (this.constructor.strict === true) {
+      types.enforce(this.constructor, this, [node]);
+    }
+    detach(this, node);
     this.nodes = this.nodes || [];
     node.parent = this;
     ensureNodes(node);
     this.size++;
-    return this.nodes.unshift(node);
+    const len = this.nodes.unshift(node);
+    if (node.loc) location.widen(this, node.loc);
+    events.emit('insert', this, 0, node);
+    return len;
   }
 
   /**
@@ -149,9 +377,14 @@ class Node {
    */
 
   pop() {
+    if (immutable.isImmutable(this)) return immutable.apply(this, 'pop', []);
     if (this.nodes && this.nodes.length) {
       this.size--;
-      return this.nodes.pop();
+      const node = this.nodes.pop();
+      node.parent = null;
+      node.index = -1;
+      events.emit('remove', this, this.nodes.length, node);
+      return node;
     }
   }
 
@@ -176,9 +409,14 @@ class Node {
    */
 
   shift() {
+    if (immutable.isImmutable(this)) return immutable.apply(this, 'shift', []);
     if (this.nodes && this.nodes.length) {
       this.size--;
-      return this.nodes.shift();
+      const node = this.nodes.shift();
+      node.parent = null;
+      node.index = -1;
+      events.emit('remove', this, 0, node);
+      return node;
     }
   }
 
@@ -195,6 +433,7 @@ class Node {
    */
 
   remove(node) {
+    if (immutable.isImmutable(this)) return immutable.apply(this, 'remove', [node]);
     if (!this.nodes) return [];
     assert(this.constructor.isNode(node), 'expected an instance of Node');
     assert(node !== this, 'cannot remove a node from itself');
@@ -204,349 +443,1737 @@ class Node {
 
     if (idx !== -1) {
       this.size--;
-      return this.nodes.splice(idx, 1);
+      node.parent = null;
+      const removed = this.nodes.splice(idx, 1);
+      events.emit('remove', this, idx, node);
+      return removed;
     }
     return [];
   }
 
   /**
-   * Get the first child node from `node.nodes` that matches the given `type`.
-   * If `type` is a number, the child node at that index is returned.
+   * Remove the node from `node.parent.nodes`, so that it can be moved to
+   * another node or tree. Nodes are also detached automatically when they
+   * are added to another node.
    *
    * ```js
-   * const child = node.find(1); //<= index of the node to get
-   * const child = node.find('foo'); //<= node.type of a child node
-   * const child = node.find(/^(foo|bar)$/); //<= regex to match node.type
-   * const child = node.find(['foo', 'bar']); //<= array of node.type(s)
+   * const brace = ast.nodes[1].detach();
+   * console.log(brace.parent); //=> null
+   * other.push(brace);
    * ```
-   * @name .find
-   * @param {String} `type`
-   * @return {Object} Returns a child node or undefined.
+   * @name .detach
+   * @return {Object} Returns the node.
    * @api public
    */
 
-  find(type, n = 0) {
-    if (!Array.isArray(this.nodes) || this.nodes.length === 0) return null;
-    if (typeof type === 'number') return this.nodes[type];
-    for (let i = n; i < this.nodes.length; i++) {
-      const node = this.nodes[i];
-      if (isType(node, type)) {
-        return node;
-      }
+  detach() {
+    if (immutable.isImmutable(this)) {
+      return this.parent ? this.parent.remove(this) : this;
     }
-  }
-
-  visit(fn) {
-    return visit(this, fn);
+    if (this.parent) {
+      this.parent.remove(this);
+      this.parent = null;
+    }
+    return this;
   }
 
   /**
-   * Returns true if `node.nodes` array contains the given `node`.
+   * Remove `deleteCount` nodes from `node.nodes`, starting at `start`, and
+   * insert the given `nodes` in their place, like `Array.splice`. The `parent`
+   * of removed nodes is set to `null`, and `size` and the index of each
+   * node are kept up to date. Plain objects are converted to nodes. An error
+   * is thrown when a node would be inserted into itself or a descendant.
    *
    * ```js
-   * const foo = new Node({type: 'foo'});
-   * const bar = new Node({type: 'bar'});
-   * cosole.log(foo.has(bar)); // false
-   * foo.push(bar);
-   * cosole.log(foo.has(bar)); // true
+   * const removed = node.splice(1, 1, new Node('text', 'a'), new Node('text', 'b'));
    * ```
-   * @name .has
-   * @param {String} `type`
-   * @return {Boolean}
+   * @name .splice
+   * @param {Number} `start` The index to start at. Negative values count from the end.
+   * @param {Number} `deleteCount` The number of nodes to remove. All nodes from `start` are removed when not defined.
+   * @param {Object} `nodes` Nodes to insert.
+   * @return {Array} Returns the removed nodes.
    * @api public
    */
 
-  has(node) {
-    if (this.constructor.isNode(node)) {
-      return Array.isArray(this.nodes) && this.nodes.includes(node);
+  splice(start, deleteCount, ...nodes) {
+    if (immutable.isImmutable(this)) return immutable.apply(this, 'splice', [start, deleteCount, ...nodes]);
+    assert(Number.isInteger(start), 'expected start to be an integer');
+
+    nodes = nodes.map((node, i) => {
+      assert(isObject(node), 'expected node to be an object');
+      assert(nodes.indexOf(node) === i, 'cannot insert the same node more than once');
+      return this.constructor.isNode(node) ? node : createNode(this, node);
+    });
+
+    if (this.constructor.strict === true && nodes.length) {
+      types.enforce(this.constructor, this, nodes);
     }
-    return this.hasType(node);
+
+    this.nodes = this.nodes || [];
+    const len = this.nodes.length;
+    start = start < 0 ? Math.max(len + start, 0) : Math.min(start, len);
+    if (deleteCount === undefined) deleteCount = len - start;
+
+    // nodes that are moved from before `start` on this node shift the range
+    const deleted = this.nodes.slice(start, start + Math.max(deleteCount, 0));
+    for (const node of nodes) {
+      if (deleted.includes(node)) continue;
+      if (node.parent === this && node.index < start) start--;
+      detach(this, node);
+    }
+
+    const removed = this.nodes.splice(start, deleted.length, ...nodes);
+    for (const node of removed) {
+      node.parent = null;
+      node.index = -1;
+    }
+
+    nodes.forEach((node, i) => {
+      node.parent = this;
+      node.index = start + i;
+      ensureNodes(node);
+      if (node.loc) location.widen(this, node.loc);
+    });
+
+    this.size = this.nodes.length;
+
+    if (events.active(this)) {
+      for (let i = 0; i < Math.max(removed.length, nodes.length); i++) {
+        if (i < removed.length && i < nodes.length) {
+          events.emit('replace', this, start + i, nodes[i], removed[i]);
+        } else if (i < removed.length) {
+          events.emit('remove', this, start + i, removed[i]);
+        } else {
+          events.emit('insert', this, start + i, nodes[i]);
+        }
+      }
+    }
+    return removed;
   }
 
   /**
-   * Return true if the `node.nodes` has the given `type`.
+   * Insert `node` before this node on `node.parent.nodes`.
    *
    * ```js
-   * const foo = new Node({type: 'foo'});
-   * const bar = new Node({type: 'bar'});
-   * foo.push(bar);
-   *
-   * cosole.log(foo.hasType('qux'));          // false
-   * cosole.log(foo.hasType(/^(qux|bar)$/));  // true
-   * cosole.log(foo.hasType(['qux', 'bar'])); // true
+   * const comma = new Node('comma', ',');
+   * ast.nodes[1].insertBefore(comma);
+   * console.log(comma.index); //=> 1
    * ```
-   * @name .hasType
-   * @param {String} `type`
-   * @return {Boolean}
+   * @name .insertBefore
+   * @param {Object} `node`
+   * @return {Object} Returns the inserted node.
    * @api public
    */
 
-  hasType(type) {
-    return Array.isArray(this.nodes) && this.nodes.find(node => isType(node, type));
+  insertBefore(node) {
+    assert(this.parent !== null, 'expected node to have a parent');
+    const res = this.parent.splice(this.index, 0, node);
+    return immutable.isImmutable(this) ? res : this.parent.nodes[this.index - 1];
   }
 
   /**
-   * Return true if the node is the given `type`.
+   * Insert `node` after this node on `node.parent.nodes`.
    *
    * ```js
-   * const node = new Node({type: 'bar'});
-   * cosole.log(node.isType('foo'));          // false
-   * cosole.log(node.isType(/^(foo|bar)$/));  // true
-   * cosole.log(node.isType(['foo', 'bar'])); // true
+   * const comma = new Node('comma', ',');
+   * ast.nodes[1].insertAfter(comma);
+   * console.log(comma.index); //=> 2
    * ```
-   * @name .isType
-   * @param {String} `type`
-   * @return {Boolean}
+   * @name .insertAfter
+   * @param {Object} `node`
+   * @return {Object} Returns the inserted node.
    * @api public
    */
 
-  isType(type) {
-    return isType(this, type);
+  insertAfter(node) {
+    assert(this.parent !== null, 'expected node to have a parent');
+    const res = this.parent.splice(this.index + 1, 0, node);
+    return immutable.isImmutable(this) ? res : this.parent.nodes[this.index + 1];
   }
 
   /**
-   * Returns true if `node.value` is an empty string, or `node.nodes` does
-   * not contain any non-empty text nodes.
+   * Replace this node on `node.parent.nodes` with the given nodes. If no
+   * nodes are given, the node is removed.
    *
    * ```js
-   * const node = new Node({type: 'text'});
-   * node.isEmpty(); //=> true
-   * node.value = 'foo';
-   * node.isEmpty(); //=> false
+   * node.replaceWith(new Node('text', 'a'), new Node('text', 'b'));
+   * console.log(node.parent); //=> null
    * ```
-   * @name .isEmpty
-   * @param {Function} `fn` (optional) Filter function that is called on `node` and/or child nodes. `isEmpty` will return false immediately when the filter function returns false on any nodes.
-   * @return {Boolean}
+   * @name .replaceWith
+   * @param {Object} `nodes`
+   * @return {Object} Returns the replaced node.
    * @api public
    */
 
-  isEmpty(fn) {
-    return isEmpty(this, fn);
+  replaceWith(...nodes) {
+    assert(this.parent !== null, 'expected node to have a parent');
+    const res = this.parent.splice(this.index, 1, ...nodes);
+    return immutable.isImmutable(this) ? res : res[0];
   }
 
   /**
-   * Returns true if the node has an ancestor node of the given `type`
+   * Wrap this node in a new node of the given `type`, which takes the
+   * place of this node on `node.parent.nodes`.
    *
    * ```js
-   * const box = new Node({type: 'box'});
-   * const marble = new Node({type: 'marble'});
-   * box.push(marble);
-   * marble.isInside('box'); //=> true
+   * const text = ast.nodes[0];
+   * const paren = text.wrap('paren');
+   * console.log(text.parent === paren); //=> true
+   * console.log(paren.index); //=> 0
    * ```
-   * @name .isInside
-   * @param {String} `type`
-   * @return {Boolean}
+   * @name .wrap
+   * @param {String|Object} `type` The type of the new node, an object to create it from, or a node.
+   * @return {Object} Returns the new node.
    * @api public
    */
 
-  isInside(type) {
-    return this.parent && (this.parent.type === type || this.parent.isInside(type));
+  wrap(type) {
+    const wrapper = this.constructor.isNode(type) ? type : createNode(this, type);
+
+    if (immutable.isImmutable(this)) {
+      wrapper.push(this.clone());
+      return this.parent ? this.replaceWith(wrapper) : immutable.create(wrapper);
+    }
+
+    if (this.parent) this.replaceWith(wrapper);
+    wrapper.push(this);
+    return wrapper;
   }
 
   /**
-   * Get the siblings array, or `null` if it doesn't exist.
+   * Replace this node on `node.parent.nodes` with its child nodes.
    *
    * ```js
-   * const foo = new Node({type: 'foo'});
-   * const bar = new Node({type: 'bar'});
-   * const baz = new Node({type: 'baz'});
-   * foo.push(bar);
-   * foo.push(baz);
-   *
-   * console.log(bar.siblings.length) // 2
-   * console.log(baz.siblings.length) // 2
+   * // paren(text, text)
+   * ast.nodes[0].unwrap();
+   * console.log(ast.nodes.map(n => n.type)); //=> ['text', 'text']
    * ```
-   * @getter
-   * @name .siblings
-   * @return {Array}
+   * @name .unwrap
+   * @return {Array} Returns the child nodes that were moved.
    * @api public
    */
 
-  get siblings() {
-    return this.parent ? this.parent.nodes : null;
+  unwrap() {
+    assert(this.parent !== null, 'expected node to have a parent');
+    const nodes = this.nodes ? this.nodes.slice() : [];
+    const res = this.replaceWith(...nodes);
+    return immutable.isImmutable(this) ? res : nodes;
   }
 
   /**
-   * Calculate the node's current index on `node.parent.nodes`, or `-1` if the
-   * node does not have a parent, or is not on `node.parent.nodes`.
+   * Add a listener for mutation events of the given `type` on this node or
+   * its descendants. Events are emitted by all methods that add, remove or
+   * replace child nodes, and have the following properties:
    *
-   * ```js
-   * const foo = new Node({type: 'foo'});
-   * const bar = new Node({type: 'bar'});
-   * const baz = new Node({type: 'baz'});
-   * const qux = new Node({type: 'qux'});
-   * foo.push(bar);
-   * foo.push(baz);
-   * foo.unshift(qux);
+   * - `type` - `insert`, `remove`, `replace` or `set`
+   * - `parent` - the node whose child nodes changed
+   * - `index` - the index of the node after it was inserted, or before it was removed
+   * - `node` - the node that was inserted, removed or replaced, or that had a property set
+   * - `previous` - the replaced node, or the previous value of a property
+   * - `key` and `value` - the property that was set, and its new value
    *
-   * console.log(bar.index) // 1
-   * console.log(baz.index) // 2
-   * console.log(qux.index) // 0
+   * Listeners are called on the node the event happened on, then on each
+   * of its ancestors. Listeners of type `change` are called for every event.
+   * Events of type `set` are only emitted by trees that are observed with
+   * [Node.observe](#observe).
+   *
+   * ```js
+   * ast.on('insert', event => index.add(event.node));
+   * ast.on('remove', event => index.delete(event.node));
    * ```
-   * @setter
-   * @getter
-   * @name .index
-   * @return {Number}
+   * @name .on
+   * @param {String} `type`
+   * @param {Function} `fn`
+   * @return {Object} Returns the node, for chaining.
    * @api public
    */
 
-  set index(index) {
-    define(this, '_index', index);
-  }
-  get index() {
-    if (!Array.isArray(this.siblings)) {
-      return -1;
-    }
-    if (this._index === -1 || this.siblings[this._index] !== this) {
-      define(this, '_index', this.siblings.indexOf(this));
-    }
-    return this._index;
+  on(type, fn) {
+    assert(typeof type === 'string', 'expected type to be a string');
+    assert(typeof fn === 'function', 'expected listener to be a function');
+    events.on(this, type, fn);
+    return this;
   }
 
   /**
-   * Get the previous node from the [siblings](#siblings) array or `null`.
+   * Remove a listener that was added with [.on](#on), or all listeners
+   * of the given `type` when no listener is given.
    *
    * ```js
-   * const foo = new Node({type: 'foo'});
-   * const bar = new Node({type: 'bar'});
-   * const baz = new Node({type: 'baz'});
-   * foo.push(bar);
-   * foo.push(baz);
-   *
-   * console.log(baz.prev.type) // 'bar'
+   * ast.off('insert', fn);
    * ```
-   * @getter
-   * @name .prev
-   * @return {Object}
+   * @name .off
+   * @param {String} `type`
+   * @param {Function} `fn`
+   * @return {Object} Returns the node, for chaining.
    * @api public
    */
 
-  get prev() {
-    if (Array.isArray(this.siblings)) {
-      return this.siblings[this.index - 1] || this.parent.prev;
-    }
-    return null;
+  off(type, fn) {
+    events.off(this, type, fn);
+    return this;
   }
 
   /**
-   * Get the next element from the [siblings](#siblings) array, or `null` if
-   * a next node does not exist.
+   * Add a listener for all mutation events on this node or its descendants.
+   * Returns a function that removes the listener.
    *
    * ```js
-   * const parent = new Node({type: 'root'});
-   * const foo = new Node({type: 'foo'});
-   * const bar = new Node({type: 'bar'});
-   * const baz = new Node({type: 'baz'});
-   * parent.push(foo);
-   * parent.push(bar);
-   * parent.push(baz);
-   *
-   * console.log(foo.next.type) // 'bar'
-   * console.log(bar.next.type) // 'baz'
+   * const unsubscribe = ast.onChange(event => console.log(event.type));
+   * ast.push(new Node('text', 'a')); //=> 'insert'
+   * unsubscribe();
    * ```
-   * @getter
-   * @name .next
-   * @return {Object}
+   * @name .onChange
+   * @param {Function} `fn`
+   * @return {Function}
    * @api public
    */
 
-  get next() {
-    if (Array.isArray(this.siblings)) {
-      return this.siblings[this.index + 1] || this.parent.next;
-    }
-    return null;
+  onChange(fn) {
+    this.on('change', fn);
+    return () => this.off('change', fn);
+  }
+
+  /**
+   * Apply a plugin to this node only, and return the node. Plugins are
+   * the same as for [Node.use](#use), except that methods and getters are
+   * added to the node, visitors are only called on walks that start at the
+   * node, and types cannot be defined. A plugin that was already applied
+   * to the node or its class is not applied again.
+   *
+   * ```js
+   * node.use({
+   *   name: 'debug',
+   *   methods: {
+   *     debug() {
+   *       return this.inspect({ showLoc: true });
+   *     }
+   *   }
+   * });
+   * ```
+   * @name .use
+   * @param {Function|Object} `plugin`
+   * @return {Object} Returns the node.
+   * @api public
+   */
+
+  use(plugin) {
+    plugins.use(this, plugin);
+    return this;
+  }
+
+  /**
+   * Get the first child node from `node.nodes` that matches the given `type`.
+   * If `type` is a number, the child node at that index is returned.
+   *
+   * ```js
+   * const child = node.find(1); //<= index of the node to get
+   * const child = node.find('foo'); //<= node.type of a child node
+   * const child = node.find(/^(foo|bar)$/); //<= regex to match node.type
+   * const child = node.find(['foo', 'bar']); //<= array of node.type(s)
+   * ```
+   * @name .find
+   * @param {String} `type`
+   * @return {Object} Returns a child node or undefined.
+   * @api public
+   */
+
+  find(type, n = 0) {
+    if (!Array.isArray(this.nodes) || this.nodes.length === 0) return null;
+    if (typeof type === 'number') return this.nodes[type];
+    for (let i = n; i < this.nodes.length; i++) {
+      const node = this.nodes[i];
+      if (isType(node, type)) {
+        return node;
+      }
+    }
+  }
+
+  /**
+   * Get the first descendant node that matches the given CSS-like `selector`,
+   * or `null`. Selectors support the following:
+   *
+   * - types: `text`, or `*` for any type
+   * - attributes: `[value]`, `[value="*"]`, and the `!=`, `^=`, `$=`, `*=`
+   *   and `~=` operators. Attribute names may be dot-separated paths.
+   * - combinators: descendant (`a b`), child (`a > b`), adjacent
+   *   sibling (`a + b`) and general sibling (`a ~ b`)
+   * - pseudo-classes: `:first-child`, `:last-child`, `:only-child`,
+   *   `:nth-child(an+b)`, `:nth-last-child(an+b)`, `:empty`, `:root`,
+   *   `:scope`, `:is(...)`, `:not(...)` and `:has(...)`
+   * - selector lists separated by commas
+   *
+   * ```js
+   * const star = ast.query('paren star[value="*"]');
+   * const brace = ast.query('brace:has(> comma)');
+   * ```
+   * @name .query
+   * @param {String} `selector`
+   * @return {Object} Returns a descendant node or `null`.
+   * @api public
+   */
+
+  query(selector) {
+    return query.query(this, selector);
+  }
+
+  /**
+   * Get all descendant nodes that match the given `selector`, in the order
+   * they appear in the tree. See [.query](#query) for the supported syntax.
+   *
+   * ```js
+   * const nodes = ast.queryAll('brace > text:first-child');
+   * ```
+   * @name .queryAll
+   * @param {String} `selector`
+   * @return {Array} Returns an array of nodes.
+   * @api public
+   */
+
+  queryAll(selector) {
+    return query.queryAll(this, selector);
+  }
+
+  /**
+   * Returns true if the node matches the given `selector`. See
+   * [.query](#query) for the supported syntax.
+   *
+   * ```js
+   * const node = ast.query('text');
+   * console.log(node.matches('brace > text')); //=> true
+   * ```
+   * @name .matches
+   * @param {String} `selector`
+   * @return {Boolean}
+   * @api public
+   */
+
+  matches(selector) {
+    return query.matches(this, selector);
+  }
+
+  /**
+   * Call `fn` on the node and each of its descendants, depth-first and
+   * in pre-order. `fn` receives the node and its path, like [.walk](#walk).
+   *
+   * Instead of a function, an object may be passed that maps node types
+   * to functions, or to `{ enter, leave }` objects. Keys follow the same
+   * rules as [.isType](#isType): a type, a list of types separated by `|`,
+   * or a regex like `'/^(foo|bar)$/'`. The `*` key is called on nodes that
+   * don't match any other key. The same maps may be passed to [.walk](#walk).
+   *
+   * ```js
+   * const types = [];
+   * node.visit(n => types.push(n.type));
+   *
+   * node.visit({
+   *   star(node) {},
+   *   'text|slash': { enter(node) {}, leave(node) {} },
+   *   '*'(node) {}
+   * });
+   * ```
+   * @name .visit
+   * @param {Function|Object} `fn`
+   * @return {Object} Returns the node, or the node that replaced it.
+   * @api public
+   */
+
+  visit(fn) {
+    return walk(this, typeof fn === 'function' ? { enter: fn } : fn);
+  }
+
+  /**
+   * Walk the node and its descendants depth-first, calling `visitor.enter`
+   * before a node's children are visited and `visitor.leave` after. Both
+   * functions are called with the node and its path. Each node has a single
+   * path object, with the following properties and methods:
+   *
+   * - `path.node` - the current node
+   * - `path.parent` and `path.parentPath` - the parent node and its path
+   * - `path.key` and `path.listKey` - the index of the node on `parent.nodes`, and `'nodes'`, or `null` for the root
+   * - `path.ancestors()` - the paths of the ancestors, starting with the parent
+   * - `path.getPathString()` - the location of the node, like `nodes[2].nodes[0]`
+   * - `path.scope` - a store with `get`, `set` and `has` methods, for values that are shared with descendants during the walk
+   * - `path.skip()` - don't visit the children of the current node
+   * - `path.stop()` - stop the walk, no other callbacks are called
+   * - `path.replace(node)` - replace the current node on `parent.nodes`
+   * - `path.replaceWith(...nodes)` - replace the current node with one or more nodes
+   * - `path.insertBefore(node)` and `path.insertAfter(node)` - insert a sibling node
+   * - `path.remove()` - remove the current node from `parent.nodes`
+   *
+   * When a node is replaced in `enter`, the children of the replacement
+   * are visited next. `leave` is still called on skipped nodes.
+   *
+   * ```js
+   * ast.walk({
+   *   enter(node, path) {
+   *     if (node.type === 'comment') path.remove();
+   *     if (node.type === 'paren') path.skip();
+   *   },
+   *   leave(node, path) {
+   *     if (node.type === 'star') path.replace({ type: 'globstar', value: '**' });
+   *   }
+   * });
+   * ```
+   * @name .walk
+   * @param {Object|Function} `visitor` Object with `enter` and/or `leave` functions, or a function to use as `enter`.
+   * @return {Object} Returns the node, the node that replaced it, or `null` if the node was removed.
+   * @api public
+   */
+
+  walk(visitor) {
+    return walk(this, visitor);
+  }
+
+  /**
+   * Like [.visit](#visit), but `fn` may return a promise, which is awaited
+   * before the walk continues. Returns a promise. See [.walkAsync](#walkAsync)
+   * for the supported options.
+   *
+   * ```js
+   * await ast.visitAsync(async(node, path) => {
+   *   if (node.type === 'include') path.replace(await load(node.value));
+   * });
+   * ```
+   * @name .visitAsync
+   * @param {Function|Object} `fn`
+   * @param {Object} `options`
+   * @return {Promise}
+   * @api public
+   */
+
+  async visitAsync(fn, options) {
+    return this.walkAsync(typeof fn === 'function' ? { enter: fn } : fn, options);
+  }
+
+  /**
+   * Like [.walk](#walk), but `visitor.enter` and `visitor.leave` may return
+   * promises, which are awaited before the walk continues. Returns a promise
+   * for the node, the node that replaced it, or `null` if it was removed.
+   *
+   * - `options.concurrency` - the number of child subtrees of a node that
+   *   may be walked at the same time. Defaults to `1`, which visits nodes in
+   *   the same order as [.walk](#walk). With higher values, the children of
+   *   a node are taken from a copy of `node.nodes`, and children that are
+   *   removed or moved while callbacks are pending are skipped.
+   * - `options.signal` - an `AbortSignal`. The promise is rejected when the
+   *   signal is aborted, before the next callback is called.
+   *
+   * ```js
+   * const controller = new AbortController();
+   * await ast.walkAsync({ async enter(node, path) {} }, { concurrency: 4, signal: controller.signal });
+   * ```
+   * @name .walkAsync
+   * @param {Object|Function} `visitor`
+   * @param {Object} `options`
+   * @return {Promise}
+   * @api public
+   */
+
+  async walkAsync(visitor, options) {
+    return asyncWalk.walk(this, withPlugins(this, visitor), options || {});
+  }
+
+  /**
+   * Like [.stringify](#stringify), but `fn` may return a promise. Supports
+   * the `concurrency` and `signal` options of [.walkAsync](#walkAsync).
+   * Strings are joined in the order of the nodes in the tree.
+   *
+   * ```js
+   * const str = await ast.stringifyAsync(async node => {
+   *   return node.type === 'partial' ? await render(node.value) : node.value;
+   * }, { concurrency: 8 });
+   * ```
+   * @name .stringifyAsync
+   * @param {Function} `fn` (optional) Function that returns the string for a node, or a promise. Defaults to returning `node.value`.
+   * @param {Object} `options`
+   * @return {Promise}
+   * @api public
+   */
+
+  async stringifyAsync(fn, options) {
+    if (isObject(fn)) {
+      options = fn;
+      fn = null;
+    }
+    if (typeof fn !== 'function') {
+      fn = n => n.value;
+    }
+    return asyncWalk.stringify(this, fn, options || {});
+  }
+
+  /**
+   * Returns an iterator over the descendants of the node, which are found
+   * lazily as the iterator advances. Pass `options.order` to iterate in
+   * pre-order (the default), post-order or breadth-first order with `'bfs'`.
+   *
+   * ```js
+   * for (const node of ast.descendants({ order: 'post' })) {
+   *   if (node.type === 'star') break;
+   * }
+   * ```
+   * @name .descendants
+   * @param {Object} `options`
+   * @return {Iterator}
+   * @api public
+   */
+
+  descendants(options) {
+    const order = (options && options.order) || 'pre';
+    assert(['pre', 'post', 'bfs'].includes(order), 'expected order to be "pre", "post" or "bfs"');
+    return descendants(this, order);
+  }
+
+  /**
+   * Returns an iterator over the ancestors of the node, starting with
+   * the parent.
+   *
+   * ```js
+   * const types = [...node.ancestors()].map(n => n.type);
+   * ```
+   * @name .ancestors
+   * @return {Iterator}
+   * @api public
+   */
+
+  * ancestors() {
+    for (let node = this.parent; node; node = node.parent) {
+      yield node;
+    }
+  }
+
+  /**
+   * Returns an iterator over the nodes in the subtree that don't have
+   * child nodes, in pre-order.
+   *
+   * ```js
+   * const values = [...ast.leaves()].map(n => n.value);
+   * ```
+   * @name .leaves
+   * @return {Iterator}
+   * @api public
+   */
+
+  * leaves() {
+    for (const node of this) {
+      if (!Array.isArray(node.nodes) || node.nodes.length === 0) {
+        yield node;
+      }
+    }
+  }
+
+  /**
+   * Returns an iterator over the siblings after the node, starting with
+   * the next sibling.
+   *
+   * ```js
+   * for (const sibling of node.followingSiblings()) {}
+   * ```
+   * @name .followingSiblings
+   * @return {Iterator}
+   * @api public
+   */
+
+  * followingSiblings() {
+    const siblings = this.siblings;
+    if (!Array.isArray(siblings)) return;
+    for (let i = this.index + 1; i > 0 && i < siblings.length; i++) {
+      yield siblings[i];
+    }
+  }
+
+  /**
+   * Returns an iterator over the siblings before the node, starting with
+   * the previous sibling.
+   *
+   * ```js
+   * for (const sibling of node.precedingSiblings()) {}
+   * ```
+   * @name .precedingSiblings
+   * @return {Iterator}
+   * @api public
+   */
+
+  * precedingSiblings() {
+    const siblings = this.siblings;
+    if (!Array.isArray(siblings)) return;
+    for (let i = this.index - 1; i >= 0; i--) {
+      yield siblings[i];
+    }
+  }
+
+  /**
+   * Iterate over the node and its descendants in pre-order.
+   *
+   * ```js
+   * for (const node of ast) {
+   *   console.log(node.type);
+   * }
+   * ```
+   * @name [Symbol.iterator]
+   * @return {Iterator}
+   * @api public
+   */
+
+  * [Symbol.iterator]() {
+    yield this;
+    yield* descendants(this, 'pre');
+  }
+
+  /**
+   * Returns true if `node.nodes` array contains the given `node`.
+   *
+   * ```js
+   * const foo = new Node({type: 'foo'});
+   * const bar = new Node({type: 'bar'});
+   * cosole.log(foo.has(bar)); // false
+   * foo.push(bar);
+   * cosole.log(foo.has(bar)); // true
+   * ```
+   * @name .has
+   * @param {String} `type`
+   * @return {Boolean}
+   * @api public
+   */
+
+  has(node) {
+    if (this.constructor.isNode(node)) {
+      return Array.isArray(this.nodes) && this.nodes.includes(node);
+    }
+    return this.hasType(node);
+  }
+
+  /**
+   * Return true if the `node.nodes` has the given `type`.
+   *
+   * ```js
+   * const foo = new Node({type: 'foo'});
+   * const bar = new Node({type: 'bar'});
+   * foo.push(bar);
+   *
+   * cosole.log(foo.hasType('qux'));          // false
+   * cosole.log(foo.hasType(/^(qux|bar)$/));  // true
+   * cosole.log(foo.hasType(['qux', 'bar'])); // true
+   * ```
+   * @name .hasType
+   * @param {String} `type`
+   * @return {Boolean}
+   * @api public
+   */
+
+  hasType(type) {
+    return Array.isArray(this.nodes) && this.nodes.find(node => isType(node, type));
+  }
+
+  /**
+   * Return true if the node is the given `type`.
+   *
+   * ```js
+   * const node = new Node({type: 'bar'});
+   * cosole.log(node.isType('foo'));          // false
+   * cosole.log(node.isType(/^(foo|bar)$/));  // true
+   * cosole.log(node.isType(['foo', 'bar'])); // true
+   * ```
+   * @name .isType
+   * @param {String} `type`
+   * @return {Boolean}
+   * @api public
+   */
+
+  isType(type) {
+    return isType(this, type);
+  }
+
+  /**
+   * Returns true if `node.value` is an empty string, or `node.nodes` does
+   * not contain any non-empty text nodes.
+   *
+   * ```js
+   * const node = new Node({type: 'text'});
+   * node.isEmpty(); //=> true
+   * node.value = 'foo';
+   * node.isEmpty(); //=> false
+   * ```
+   * @name .isEmpty
+   * @param {Function} `fn` (optional) Filter function that is called on `node` and/or child nodes. `isEmpty` will return false immediately when the filter function returns false on any nodes.
+   * @return {Boolean}
+   * @api public
+   */
+
+  isEmpty(fn) {
+    return isEmpty(this, fn);
+  }
+
+  /**
+   * Returns true if the node has an ancestor node of the given `type`
+   *
+   * ```js
+   * const box = new Node({type: 'box'});
+   * const marble = new Node({type: 'marble'});
+   * box.push(marble);
+   * marble.isInside('box'); //=> true
+   * ```
+   * @name .isInside
+   * @param {String} `type`
+   * @return {Boolean}
+   * @api public
+   */
+
+  isInside(type) {
+    for (let node = this.parent; node; node = node.parent) {
+      if (node.type === type) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Get the siblings array, or `null` if it doesn't exist.
+   *
+   * ```js
+   * const foo = new Node({type: 'foo'});
+   * const bar = new Node({type: 'bar'});
+   * const baz = new Node({type: 'baz'});
+   * foo.push(bar);
+   * foo.push(baz);
+   *
+   * console.log(bar.siblings.length) // 2
+   * console.log(baz.siblings.length) // 2
+   * ```
+   * @getter
+   * @name .siblings
+   * @return {Array}
+   * @api public
+   */
+
+  get siblings() {
+    return this.parent ? this.parent.nodes : null;
+  }
+
+  /**
+   * Calculate the node's current index on `node.parent.nodes`, or `-1` if the
+   * node does not have a parent, or is not on `node.parent.nodes`.
+   *
+   * ```js
+   * const foo = new Node({type: 'foo'});
+   * const bar = new Node({type: 'bar'});
+   * const baz = new Node({type: 'baz'});
+   * const qux = new Node({type: 'qux'});
+   * foo.push(bar);
+   * foo.push(baz);
+   * foo.unshift(qux);
+   *
+   * console.log(bar.index) // 1
+   * console.log(baz.index) // 2
+   * console.log(qux.index) // 0
+   * ```
+   * @setter
+   * @getter
+   * @name .index
+   * @return {Number}
+   * @api public
+   */
+
+  set index(index) {
+    define(this, '_index', index);
+  }
+  get index() {
+    if (!Array.isArray(this.siblings)) {
+      return -1;
+    }
+    if (this._index === -1 || this.siblings[this._index] !== this) {
+      define(this, '_index', this.siblings.indexOf(this));
+    }
+    return this._index;
+  }
+
+  /**
+   * Get the previous node from the [siblings](#siblings) array or `null`.
+   *
+   * ```js
+   * const foo = new Node({type: 'foo'});
+   * const bar = new Node({type: 'bar'});
+   * const baz = new Node({type: 'baz'});
+   * foo.push(bar);
+   * foo.push(baz);
+   *
+   * console.log(baz.prev.type) // 'bar'
+   * ```
+   * @getter
+   * @name .prev
+   * @return {Object}
+   * @api public
+   */
+
+  get prev() {
+    if (Array.isArray(this.siblings)) {
+      return this.siblings[this.index - 1] || this.parent.prev;
+    }
+    return null;
+  }
+
+  /**
+   * Get the next element from the [siblings](#siblings) array, or `null` if
+   * a next node does not exist.
+   *
+   * ```js
+   * const parent = new Node({type: 'root'});
+   * const foo = new Node({type: 'foo'});
+   * const bar = new Node({type: 'bar'});
+   * const baz = new Node({type: 'baz'});
+   * parent.push(foo);
+   * parent.push(bar);
+   * parent.push(baz);
+   *
+   * console.log(foo.next.type) // 'bar'
+   * console.log(bar.next.type) // 'baz'
+   * ```
+   * @getter
+   * @name .next
+   * @return {Object}
+   * @api public
+   */
+
+  get next() {
+    if (Array.isArray(this.siblings)) {
+      return this.siblings[this.index + 1] || this.parent.next;
+    }
+    return null;
   }
 
   /**
    * Get the first child node from `node.nodes`.
    *
    * ```js
-   * const foo = new Node({type: 'foo'});
-   * const bar = new Node({type: 'bar'});
-   * const baz = new Node({type: 'baz'});
-   * const qux = new Node({type: 'qux'});
-   * foo.push(bar);
-   * foo.push(baz);
-   * foo.push(qux);
+   * const foo = new Node({type: 'foo'});
+   * const bar = new Node({type: 'bar'});
+   * const baz = new Node({type: 'baz'});
+   * const qux = new Node({type: 'qux'});
+   * foo.push(bar);
+   * foo.push(baz);
+   * foo.push(qux);
+   *
+   * console.log(foo.first.type) // 'bar'
+   * ```
+   * @getter
+   * @name .first
+   * @return {Object} The first node, or undefiend
+   * @api public
+   */
+
+  get first() {
+    return Array.isArray(this.nodes) ? this.nodes[0] : null;
+  }
+
+  /**
+   * Get the last child node from `node.nodes`.
+   *
+   * ```js
+   * const foo = new Node({type: 'foo'});
+   * const bar = new Node({type: 'bar'});
+   * const baz = new Node({type: 'baz'});
+   * const qux = new Node({type: 'qux'});
+   * foo.push(bar);
+   * foo.push(baz);
+   * foo.push(qux);
+   *
+   * console.log(foo.last.type) // 'qux'
+   * ```
+   * @getter
+   * @name .last
+   * @return {Object} The last node, or undefiend
+   * @api public
+   */
+
+  get last() {
+    return Array.isArray(this.nodes) ? this.nodes[this.nodes.length - 1] : null;
+  }
+
+  /**
+   * Get the `[start, end]` offsets of the node from `node.loc`, or `null`
+   * if the node does not have a `loc` with offsets.
+   *
+   * ```js
+   * const node = Node.fromToken({ type: 'text', value: 'b', index: 2 }, 'a/b');
+   * console.log(node.range) //=> [2, 3]
+   * ```
+   * @getter
+   * @name .range
+   * @return {Array}
+   * @api public
+   */
+
+  get range() {
+    const loc = this.loc;
+    if (loc && loc.start && loc.end && typeof loc.start.index === 'number') {
+      return [loc.start.index, loc.end.index];
+    }
+    return null;
+  }
+
+  /**
+   * Get the `node.depth`. The root node has a depth of 0. Add 1 to child nodes
+   * for each level of nesting.
+   *
+   * ```js
+   * const foo = new Node({type: 'foo'});
+   * foo.push(bar);
+   *
+   * console.log(foo.depth) // 1
+   * console.log(bar.depth) // 2
+   * ```
+   * @getter
+   * @name .depth
+   * @return {Object} The last node, or undefiend
+   * @api public
+   */
+
+  get depth() {
+    let depth = 0;
+    for (let node = this.parent; node; node = node.parent) depth++;
+    return depth;
+  }
+
+  /**
+   * Static method that returns true if the given value is a node.
+   *
+   * ```js
+   * const Node = require('snapdragon-node');
+   * const node = new Node({type: 'foo'});
+   * console.log(Node.isNode(node)); //=> true
+   * console.log(Node.isNode({})); //=> false
+   * ```
+   * @name Node#isNode
+   * @param {Object} `node`
+   * @returns {Boolean}
+   * @api public
+   * @static
+   */
+
+  static isNode(node) {
+    return isObject(node) && (node instanceof this || node.isNode === true);
+  }
+
+  /**
+   * Static method that moves `node` and its descendants to `parent`, at
+   * the given `index`, or after the last child node when no index is given.
+   * The node is detached from its current parent first. An error is thrown
+   * when `parent` is the node or one of its descendants.
+   *
+   * ```js
+   * Node.adopt(other, ast.nodes[1]);
+   * Node.adopt(other, ast.nodes[0], 0);
+   * ```
+   * @name Node#adopt
+   * @param {Object} `parent`
+   * @param {Object} `node`
+   * @param {Number} `index` (optional)
+   * @return {Object} Returns the node.
+   * @api public
+   * @static
+   */
+
+  static adopt(parent, node, index) {
+    expect(this.isNode(parent), 'parent');
+    expect(this.isNode(node), 'node');
+    if (index === undefined) index = parent.nodes ? parent.nodes.length : 0;
+    const res = parent.splice(index, 0, node);
+    return immutable.isImmutable(parent) ? res : node;
+  }
+
+  /**
+   * Static method that creates a printer from an object of node types
+   * and print functions. The printer is a function that takes a node and
+   * returns a string. Print functions are called with a node and a `print`
+   * function, and return a string or a document for the node. Nodes without
+   * a print function are printed as their `value` followed by their
+   * children, like [.stringify](#stringify). Print functions that call
+   * `print` are recursive, so nodes with print functions can be nested as
+   * deeply as the call stack allows (thousands of levels in most engines).
+   *
+   * The `print` function has the following properties:
+   *
+   * - `print(node)` - returns the document for a node
+   * - `print.join(nodes, separator)` - returns the documents for `nodes`, with `separator` between them
+   * - `print.group(doc)` - a group that is printed on one line when it fits in `options.width`, and with its lines broken otherwise
+   * - `print.indent(doc)` - indents the lines in `doc` when they are broken
+   * - `print.line` - a space, or a line break when the group is broken
+   * - `print.softline` - nothing, or a line break when the group is broken
+   * - `print.hardline` - always a line break
+   *
+   * A document is a string, or an array of documents, which are concatenated.
+   * Documents that only contain strings are returned as strings, so that
+   * they can be concatenated with `+`.
+   *
+   * Options may be passed to `Node.printer` or to the printer. Use
+   * `options.width` to set the line width (80 by default), and `options.indent`
+   * to set the string or number of spaces to indent with (2 by default).
+   *
+   * ```js
+   * const print = Node.printer({
+   *   brace: (node, print) => '{' + print.join(node.nodes, ',') + '}',
+   *   list: (node, { join, group, indent, line, softline }) => {
+   *     return group(['[', indent([softline, join(node.nodes, [',', line])]), softline, ']']);
+   *   }
+   * });
+   * console.log(print(ast, { width: 40 }));
+   * ```
+   * @name Node#printer
+   * @param {Object} `map`
+   * @param {Object} `options`
+   * @return {Function}
+   * @api public
+   * @static
+   */
+
+  static printer(map, options) {
+    return printer.create(map, options);
+  }
+
+  /**
+   * Static method that creates a node from a lexer token, with a `node.loc`
+   * calculated from the token's offsets in `source`. Offsets are taken from
+   * `token.range`, `token.start` and `token.end`, or `token.index` and the
+   * length of `token.value`. Lines and columns start at `1`, indexes at `0`.
+   *
+   * ```js
+   * const node = Node.fromToken({ type: 'star', value: '*', index: 4 }, 'a/b\n*');
+   * console.log(node.loc);
+   * //=> { start: { line: 2, column: 1, index: 4 },
+   * //     end: { line: 2, column: 2, index: 5 } }
+   * ```
+   * @name Node#fromToken
+   * @param {Object} `token`
+   * @param {String} `source` The string the token was created from.
+   * @return {Object} Returns a node.
+   * @api public
+   * @static
+   */
+
+  static fromToken(token, source) {
+    assert(isObject(token), 'expected token to be an object');
+    const node = new this(token);
+    const offsets = location.offsets(token);
+
+    if (offsets !== null) {
+      assert(typeof source === 'string', 'expected source to be a string');
+      const [start, end] = offsets;
+      node.loc = { start: location.locate(source, start), end: location.locate(source, end) };
+    }
+    return node;
+  }
+
+  /**
+   * Static method that attaches trivia tokens, like whitespace and comments
+   * that were skipped by the parser, to the leaf nodes of `tree` as
+   * `leadingTrivia` and `trailingTrivia` arrays of `{ type, value }`
+   * objects. Trivia that is on the same line as the end of the previous leaf
+   * is trailing trivia of that leaf, and other trivia is leading trivia of
+   * the next leaf. Nodes and tokens are matched with their offsets, from the
+   * `loc` of nodes, and from `token.range`, `token.start` and `token.end`, or
+   * `token.index`.
+   *
+   * Pass `{ trivia: true }` to [.stringify](#stringify) to print the tree
+   * with its trivia. Leaves with the same type and value as when trivia was
+   * attached are printed exactly as they were in `source`. When `source` is
+   * not given, the `value` of each token is used as the text of the trivia,
+   * and leaves are printed with their value.
+   *
+   * ```js
+   * const source = '{a ,  b}\n';
+   * const ast = parse(source);
+   * Node.attachTrivia(ast, lexer.trivia, source);
+   * ast.query('text').value = 'x';
+   * console.log(ast.stringify({ trivia: true })); //=> '{x ,  b}\n'
+   * ```
+   * @name Node#attachTrivia
+   * @param {Object} `tree`
+   * @param {Array} `tokens` Trivia tokens.
+   * @param {String} `source` The source string that `tree` and `tokens` were created from (optional).
+   * @return {Object} Returns `tree`.
+   * @api public
+   * @static
+   */
+
+  static attachTrivia(tree, tokens, source) {
+    expect(this.isNode(tree), 'tree');
+    assert(Array.isArray(tokens), 'expected tokens to be an array');
+    assert(source === undefined || typeof source === 'string', 'expected source to be a string');
+    return trivia.attach(tree, tokens, source);
+  }
+
+  /**
+   * Static method that creates a tree of nodes from the format returned by
+   * [.toJSON](#toJSON), or from a string created with `JSON.stringify`.
+   * The `parent`, `size` and `index` of each node are restored.
+   *
+   * ```js
+   * const str = JSON.stringify(ast);
+   * const copy = Node.fromJSON(str);
+   * console.log(copy.nodes[0].parent === copy); //=> true
+   * ```
+   * @name Node#fromJSON
+   * @param {Object|String} `json`
+   * @return {Object} Returns a node.
+   * @api public
+   * @static
+   */
+
+  static fromJSON(value) {
+    return json.parse(this, value);
+  }
+
+  /**
+   * Static method that returns a string for reading or snapshot testing
+   * a tree. The `sexpr` format (the default) writes each node as an
+   * S-expression with its type, value, other properties and children.
+   * The `tree` format is the same as [.inspect](#inspect). Use
+   * [Node.parseSexpr](#parseSexpr) to create a tree from an S-expression.
+   *
+   * ```js
+   * console.log(Node.dump(ast, 'sexpr', { omit: ['loc'] }));
+   * // (root
+   * //   (text "a")
+   * //   (brace
+   * //     (text "b")))
+   * ```
+   * @name Node#dump
+   * @param {Object} `tree`
+   * @param {String} `format` Either `sexpr` or `tree`.
+   * @param {Object} `options` Options for the format. The `sexpr` format supports `options.omit` with an array of property names to leave out.
+   * @return {String}
+   * @api public
+   * @static
+   */
+
+  static dump(tree, format = 'sexpr', options = {}) {
+    expect(this.isNode(tree), 'tree');
+    if (format === 'sexpr') return sexpr.stringify(tree, options);
+    if (format === 'tree') return inspect.tree(tree, options);
+    throw new TypeError('expected format to be "sexpr" or "tree"');
+  }
+
+  /**
+   * Static method that creates a tree of nodes from an S-expression, in
+   * the format returned by [Node.dump](#dump). The `parent`, `size` and
+   * `index` of each node are set, and `Node.dump` returns the same string
+   * for the tree, so S-expressions can be used for fixtures and snapshots.
+   *
+   * ```js
+   * const ast = Node.parseSexpr('(root (brace (text "a") (comma ",") (text "b")))');
+   * console.log(ast.nodes[0].nodes[1].parent === ast.nodes[0]); //=> true
+   * console.log(ast.stringify()); //=> 'a,b'
+   * ```
+   * Each node is written as `(type "value" :key value ...children)`, where
+   * property values are JSON, and the value may be left out.
+   *
+   * @name Node#parseSexpr
+   * @param {String} `str`
+   * @return {Object} Returns a node.
+   * @api public
+   * @static
+   */
+
+  static parseSexpr(str) {
+    return sexpr.parse(this, str);
+  }
+
+  /**
+   * Static method that creates a tree of nodes from a
+   * [unist](https://github.com/syntax-tree/unist) tree, like the trees
+   * created by remark and rehype. The `children` of each node are converted
+   * to `nodes`, and `position` is converted to `loc`. Other properties are
+   * copied, so that `node.toUnist()` returns a tree that's equal to the
+   * given one. Properties with the name of a method or getter of nodes,
+   * like the `depth` of mdast headings, are added to a `unist` object on
+   * the node instead.
+   *
+   * ```js
+   * const ast = Node.fromUnist(remark().parse('# Heading'));
+   * console.log(ast.nodes[0].type); //=> 'heading'
+   * console.log(ast.nodes[0].unist); //=> { depth: 1 }
+   * ```
+   * @name Node#fromUnist
+   * @param {Object} `tree`
+   * @return {Object} Returns a node.
+   * @api public
+   * @static
+   */
+
+  static fromUnist(tree) {
+    assert(isObject(tree) && typeof tree.type === 'string', 'expected tree to be a unist node');
+    return new this(interop.fromUnist(tree, (type, key) => isReserved(this, type, key)));
+  }
+
+  /**
+   * Static method that creates a tree of nodes from an
+   * [ESTree](https://github.com/estree/estree) tree, like the trees created
+   * by acorn and espree. The child nodes from all of the child keys of a
+   * node are added to its `nodes`, in order, and each child node has a
+   * `field` property with the key it was found on. Keys with arrays of child
+   * nodes are listed on the `lists` property of the parent. ESTree's `loc`,
+   * `start`, `end` and `range` are converted to `loc`, where columns start
+   * at 1.
+   *
+   * Child keys are the properties with a node (an object with a `type`) or
+   * an array of nodes as their value, unless they're defined for the type
+   * of the node with `options.childKeys`.
+   *
+   * ```js
+   * const ast = Node.fromESTree(acorn.parse('a + b', { locations: true }), {
+   *   childKeys: { BinaryExpression: ['left', 'right'] }
+   * });
+   * const expression = ast.nodes[0].nodes[0];
+   * console.log(expression.nodes.map(node => node.field)); //=> ['left', 'right']
+   * ```
+   * @name Node#fromESTree
+   * @param {Object} `tree`
+   * @param {Object} `options`
+   * @return {Object} Returns a node.
+   * @api public
+   * @static
+   */
+
+  static fromESTree(tree, options) {
+    assert(isObject(tree) && typeof tree.type === 'string', 'expected tree to be an ESTree node');
+    return new this(interop.fromESTree(tree, isObject(options) ? options : {}));
+  }
+
+  /**
+   * Static method that returns the list of operations that transform
+   * node `a` into node `b`. Each operation has a `path` with the indexes
+   * of the target node in `node.nodes`, starting from the root:
+   *
+   * - `{ op: 'replace', path, node }` - replace a node with a different type
+   * - `{ op: 'update', path, key, value }` - set a property, or delete it when `value` is omitted
+   * - `{ op: 'insert', path, node }` - insert a node
+   * - `{ op: 'remove', path }` - remove a node
+   *
+   * ```js
+   * const ops = Node.diff(a, b, { ignore: ['loc'] });
+   * //=> [{ op: 'update', path: [1, 0], key: 'value', value: 'b' }, ...]
+   * ```
+   * @name Node#diff
+   * @param {Object} `a`
+   * @param {Object} `b`
+   * @param {Object} `options` Pass `options.ignore` with an array of property names to skip.
+   * @return {Array}
+   * @api public
+   * @static
+   */
+
+  static diff(a, b, options) {
+    expect(this.isNode(a), 'a');
+    expect(this.isNode(b), 'b');
+    return diff.diff(a, b, options);
+  }
+
+  /**
+   * Static method that applies the operations returned by [Node.diff](#diff)
+   * to `tree`, in order. Nodes from the operations are cloned before
+   * they are added to the tree. When `tree` is immutable, the operations are
+   * applied to a copy, and a new immutable tree is returned.
+   *
+   * ```js
+   * const ops = Node.diff(a, b);
+   * const tree = Node.patch(a, ops);
+   * console.log(tree.equals(b)); //=> true
+   * ```
+   * @name Node#patch
+   * @param {Object} `tree`
+   * @param {Array} `ops`
+   * @return {Object} Returns the tree, or the new root node if the root was replaced.
+   * @api public
+   * @static
+   */
+
+  static patch(tree, ops) {
+    expect(this.isNode(tree), 'tree');
+    assert(Array.isArray(ops), 'expected ops to be an array');
+    if (immutable.isImmutable(tree)) {
+      return immutable.create(diff.patch(tree.clone(), ops));
+    }
+    return diff.patch(tree, ops);
+  }
+
+  /**
+   * Static method that returns an immutable copy of `tree`. Properties
+   * of immutable nodes cannot be modified, and the [.push](#push),
+   * [.unshift](#unshift), [.pop](#pop), [.shift](#shift) and [.remove](#remove)
+   * methods return the root node of a new version of the tree, instead of
+   * modifying it. Unchanged subtrees are shared by the versions of a tree,
+   * and `node.parent` returns the parent in the version the node was
+   * accessed from. Use [.clone](#clone) to get a mutable copy.
+   *
+   * ```js
+   * const v1 = Node.immutable(ast);
+   * const v2 = v1.nodes[1].push(new Node('text', 'x'));
+   * console.log(v1.nodes[1].nodes.length); //=> 2
+   * console.log(v2.nodes[1].nodes.length); //=> 3
+   * console.log(v2.nodes[1].parent === v2); //=> true
+   * ```
+   * @name Node#immutable
+   * @param {Object} `tree`
+   * @return {Object} Returns the root of the immutable tree.
+   * @api public
+   * @static
+   */
+
+  static immutable(tree) {
+    expect(this.isNode(tree), 'tree');
+    return immutable.isImmutable(tree) ? tree : immutable.create(tree);
+  }
+
+  /**
+   * Static method that returns true if the given node is immutable.
+   *
+   * ```js
+   * console.log(Node.isImmutable(Node.immutable(ast))); //=> true
+   * ```
+   * @name Node#isImmutable
+   * @param {Object} `node`
+   * @return {Boolean}
+   * @api public
+   * @static
+   */
+
+  static isImmutable(node) {
+    return immutable.isImmutable(node);
+  }
+
+  /**
+   * Static method that makes property writes on `tree` and its descendants
+   * observable. Returns a proxy for `tree`, which should be used in place of
+   * `tree`, and which emits `set` events when properties are assigned or
+   * deleted. The `parent` and `nodes` of the proxy return proxies for the
+   * other nodes of the tree, and nodes that are added to the tree later are
+   * observed too. `tree` itself is not changed.
+   *
+   * ```js
+   * const tree = Node.observe(ast);
+   * tree.on('set', event => console.log(event.key, event.value));
+   * tree.nodes[0].value = 'b'; //=> 'value' 'b'
+   * ```
+   * @name Node#observe
+   * @param {Object} `tree`
+   * @return {Object} Returns the observed tree.
+   * @api public
+   * @static
+   */
+
+  static observe(tree) {
+    expect(this.isNode(tree), 'tree');
+    assert(!immutable.isImmutable(tree), 'cannot observe an immutable node');
+    return events.observe(tree);
+  }
+
+  /**
+   * Static method that applies a plugin to the class, and returns the
+   * class. A plugin is a function that's called with the class and an
+   * `api` object, or an object with the following properties:
    *
-   * console.log(foo.first.type) // 'bar'
+   * - `name` - the name of the plugin, used to detect plugins that are already applied, and in error messages
+   * - `methods` - an object of methods to add to nodes
+   * - `getters` - an object of getters to add to nodes
+   * - `types` - an object of types to register with [Node.defineType](#defineType)
+   * - `visitors` - a visitor that is called before the visitor passed to [.walk](#walk), [.visit](#visit) and their async versions
+   *
+   * The `api` has the `api.method(name, fn)`, `api.getter(name, fn)`,
+   * `api.type(type, definition)` and `api.visitor(visitor)` methods, which
+   * add the same things. An error is thrown when a method or getter is already
+   * defined on nodes, by the class or another plugin. A plugin is only applied
+   * once per class, and is not applied again to subclasses of a class that it
+   * was applied to.
+   *
+   * ```js
+   * Node.use({
+   *   name: 'capture',
+   *   methods: {
+   *     capture(type) {
+   *       return this.nodes ? this.nodes.filter(node => node.type === type) : [];
+   *     }
+   *   },
+   *   getters: {
+   *     isLeaf() {
+   *       return !this.nodes || this.nodes.length === 0;
+   *     }
+   *   }
+   * });
+   *
+   * Node.use((Node, api) => {
+   *   api.visitor({ text: node => (node.value = node.value.trim()) });
+   * });
    * ```
-   * @getter
-   * @name .first
-   * @return {Object} The first node, or undefiend
+   * @name Node#use
+   * @param {Function|Object} `plugin`
+   * @return {Function} Returns the class.
    * @api public
+   * @static
    */
 
-  get first() {
-    return Array.isArray(this.nodes) ? this.nodes[0] : null;
+  static use(plugin) {
+    plugins.use(this, plugin);
+    return this;
   }
 
   /**
-   * Get the last child node from `node.nodes`.
+   * Static method that registers a subclass for nodes of the given `type`.
+   * Nodes of that type are then created with the subclass, by the class
+   * constructor (`new Node({ type })`), and by methods that create nodes,
+   * like [.push](#push), [.clone](#clone) and [Node.fromJSON](#fromJSON),
+   * including the child nodes of objects with `nodes` arrays. Subclasses
+   * registered on a class are also used by its subclasses, when they extend
+   * them. Returns the subclass.
    *
    * ```js
-   * const foo = new Node({type: 'foo'});
-   * const bar = new Node({type: 'bar'});
-   * const baz = new Node({type: 'baz'});
-   * const qux = new Node({type: 'qux'});
-   * foo.push(bar);
-   * foo.push(baz);
-   * foo.push(qux);
+   * const BraceNode = Node.register('brace', class extends Node {
+   *   get isOpen() {
+   *     return this.first && this.first.type === 'open';
+   *   }
+   * });
    *
-   * console.log(foo.last.type) // 'qux'
+   * const node = new Node({ type: 'brace', nodes: [{ type: 'open', value: '{' }] });
+   * console.log(node instanceof BraceNode); //=> true
+   * console.log(node.isOpen); //=> true
+   * ```
+   * @name Node#register
+   * @param {String} `type`
+   * @param {Function} `Subclass` A class that extends this class.
+   * @return {Function} Returns `Subclass`.
+   * @api public
+   * @static
+   */
+
+  static register(type, Subclass) {
+    return registry.register(this, type, Subclass);
+  }
+
+  /**
+   * Static method that registers the schema for nodes of the given `type`.
+   * Types registered on a class are also used by its subclasses.
+   *
+   * - `fields` - an object of property names to the kind of value they must
+   *   have, as a string like `'string'`, an array of kinds, or an object with
+   *   `type`, `optional` and `validate` properties. Supported kinds are `any`,
+   *   `array`, `boolean`, `number`, `object` and `string`. Properties that
+   *   are not defined as fields are not validated.
+   * - `children` - an array of the types of child nodes that are allowed on
+   *   `node.nodes`, or `false` when the node cannot have child nodes. Any
+   *   child node is allowed when not defined.
+   * - `builder` - an array of the property names that builder functions take
+   *   as arguments, or a function that returns a node or an object to
+   *   create a node from.
+   *
+   * When `Node.strict` is `true`, nodes are validated when they are created,
+   * pushed or unshifted, and an error is thrown with `err.violations` when
+   * a node is invalid.
+   *
+   * ```js
+   * Node.defineType('text', { fields: { value: 'string' }, children: false });
+   * Node.defineType('brace', {
+   *   fields: { escaped: { type: 'boolean', optional: true } },
+   *   children: ['text', 'comma', 'brace']
+   * });
+   * ```
+   * @name Node#defineType
+   * @param {String} `type`
+   * @param {Object} `definition`
+   * @return {Function} Returns the class, for chaining.
+   * @api public
+   * @static
+   */
+
+  static defineType(type, definition) {
+    types.define(this, type, definition);
+    return this;
+  }
+
+  /**
+   * Static getter that returns an object with a builder function for each
+   * type registered with [Node.defineType](#defineType). Builders take the
+   * properties named in the type's `builder` array as arguments. By default
+   * this is `value` when the type has a `value` field, then `nodes` when the
+   * type may have child nodes. An object with other properties may be passed
+   * as the last argument. Nodes created by builders are always validated.
+   *
+   * ```js
+   * const { brace, text, comma } = Node.builders;
+   * const node = brace([text('a'), comma(','), text('b')], { escaped: false });
    * ```
    * @getter
-   * @name .last
-   * @return {Object} The last node, or undefiend
+   * @name Node#builders
+   * @return {Object}
    * @api public
+   * @static
    */
 
-  get last() {
-    return Array.isArray(this.nodes) ? this.nodes[this.nodes.length - 1] : null;
+  static get builders() {
+    return builders(this, 'builders');
   }
 
   /**
-   * Get the `node.depth`. The root node has a depth of 0. Add 1 to child nodes
-   * for each level of nesting.
+   * Static getter that returns an object with a function for each type
+   * registered with [Node.defineType](#defineType), that returns true if
+   * the given value is a node of that type. An object of properties may
+   * be passed as the second argument, which the node must have.
    *
    * ```js
-   * const foo = new Node({type: 'foo'});
-   * foo.push(bar);
+   * console.log(Node.is.text(node)); //=> true
+   * console.log(Node.is.text(node, { value: 'a' })); //=> true
+   * ```
+   * @getter
+   * @name Node#is
+   * @return {Object}
+   * @api public
+   * @static
+   */
+
+  static get is() {
+    return builders(this, 'is');
+  }
+
+  /**
+   * Static getter that returns an object with a function for each type
+   * registered with [Node.defineType](#defineType), that throws an error
+   * if the given value is not a node of that type. Returns the node.
    *
-   * console.log(foo.depth) // 1
-   * console.log(bar.depth) // 2
+   * ```js
+   * Node.assert.brace(node);
+   * //=> TypeError: expected a node of type "brace", got a node of type "text"
    * ```
    * @getter
-   * @name .depth
-   * @return {Object} The last node, or undefiend
+   * @name Node#assert
+   * @return {Object}
    * @api public
+   * @static
    */
 
-  get depth() {
-    return this.parent ? this.parent.depth + 1 : 0;
+  static get assert() {
+    return builders(this, 'assert');
   }
 
   /**
-   * Static method that returns true if the given value is a node.
+   * Static method that validates the given `tree`. See [.validate](#validate).
    *
    * ```js
-   * const Node = require('snapdragon-node');
-   * const node = new Node({type: 'foo'});
-   * console.log(Node.isNode(node)); //=> true
-   * console.log(Node.isNode({})); //=> false
+   * const errors = Node.validate(ast);
    * ```
-   * @name Node#isNode
+   * @name Node#validate
+   * @param {Object} `tree`
+   * @return {Array}
+   * @api public
+   * @static
+   */
+
+  static validate(tree) {
+    expect(this.isNode(tree), 'tree');
+    return types.validate(this, tree);
+  }
+
+  /**
+   * Static method that matches a node against a pattern, and returns an
+   * object with the values that were captured by the pattern, or `null`
+   * if the node doesn't match. The pattern is an object that the node must
+   * partially match, or an S-expression like the ones returned by
+   * [Node.dump](#dump), where:
+   *
+   * - `$name` matches any value and captures it, or any node in `nodes`
+   * - `$_` matches any value without capturing it
+   * - `$$name` matches any number of items in an array, like `nodes`, and captures them
+   * - functions are predicates that are called with the value and the node
+   * - regular expressions are tested against string values
+   * - other values must be strictly equal
+   *
+   * Placeholder names are letters, digits and underscores. In S-expressions,
+   * a placeholder right after the type matches the value, placeholders after
+   * that match child nodes, and quoted strings are always literal. In objects,
+   * strings like `'\\$name'` match the string without the first backslash.
+   * A node without child nodes in the pattern matches nodes with any child
+   * nodes. A name that's captured more than once must have equal values.
+   *
+   * ```js
+   * const ast = Node.parseSexpr('(brace (text "a"))');
+   * console.log(Node.match(ast, '(brace (text $value))')); //=> { value: 'a' }
+   * console.log(Node.match(ast, { type: 'brace', nodes: ['$$nodes'] })); //=> { nodes: [Node] }
+   * console.log(Node.match(ast, { type: 'brace', nodes: [{ value: /^[0-9]$/ }] })); //=> null
+   * ```
+   * @name Node#match
    * @param {Object} `node`
-   * @returns {Boolean}
+   * @param {String|Object} `pattern`
+   * @return {Object|null}
    * @api public
    * @static
    */
 
-  static isNode(node) {
-    return isObject(node) && (node instanceof this || node.isNode === true);
+  static match(node, pattern) {
+    expect(this.isNode(node), 'node');
+    return match.match(node, pattern);
+  }
+
+  /**
+   * Static method that applies rewrite rules to the nodes of a tree until
+   * the tree doesn't change, and returns the tree, or the node that replaced
+   * the root node. Each rule is an object with a `pattern` for
+   * [Node.match](#match), and a `replace` value, which is a template with the
+   * same placeholders as patterns, or a function that's called with the
+   * captures and the node. Functions may return a node, an object, an
+   * S-expression, an array of nodes, `null` to remove the node, or `undefined`
+   * to keep it. Captured nodes are moved to the replacement.
+   *
+   * Nodes are rewritten by the first rule that matches them. Each pass walks
+   * the tree once, and replacement nodes are matched on the next pass. An
+   * error is thrown when a pass returns the tree to an earlier state, or when
+   * the tree still changes after `options.maxIterations` passes (100 by default).
+   *
+   * ```js
+   * // collapse braces with a single text node
+   * const ast = Node.parseSexpr('(root (brace (brace (text "a"))) (text "b"))');
+   * const res = Node.rewrite(ast, [{ pattern: '(brace $_ (text $value))', replace: '(text $value)' }]);
+   * console.log(Node.dump(res)); //=> '(root\n  (text "a")\n  (text "b"))'
+   * ```
+   * @name Node#rewrite
+   * @param {Object} `tree`
+   * @param {Array} `rules`
+   * @param {Object} `options`
+   * @return {Object}
+   * @api public
+   * @static
+   */
+
+  static rewrite(tree, rules, options) {
+    expect(this.isNode(tree), 'tree');
+    return match.rewrite(this, tree, rules, isObject(options) ? options : {}, traverse);
+  }
+
+  /**
+   * Static method that combines any number of visitor functions, `{ enter, leave }`
+   * objects or type maps (see [.visit](#visit)) into a single visitor. On each
+   * node the visitors are called in the given order, until one of them
+   * removes or replaces the node, or stops the walk.
+   *
+   * ```js
+   * const simplify = { brace(node, path) {} };
+   * const escape = { text(node) {} };
+   * ast.walk(Node.mergeVisitors(simplify, escape));
+   * ```
+   * @name Node#mergeVisitors
+   * @param {Object|Function} `visitors`
+   * @return {Object} Returns an object with `enter` and `leave` functions.
+   * @api public
+   * @static
+   */
+
+  static mergeVisitors(...visitors) {
+    return mergeVisitors(visitors);
   }
 }
 
+/**
+ * When `true`, nodes are validated against the registered node types
+ * when they are created, pushed or unshifted.
+ */
+
+Node.strict = false;
+
 /**
  * Simplified assertion. Throws an error is `value` is not true.
  */
@@ -563,23 +2190,38 @@ function hasOwn(obj, prop) {
   return Object.hasOwnProperty.call(obj, prop);
 }
 
-function isEmpty(node, fn) {
-  expect(Node.isNode(node), 'node');
+/**
+ * Throw an error if `node` is `parent` or one of its ancestors, and remove
+ * `node` from its current parent before it's added to `parent`. Only nodes
+ * with child nodes can be ancestors, so leaf nodes are added in constant time.
+ */
 
-  if (!Array.isArray(node.nodes)) {
-    if (typeof fn === 'function') {
-      return fn(node);
-    }
-    return !node.value;
-  }
+function detach(parent, node) {
+  const cycle = node === parent || (Array.isArray(node.nodes) && node.nodes.length > 0 && isAncestor(node, parent));
+  assert(!cycle, 'cannot insert a node into itself or its descendants');
+  if (node.parent) node.detach();
+}
 
-  if (node.nodes.length === 0) {
-    return true;
+function isAncestor(node, target) {
+  for (let current = target; current; current = current.parent) {
+    if (current === node) return true;
   }
+  return false;
+}
 
-  for (const child of node.nodes) {
-    if (!isEmpty(child, fn)) {
-      return false;
+function isEmpty(node, fn) {
+  expect(Node.isNode(node), 'node');
+  const stack = [node];
+
+  while (stack.length) {
+    const current = stack.pop();
+    if (!Array.isArray(current.nodes)) {
+      const empty = typeof fn === 'function' ? fn(current) : !current.value;
+      if (!empty) return false;
+      continue;
+    }
+    for (let i = current.nodes.length - 1; i >= 0; i--) {
+      stack.push(current.nodes[i]);
     }
   }
 
@@ -596,7 +2238,7 @@ function isType(node, type) {
       return type.test(node.type);
     case 'array':
       for (const key of type) {
-        if (node.isType(node, key)) {
+        if (isType(node, key)) {
           return true;
         }
       }
@@ -628,7 +2270,7 @@ function typeOf(val) {
 
 function assign(node, token, clone) {
   copy(node, token, clone);
-  ensureNodes(node, clone);
+  ensureNodes(node);
 
   if (token.constructor && token.constructor.name === 'Token') {
     copy(node, token.constructor.prototype, clone);
@@ -648,21 +2290,112 @@ function copy(receiver, provider, clone) {
   }
 }
 
-function ensureNodes(node, clone) {
-  if (!node.nodes) return;
+/**
+ * Returns true if the constructor of nodes of the given `type` doesn't
+ * copy `key` from objects, since it's a method or getter of the class, or
+ * a property that's defined by the constructor.
+ */
+
+function isReserved(Ctor, type, key) {
+  const proto = (registry.resolve(Ctor, type) || Ctor).prototype;
+  return key in proto || key === 'isNode' || key === 'parent' || key === 'size';
+}
+
+function ensureNodes(node) {
+  const stack = [node];
+
+  while (stack.length) {
+    const current = stack.pop();
+    if (!Array.isArray(current.nodes)) continue;
 
-  if (Array.isArray(node.nodes)) {
-    const len = node.nodes.length;
+    const len = current.nodes.length;
     for (let i = 0; i < len; i++) {
-      let child = node.nodes[i];
+      let child = current.nodes[i];
       if (!Node.isNode(child)) {
-        child = node.nodes[i] = new Node(node.nodes[i], null, true);
-        child.parent = node;
+        child = current.nodes[i] = toNode(registry.base(current.constructor), child);
+        child.parent = current;
         child.index = i;
       }
-      ensureNodes(child);
+      stack.push(child);
+    }
+    current.size = len;
+  }
+}
+
+/**
+ * Create a node from `props` with the class that nodes related to `node`
+ * are created with, so that registered subclasses are used.
+ */
+
+function createNode(node, props, clone) {
+  const Ctor = registry.base(node.constructor);
+  return new Ctor(props, null, clone);
+}
+
+/**
+ * Create a node from a plain object without its child nodes, which are
+ * added as-is and converted by `ensureNodes`. This keeps the constructor
+ * from converting (and cloning) the whole subtree again at each level.
+ */
+
+function toNode(Ctor, obj) {
+  const props = Object.create(Object.getPrototypeOf(obj));
+  for (const key of Object.keys(obj)) {
+    if (key !== 'nodes') props[key] = obj[key];
+  }
+
+  const node = new Ctor(props, null, true);
+  if (Array.isArray(obj.nodes)) {
+    node.nodes = obj.nodes.slice();
+    if (node.constructor.strict === true) types.enforce(node.constructor, node);
+  }
+  return node;
+}
+
+/**
+ * Lazily iterate over the descendants of `node`. Child nodes are read
+ * when their parent is reached, so changes to nodes that were not reached
+ * yet are seen by the iterator.
+ */
+
+function * descendants(node, order) {
+  if (order === 'bfs') {
+    const queue = [node];
+    for (let i = 0; i < queue.length; i++) {
+      const current = queue[i];
+      if (current !== node) yield current;
+      if (Array.isArray(current.nodes)) {
+        for (const child of current.nodes) queue.push(child);
+      }
+      queue[i] = null;
+    }
+    return;
+  }
+
+  if (order === 'post') {
+    const stack = [[node, 0]];
+    while (stack.length) {
+      const top = stack[stack.length - 1];
+      const nodes = top[0].nodes;
+      if (Array.isArray(nodes) && top[1] < nodes.length) {
+        stack.push([nodes[top[1]++], 0]);
+      } else {
+        stack.pop();
+        if (top[0] !== node) yield top[0];
+      }
+    }
+    return;
+  }
+
+  const stack = Array.isArray(node.nodes) ? node.nodes.slice().reverse() : [];
+  while (stack.length) {
+    const current = stack.pop();
+    yield current;
+    if (Array.isArray(current.nodes)) {
+      for (let i = current.nodes.length - 1; i >= 0; i--) {
+        stack.push(current.nodes[i]);
+      }
     }
-    node.size = len;
   }
 }
 
@@ -671,29 +2404,227 @@ function ensureNodes(node, clone) {
  */
 
 function cloneDeep(value) {
-  const obj = {};
-  switch (typeOf(value)) {
-    case 'array':
-      return value.map(ele => cloneDeep(ele));
-    case 'object':
-      for (const key of Object.keys(value)) {
-        obj[key] = cloneDeep(value[key]);
+  if (!isCloneable(value)) return value;
+
+  const res = Array.isArray(value) ? [] : {};
+  const stack = [[value, res]];
+
+  while (stack.length) {
+    const [source, target] = stack.pop();
+    for (const key of Object.keys(source)) {
+      const val = source[key];
+      if (isCloneable(val)) {
+        target[key] = Array.isArray(val) ? [] : {};
+        stack.push([val, target[key]]);
+      } else {
+        target[key] = val;
       }
-      return obj;
-    default: {
-      return value;
     }
   }
+  return res;
 }
 
-function visit(node, fn) {
-  fn(node);
-  return node.nodes ? mapVisit(node, fn) : node;
+function isCloneable(value) {
+  const type = typeOf(value);
+  return type === 'array' || type === 'object';
 }
 
-function mapVisit(node, fn) {
-  node.nodes.forEach(n => visit(n, fn));
-  return node;
+/**
+ * Walk `node` with `visitor`, after the visitors of plugins.
+ */
+
+function walk(node, visitor) {
+  return traverse(node, withPlugins(node, visitor));
+}
+
+/**
+ * Depth-first traversal with `enter` and `leave` callbacks, without the
+ * visitors of plugins. Children are looked up by index after each visit,
+ * so that nodes inserted, removed or replaced by the callbacks are not
+ * skipped or visited twice.
+ */
+
+function traverse(node, visitor) {
+  const state = { stopped: false };
+  const stack = [frame(node)];
+  let result = null;
+
+  // pop the current frame and pass its result to the parent frame
+  const finish = value => {
+    const current = stack.pop();
+    current.path.context = current.context;
+    if (stack.length === 0) {
+      result = value;
+      return;
+    }
+    const parent = stack[stack.length - 1];
+    parent.index = (value && value.parent === parent.node ? value.index : parent.index - 1) + 1;
+  };
+
+  try {
+    while (stack.length) {
+      const current = stack[stack.length - 1];
+      const path = current.path;
+
+      if (current.node === null) {
+        path.context = { state, skipped: false, removed: false };
+        if (typeof visitor.enter === 'function') {
+          visitor.enter(path.node, path);
+          if (path.removed) {
+            finish(null);
+            continue;
+          }
+          if (state.stopped) {
+            finish(path.node);
+            continue;
+          }
+        }
+        current.node = path.node;
+        continue;
+      }
+
+      if (state.stopped) {
+        finish(current.node);
+        continue;
+      }
+
+      const nodes = current.node.nodes;
+      if (!path.skipped && Array.isArray(nodes) && current.index < nodes.length) {
+        stack.push(frame(nodes[current.index]));
+        continue;
+      }
+
+      if (typeof visitor.leave === 'function') {
+        visitor.leave(path.node, path);
+        if (path.removed) {
+          finish(null);
+          continue;
+        }
+      }
+      finish(path.node);
+    }
+  } finally {
+    stack.forEach(current => (current.path.context = current.context));
+  }
+
+  return result;
+}
+
+/**
+ * A node on the walk stack. The path's current context is kept, so
+ * that it can be restored when a node is walked inside of a visitor.
+ */
+
+function frame(node) {
+  const path = NodePath.get(node);
+  return { path, context: path.context, node: null, index: 0 };
+}
+
+/**
+ * Normalize a function, an `{ enter, leave }` object or a map of
+ * node types to callbacks into an `{ enter, leave }` visitor.
+ */
+
+function toVisitor(visitor) {
+  if (typeof visitor === 'function') {
+    return { enter: visitor };
+  }
+  assert(isObject(visitor), 'expected visitor to be a function or object');
+  if (Object.keys(visitor).every(key => key === 'enter' || key === 'leave')) {
+    return visitor;
+  }
+  if (!compiled.has(visitor)) {
+    compiled.set(visitor, compileVisitor(visitor));
+  }
+  return compiled.get(visitor);
+}
+
+const compiled = new WeakMap();
+
+/**
+ * Add the visitors of plugins that were applied to the class of `node`,
+ * or to `node`, before the given visitor.
+ */
+
+function withPlugins(node, visitor) {
+  const hooks = plugins.visitors(node);
+  if (hooks.length === 0) return toVisitor(visitor);
+  return mergeVisitors(hooks.concat([toVisitor(visitor)]));
+}
+
+/**
+ * Compile a map of node types to handlers. Keys may be a type, a list
+ * of types separated by `|`, a regex source like `/^(foo|bar)$/`, or `*`,
+ * which is only used for nodes that no other key matches.
+ */
+
+function compileVisitor(map) {
+  const handlers = [];
+  let fallback = null;
+
+  for (const key of Object.keys(map)) {
+    let handler = map[key];
+    if (typeof handler === 'function') {
+      handler = { enter: handler };
+    }
+    assert(isObject(handler), 'expected visitor "' + key + '" to be a function or object');
+    if (key === '*') {
+      fallback = handler;
+    } else {
+      handlers.push({ type: parseTypeKey(key), handler });
+    }
+  }
+
+  const call = method => (node, path) => {
+    const matched = handlers.filter(h => isType(node, h.type)).map(h => h.handler);
+    if (matched.length === 0 && fallback) {
+      matched.push(fallback);
+    }
+    return callEach(matched, method, node, path);
+  };
+
+  return { enter: call('enter'), leave: call('leave') };
+}
+
+function parseTypeKey(key) {
+  const match = /^\/(.+)\/([a-z]*)$/.exec(key);
+  if (match) return new RegExp(match[1], match[2]);
+  return key.includes('|') ? key.split('|') : key;
+}
+
+/**
+ * Combine visitors into a single `{ enter, leave }` visitor that calls
+ * each of them in order.
+ */
+
+function mergeVisitors(visitors) {
+  visitors = visitors.map(toVisitor);
+  const call = method => (node, path) => callEach(visitors, method, node, path);
+  return { enter: call('enter'), leave: call('leave') };
+}
+
+/**
+ * Call `method` on each visitor in order, until the node is removed or
+ * replaced, or the walk is stopped. When a visitor returns a promise,
+ * the remaining visitors are called after it resolves, and the promise
+ * is returned, so that async walks can await it.
+ */
+
+function callEach(visitors, method, node, path) {
+  for (let i = 0; i < visitors.length; i++) {
+    if (typeof visitors[i][method] !== 'function') continue;
+    const res = visitors[i][method](node, path);
+    if (res && typeof res.then === 'function') {
+      return res.then(() => {
+        if (!isDone(node, path)) return callEach(visitors.slice(i + 1), method, node, path);
+      });
+    }
+    if (isDone(node, path)) break;
+  }
+}
+
+function isDone(node, path) {
+  return path.removed || path.node !== node || path.state.stopped;
 }
 
 function define(obj, key, value) {
@@ -0,0 +1,128 @@
+'use strict';
+
+const NodePath = require('./path');
+
+/**
+ * Walk `node` and its descendants like the sync walker, awaiting the
+ * `enter` and `leave` callbacks of `visitor`. With a concurrency greater
+ * than 1, child subtrees are walked in parallel from a snapshot of
+ * `node.nodes`, and children that were removed or moved to another node
+ * while callbacks were pending are skipped.
+ */
+
+exports.walk = (node, visitor, options = {}) => {
+  const state = createState(options);
+  check(state);
+  return walkNode(node, visitor, state);
+};
+
+/**
+ * Create a string from `node` and its descendants by awaiting `fn` on
+ * each node. Strings are joined in tree order, also when child subtrees
+ * are stringified in parallel.
+ */
+
+exports.stringify = (node, fn, options = {}) => {
+  const state = createState(options);
+  check(state);
+  return stringifyNode(node, fn, state);
+};
+
+async function walkNode(node, visitor, state) {
+  const path = NodePath.get(node);
+  const context = path.context;
+  path.context = { state, skipped: false, removed: false };
+
+  try {
+    if (typeof visitor.enter === 'function') {
+      await call(visitor.enter, path, state);
+      if (path.removed) return null;
+      if (state.stopped) return path.node;
+    }
+
+    node = path.node;
+    if (!path.skipped && Array.isArray(node.nodes)) {
+      if (state.concurrency > 1) {
+        await map(node.nodes.slice(), state, child => {
+          return child.parent === node ? walkNode(child, visitor, state) : null;
+        });
+      } else {
+        for (let i = 0; i < node.nodes.length; i++) {
+          const child = await walkNode(node.nodes[i], visitor, state);
+          if (state.stopped) break;
+          i = child && child.parent === node ? child.index : i - 1;
+        }
+      }
+      if (state.stopped) return node;
+    }
+
+    if (typeof visitor.leave === 'function') {
+      await call(visitor.leave, path, state);
+      if (path.removed) return null;
+    }
+    return path.node;
+  } finally {
+    path.context = context;
+  }
+}
+
+async function stringifyNode(node, fn, state) {
+  check(state);
+  const value = await fn(node);
+  check(state);
+
+  let str = value != null ? String(value) : '';
+  if (Array.isArray(node.nodes)) {
+    const parts = await map(node.nodes.slice(), state, child => stringifyNode(child, fn, state));
+    str += parts.join('');
+  }
+  return str;
+}
+
+async function call(fn, path, state) {
+  check(state);
+  await fn(path.node, path);
+  check(state);
+}
+
+/**
+ * Call `fn` on each item with at most `state.concurrency` pending calls,
+ * and resolve to the results in the order of `items`.
+ */
+
+async function map(items, state, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async() => {
+    while (next < items.length && !state.stopped) {
+      const i = next++;
+      results[i] = await fn(items[i]);
+    }
+  };
+
+  const workers = [];
+  for (let i = 0; i < Math.min(state.concurrency, items.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+  return results;
+}
+
+function createState(options) {
+  const concurrency = options.concurrency === undefined ? 1 : options.concurrency;
+  if (!(concurrency === Infinity || (Number.isInteger(concurrency) && concurrency > 0))) {
+    throw new TypeError('expected concurrency to be a positive integer');
+  }
+  return { stopped: false, concurrency, signal: options.signal };
+}
+
+function check(state) {
+  const signal = state.signal;
+  if (signal && signal.aborted) {
+    if (signal.reason !== undefined) throw signal.reason;
+    const err = new Error('the operation was aborted');
+    err.name = 'AbortError';
+    throw err;
+  }
+}
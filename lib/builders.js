@@ -0,0 +1,103 @@
+'use strict';
+
+const types = require('./types');
+const cache = new WeakMap();
+
+/**
+ * Get the `builders`, `is` and `assert` functions for the types that are
+ * registered on `Node`. Functions are created once per class, and again
+ * after new types are defined.
+ */
+
+module.exports = (Node, kind) => {
+  let cached = cache.get(Node);
+  if (!cached || cached.version !== types.version()) {
+    cached = create(Node);
+    cache.set(Node, cached);
+  }
+  return cached[kind];
+};
+
+function create(Node) {
+  const res = { version: types.version(), builders: {}, is: {}, assert: {} };
+
+  for (const [type, schema] of types.list(Node)) {
+    res.builders[type] = builder(Node, schema);
+    res.is[type] = (node, props) => isType(Node, node, type, props);
+    res.assert[type] = (node, props) => {
+      if (!isType(Node, node, type, props)) {
+        const actual = Node.isNode(node) ? 'a node of type "' + node.type + '"' : typeof node;
+        throw new TypeError('expected a node of type "' + type + '"' + (props ? ' with the given properties' : '') + ', got ' + actual);
+      }
+      return node;
+    };
+  }
+  return res;
+}
+
+/**
+ * Create a builder function that creates nodes of the given type. Builders
+ * take the properties named in the schema's `builder` array as arguments.
+ * By default this is `value` when the type has a `value` field, then `nodes`
+ * when the type may have child nodes. An object of other properties may be
+ * passed as the last argument.
+ */
+
+function builder(Node, schema) {
+  const fn = typeof schema.builder === 'function' ? schema.builder : null;
+  const keys = Array.isArray(schema.builder) ? schema.builder : defaultKeys(schema);
+
+  return (...args) => {
+    let props = {};
+    if (fn) {
+      const res = fn(...args);
+      if (Node.isNode(res)) return validate(Node, res);
+      props = Object.assign({}, res);
+    } else {
+      keys.forEach((key, i) => {
+        if (args[i] !== undefined) props[key] = args[i];
+      });
+      if (args.length > keys.length && isPlainObject(args[keys.length])) {
+        props = Object.assign({}, args[keys.length], props);
+      }
+    }
+
+    const nodes = props.nodes;
+    delete props.nodes;
+    props.type = schema.type;
+
+    const node = new Node(props);
+    if (nodes !== undefined) {
+      if (!Array.isArray(nodes)) {
+        throw new TypeError('expected nodes of type "' + schema.type + '" to be an array');
+      }
+      node.nodes = node.nodes || [];
+      nodes.forEach(child => node.push(child));
+    }
+    return validate(Node, node);
+  };
+}
+
+function validate(Node, node) {
+  types.enforce(Node, node);
+  return node;
+}
+
+function defaultKeys(schema) {
+  const keys = [];
+  if (schema.fields.value) keys.push('value');
+  if (schema.children !== false) keys.push('nodes');
+  return keys;
+}
+
+function isType(Node, node, type, props) {
+  if (!Node.isNode(node) || !node.isType(type)) return false;
+  if (props) {
+    return Object.keys(props).every(key => node[key] === props[key]);
+  }
+  return true;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value.isNode === true);
+}
@@ -0,0 +1,272 @@
+'use strict';
+
+/**
+ * Returns true if nodes `a` and `b` have the same properties and
+ * equal child nodes. Properties in `options.ignore` are not compared.
+ */
+
+function equals(a, b, options = {}) {
+  return nodeEquals(a, b, new Set(options.ignore || []));
+}
+
+/**
+ * Returns true if values `a` and `b` are deeply equal. Nodes are compared
+ * like `equals`, other objects by their own enumerable properties.
+ */
+
+function valueEquals(a, b) {
+  return isEqual(a, b, new Set());
+}
+
+/**
+ * Returns the list of operations that transform node `a` into node `b`.
+ * Operations have a `path`, the indexes of a node's ancestors and the node
+ * in `node.nodes`, starting from the root. Operations must be applied in
+ * order, since the paths of later operations depend on earlier ones.
+ *
+ * - `{ op: 'replace', path, node }`
+ * - `{ op: 'update', path, key, value }` - `value` is omitted when the property was removed
+ * - `{ op: 'insert', path, node }`
+ * - `{ op: 'remove', path }`
+ */
+
+function diff(a, b, options = {}) {
+  const ops = [];
+  diffNode(a, b, [], ops, new Set(options.ignore || []));
+  return ops;
+}
+
+/**
+ * Apply the operations returned by `diff` to `tree`. Returns the tree,
+ * or the new root when the root was replaced. Nodes are replaced, inserted
+ * and removed with `splice`, so that events are emitted, and `loc` and
+ * strict mode are handled like other changes.
+ */
+
+function patch(tree, ops) {
+  let root = tree;
+
+  for (const op of ops) {
+    if (!Array.isArray(op.path)) {
+      throw new TypeError('expected op.path to be an array');
+    }
+
+    const path = op.path;
+    switch (op.op) {
+      case 'replace': {
+        const node = op.node.clone();
+        if (path.length === 0) {
+          root = node;
+          break;
+        }
+        const { parent, index } = locate(root, path, false);
+        parent.splice(index, 1, node);
+        break;
+      }
+      case 'update': {
+        const node = resolve(root, path);
+        if ('value' in op) {
+          node[op.key] = cloneValue(op.value);
+        } else {
+          delete node[op.key];
+        }
+        break;
+      }
+      case 'insert': {
+        const { parent, index } = locate(root, path, true);
+        parent.splice(index, 0, op.node.clone());
+        break;
+      }
+      case 'remove': {
+        const { parent, index } = locate(root, path, false);
+        parent.splice(index, 1);
+        break;
+      }
+      default: {
+        throw new Error('unsupported patch operation: "' + op.op + '"');
+      }
+    }
+  }
+
+  return root;
+}
+
+/**
+ * Diff nodes with an explicit stack, so that deeply nested trees don't
+ * overflow the call stack. The stack holds pairs of nodes to diff, and
+ * lists of operations that are added after the child nodes of a pair
+ * were diffed, so that operations are in the same order as a recursive
+ * diff would create them.
+ */
+
+function diffNode(a, b, path, ops, ignore) {
+  const stack = [{ a, b, path }];
+
+  while (stack.length) {
+    const task = stack.pop();
+    if (Array.isArray(task)) {
+      task.forEach(op => ops.push(op));
+      continue;
+    }
+
+    const { a: x, b: y, path: p } = task;
+    if (x.type !== y.type || Array.isArray(x.nodes) !== Array.isArray(y.nodes)) {
+      ops.push({ op: 'replace', path: p, node: y.clone() });
+      continue;
+    }
+
+    for (const key of keys(x, y, ignore)) {
+      if (key === 'type' || isEqual(x[key], y[key], ignore)) continue;
+      const op = { op: 'update', path: p, key };
+      if (key in y) op.value = cloneValue(y[key]);
+      ops.push(op);
+    }
+
+    if (Array.isArray(x.nodes)) {
+      const { pairs, rest } = diffChildren(x.nodes, y.nodes, p, ignore);
+      stack.push(rest);
+      for (let i = pairs.length - 1; i >= 0; i--) stack.push(pairs[i]);
+    }
+  }
+}
+
+/**
+ * Nodes that are equal at the start and end of both lists are skipped,
+ * the remaining nodes are diffed pairwise. Surplus nodes are then removed
+ * from, or inserted into the list. Returns the pairs of nodes to diff,
+ * and the operations that remove and insert the surplus nodes. Lists of
+ * the same length are diffed pairwise without comparing them first, since
+ * equal nodes have no operations, and comparing every level of a deep tree
+ * would take quadratic time.
+ */
+
+function diffChildren(x, y, path, ignore) {
+  if (x.length === y.length) {
+    return { pairs: x.map((node, i) => ({ a: node, b: y[i], path: path.concat(i) })), rest: [] };
+  }
+
+  let start = 0;
+  while (start < x.length && start < y.length && nodeEquals(x[start], y[start], ignore)) {
+    start++;
+  }
+
+  let endX = x.length;
+  let endY = y.length;
+  while (endX > start && endY > start && nodeEquals(x[endX - 1], y[endY - 1], ignore)) {
+    endX--;
+    endY--;
+  }
+
+  const pairs = [];
+  const rest = [];
+  const common = Math.min(endX, endY) - start;
+  for (let i = start; i < start + common; i++) {
+    pairs.push({ a: x[i], b: y[i], path: path.concat(i) });
+  }
+  for (let i = start + common; i < endX; i++) {
+    rest.push({ op: 'remove', path: path.concat(start + common) });
+  }
+  for (let i = start + common; i < endY; i++) {
+    rest.push({ op: 'insert', path: path.concat(i), node: y[i].clone() });
+  }
+  return { pairs, rest };
+}
+
+function nodeEquals(a, b, ignore) {
+  const stack = [[a, b]];
+
+  while (stack.length) {
+    const [x, y] = stack.pop();
+    if (x === y) continue;
+    if (!isNode(x) || !isNode(y)) return false;
+
+    for (const key of keys(x, y, ignore)) {
+      if (!isEqual(x[key], y[key], ignore)) {
+        return false;
+      }
+    }
+
+    if (ignore.has('nodes')) continue;
+    if (Array.isArray(x.nodes) !== Array.isArray(y.nodes)) return false;
+    if (!Array.isArray(x.nodes)) continue;
+    if (x.nodes.length !== y.nodes.length) return false;
+
+    for (let i = x.nodes.length - 1; i >= 0; i--) {
+      stack.push([x.nodes[i], y.nodes[i]]);
+    }
+  }
+  return true;
+}
+
+function isEqual(a, b, ignore) {
+  if (Object.is(a, b)) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (isNode(a) || isNode(b)) return nodeEquals(a, b, ignore);
+
+  if (Array.isArray(a)) {
+    return Array.isArray(b) && a.length === b.length && a.every((v, i) => isEqual(v, b[i], ignore));
+  }
+  if (a instanceof RegExp || a instanceof Date) {
+    return a.constructor === b.constructor && String(a) === String(b);
+  }
+
+  const ka = Object.keys(a);
+  const kb = Object.keys(b);
+  return ka.length === kb.length && ka.every(k => hasOwn(b, k) && isEqual(a[k], b[k], ignore));
+}
+
+/**
+ * Enumerable property names of both nodes, except `nodes` and
+ * ignored properties.
+ */
+
+function keys(a, b, ignore) {
+  const set = new Set(Object.keys(a).concat(Object.keys(b)));
+  set.delete('nodes');
+  return [...set].filter(key => !ignore.has(key));
+}
+
+function resolve(root, path) {
+  let node = root;
+  for (const index of path) {
+    node = node && Array.isArray(node.nodes) ? node.nodes[index] : undefined;
+    if (!node) {
+      throw new Error('invalid patch path: [' + path.join(', ') + ']');
+    }
+  }
+  return node;
+}
+
+function locate(root, path, insert) {
+  const parent = resolve(root, path.slice(0, -1));
+  const index = path[path.length - 1];
+  const len = Array.isArray(parent.nodes) ? parent.nodes.length : 0;
+  if (!(index >= 0 && (insert ? index <= len : index < len))) {
+    throw new Error('invalid patch path: [' + path.join(', ') + ']');
+  }
+  return { parent, index };
+}
+
+function cloneValue(value) {
+  if (Array.isArray(value)) return value.map(cloneValue);
+  if (isNode(value)) return value.clone();
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    const obj = {};
+    for (const key of Object.keys(value)) obj[key] = cloneValue(value[key]);
+    return obj;
+  }
+  return value;
+}
+
+function isNode(value) {
+  return value !== null && typeof value === 'object' && value.isNode === true;
+}
+
+function hasOwn(obj, key) {
+  return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+exports.equals = equals;
+exports.valueEquals = valueEquals;
+exports.diff = diff;
+exports.patch = patch;
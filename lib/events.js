@@ -0,0 +1,166 @@
+'use strict';
+
+const listeners = new WeakMap();
+const proxies = new WeakMap();
+const targets = new WeakMap();
+let count = 0;
+
+/**
+ * Returns true when any node has listeners, or when `node` is part of an
+ * observed tree, so that mutators can skip creating events when nobody
+ * is listening.
+ */
+
+exports.active = node => count > 0 || (node !== undefined && proxies.has(exports.unwrap(node)));
+
+exports.on = (node, type, fn) => {
+  const target = exports.unwrap(node);
+  let map = listeners.get(target);
+  if (!map) {
+    map = new Map();
+    listeners.set(target, map);
+  }
+  if (!map.has(type)) map.set(type, []);
+  map.get(type).push(fn);
+  count++;
+};
+
+exports.off = (node, type, fn) => {
+  const map = listeners.get(exports.unwrap(node));
+  const fns = map && map.get(type);
+  if (!fns) return;
+
+  if (fn === undefined) {
+    count -= fns.length;
+    map.delete(type);
+    return;
+  }
+
+  const idx = fns.indexOf(fn);
+  if (idx !== -1) {
+    fns.splice(idx, 1);
+    count--;
+  }
+};
+
+/**
+ * Create an event and call the listeners of `type` and `change` on the
+ * node the event happened on, then on each of its ancestors. Events of
+ * type `set` start at the node that was changed, other events start at
+ * the parent. Nodes added to an observed tree are observed too.
+ */
+
+exports.emit = (type, parent, index, node, previous, key) => {
+  if (!exports.active(type === 'set' ? node : parent)) return;
+
+  // nodes that are added to an observed tree by a proxy have the proxy
+  // as their parent, which is replaced with the node behind it
+  if ((type === 'insert' || type === 'replace') && proxies.has(exports.unwrap(parent))) {
+    const target = exports.unwrap(node);
+    target.parent = exports.unwrap(target.parent);
+    node = proxy(target);
+  }
+
+  const event = { type, parent, index, node };
+  if (type === 'set') {
+    event.key = key;
+    event.value = node[key];
+  }
+  if (type === 'replace' || type === 'set') {
+    event.previous = previous;
+  }
+
+  for (let n = type === 'set' ? node : parent; n; n = n.parent) {
+    const map = listeners.get(exports.unwrap(n));
+    if (map) {
+      const fns = (map.get(type) || []).concat(map.get('change') || []);
+      fns.forEach(fn => fn(event));
+    }
+  }
+};
+
+exports.unwrap = node => (targets.has(node) ? targets.get(node) : node);
+
+/**
+ * Returns a proxy for `tree` that emits `set` events when properties are
+ * assigned or deleted. The tree itself is not changed: the `parent` and
+ * `nodes` of proxies return proxies, which are created when the nodes are
+ * accessed, so that nodes that are added to the tree later are observed
+ * too. Values that are assigned to `parent` and `nodes` through a proxy
+ * are replaced with the nodes behind their proxies.
+ */
+
+exports.observe = tree => proxy(tree);
+
+function proxy(node) {
+  const target = exports.unwrap(node);
+  if (!proxies.has(target)) {
+    const res = new Proxy(target, handler());
+    proxies.set(target, res);
+    targets.set(res, target);
+  }
+  return proxies.get(target);
+}
+
+/**
+ * Returns a proxy for `node.nodes` that returns proxies for the nodes it
+ * contains, and stores the nodes behind proxies that are added to it.
+ */
+
+function proxyNodes(nodes) {
+  if (!proxies.has(nodes)) {
+    const res = new Proxy(nodes, {
+      get(target, key, receiver) {
+        const value = Reflect.get(target, key, receiver);
+        return isIndex(key) && value && value.isNode === true ? proxy(value) : value;
+      },
+      set(target, key, value) {
+        return Reflect.set(target, key, isIndex(key) ? exports.unwrap(value) : value);
+      }
+    });
+    proxies.set(nodes, res);
+    targets.set(res, nodes);
+  }
+  return proxies.get(nodes);
+}
+
+function handler() {
+  // properties that are not enumerable, like `parent` and `size`, and
+  // `nodes`, which is reported with insert and remove events, are ignored
+  const ignore = (target, key) => {
+    const desc = Object.getOwnPropertyDescriptor(target, key);
+    return key === 'nodes' || typeof key === 'symbol' || (desc !== undefined && !desc.enumerable);
+  };
+
+  return {
+    get(target, key, receiver) {
+      const value = Reflect.get(target, key, receiver);
+      if (key === 'parent' && value) return proxies.get(value) || value;
+      if (key === 'nodes' && Array.isArray(value)) return proxyNodes(value);
+      return value;
+    },
+    set(target, key, value, receiver) {
+      if (key === 'parent') value = exports.unwrap(value);
+      if (key === 'nodes' && Array.isArray(value)) value = exports.unwrap(value).map(exports.unwrap);
+      if (ignore(target, key)) return Reflect.set(target, key, value);
+      const previous = target[key];
+      const res = Reflect.set(target, key, value);
+      if (previous !== value) {
+        exports.emit('set', receiver.parent, receiver.index, receiver, previous, key);
+      }
+      return res;
+    },
+    deleteProperty(target, key) {
+      if (ignore(target, key) || !(key in target)) return Reflect.deleteProperty(target, key);
+      const previous = target[key];
+      const res = Reflect.deleteProperty(target, key);
+      const node = proxies.get(target);
+      exports.emit('set', node.parent, node.index, node, previous, key);
+      return res;
+    }
+  };
+}
+
+function isIndex(key) {
+  return typeof key === 'string' && /^(0|[1-9]\d*)$/.test(key);
+}
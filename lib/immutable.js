@@ -0,0 +1,189 @@
+'use strict';
+
+const location = require('./location');
+const states = new WeakMap();
+
+/**
+ * Immutable trees are made of two layers. The nodes that hold the data
+ * are never modified once they are part of an immutable tree, and are
+ * shared between the versions of a tree. Each version has its own read-only
+ * proxies around them, which are created lazily as the tree is accessed,
+ * and which provide the `parent` and `nodes` of that version. Arrays and
+ * plain objects on the nodes are frozen when the nodes are wrapped, and
+ * are copied when a node is copied for a new version.
+ */
+
+exports.create = tree => wrap(tree.clone(), null);
+
+exports.isImmutable = node => states.has(node);
+
+/**
+ * Returns the node with the data behind an immutable node.
+ */
+
+exports.unwrap = node => (states.has(node) ? states.get(node).target : node);
+
+/**
+ * Call `method` with `args` on a copy of the node behind `node`, and
+ * return the root of a new version of the tree, in which the ancestors
+ * of the node are copied and everything else is shared.
+ */
+
+exports.apply = (node, method, args) => {
+  const state = states.get(node);
+  const copy = shallow(state.target);
+  const targets = new Map();
+
+  // the method sets `parent` and `index` on children, so it's called with
+  // stand-ins for the shared children, which are swapped back afterwards
+  if (Array.isArray(copy.nodes)) {
+    copy.nodes = copy.nodes.map(child => {
+      const standIn = Object.create(child);
+      standIn.parent = copy;
+      targets.set(standIn, child);
+      return standIn;
+    });
+  }
+
+  args = args.map(arg => toTarget(arg, copy, targets));
+  Object.getPrototypeOf(copy)[method].apply(copy, args);
+
+  if (Array.isArray(copy.nodes)) {
+    copy.nodes = copy.nodes.map(child => targets.get(child) || child);
+  }
+  return rebuild(node, copy);
+};
+
+function rebuild(node, target) {
+  let current = node;
+  let state = states.get(current);
+
+  while (state.parent) {
+    const index = current.index;
+    const parent = shallow(states.get(state.parent).target);
+    parent.nodes[index] = target;
+    if (target.loc) location.widen(parent, target.loc);
+    target = parent;
+    current = state.parent;
+    state = states.get(current);
+  }
+
+  return wrap(target, null);
+}
+
+function wrap(target, parent) {
+  freeze(target);
+  const state = { target, parent, nodes: null, index: undefined, proxy: null };
+  state.proxy = new Proxy(target, handler(state));
+  states.set(state.proxy, state);
+  return state.proxy;
+}
+
+function handler(state) {
+  const fail = key => {
+    throw new TypeError('cannot modify "' + String(key) + '" on an immutable node');
+  };
+
+  return {
+    get(target, key, receiver) {
+      if (key === 'parent') return state.parent;
+      if (key === 'nodes') return children(state);
+      if (key === '_index') return state.index;
+      return Reflect.get(target, key, receiver);
+    },
+    getOwnPropertyDescriptor(target, key) {
+      const desc = Reflect.getOwnPropertyDescriptor(target, key);
+      if (desc && key === 'nodes') desc.value = children(state);
+      if (desc && key === 'parent') desc.value = state.parent;
+      return desc;
+    },
+    defineProperty(target, key, desc) {
+      // node.index caches the index on "_index"
+      if (key !== '_index') fail(key);
+      state.index = desc.value;
+      return true;
+    },
+    set(target, key) {
+      return fail(key);
+    },
+    deleteProperty(target, key) {
+      return fail(key);
+    },
+    setPrototypeOf() {
+      return fail('__proto__');
+    }
+  };
+}
+
+function children(state) {
+  if (state.nodes === null) {
+    const nodes = state.target.nodes;
+    state.nodes = Array.isArray(nodes) ? Object.freeze(nodes.map(child => wrap(child, state.proxy))) : nodes;
+  }
+  return state.nodes;
+}
+
+function shallow(target) {
+  const copy = Object.create(Object.getPrototypeOf(target));
+  const descriptors = Object.getOwnPropertyDescriptors(target);
+  for (const key of Object.keys(descriptors)) {
+    const desc = descriptors[key];
+    if (key !== 'nodes' && 'value' in desc) desc.value = copyValue(desc.value);
+  }
+  Object.defineProperties(copy, descriptors);
+  if (Array.isArray(target.nodes)) {
+    copy.nodes = target.nodes.slice();
+  }
+  copy.parent = null;
+  return copy;
+}
+
+function copyValue(value) {
+  if (Array.isArray(value)) return value.map(copyValue);
+  if (isPlainObject(value)) {
+    const obj = {};
+    for (const key of Object.keys(value)) obj[key] = copyValue(value[key]);
+    return obj;
+  }
+  return value;
+}
+
+/**
+ * Deeply freeze the arrays and plain objects on `target`, so that values
+ * that are shared by versions of a tree can't be modified.
+ */
+
+function freeze(target) {
+  const stack = Object.keys(target).filter(key => key !== 'nodes').map(key => target[key]);
+  while (stack.length) {
+    const value = stack.pop();
+    if ((Array.isArray(value) || isPlainObject(value)) && !Object.isFrozen(value)) {
+      Object.freeze(value);
+      for (const key of Object.keys(value)) stack.push(value[key]);
+    }
+  }
+}
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Arguments that are children of the node are passed as their stand-ins,
+ * so they can be found on `node.nodes`. Other nodes are cloned, so that
+ * nodes from other trees are not shared with the immutable tree.
+ */
+
+function toTarget(arg, copy, targets) {
+  if (states.has(arg) && Array.isArray(copy.nodes)) {
+    const target = states.get(arg).target;
+    const standIn = copy.nodes.find(child => targets.get(child) === target);
+    if (standIn) return standIn;
+  }
+  if (arg && arg.isNode === true) {
+    return arg.clone();
+  }
+  return arg;
+}
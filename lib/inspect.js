@@ -0,0 +1,70 @@
+'use strict';
+
+const styles = { type: 36, value: 32, loc: 90, guide: 90 };
+
+/**
+ * Draw `node` and its descendants as an indented tree, with one line per
+ * node showing its type, value and optionally its `loc`:
+ *
+ * ```
+ * root
+ * ├─ text "a"
+ * └─ brace
+ *    └─ text "b"
+ * ```
+ * Children of nodes at `options.depth` are replaced with a count.
+ */
+
+exports.tree = (node, options = {}) => {
+  const depth = options.depth == null ? Infinity : options.depth;
+  const style = options.colors === true ? colorize : (name, str) => str;
+  const lines = [];
+  const stack = [[node, '', '', 0]];
+
+  while (stack.length) {
+    const [current, prefix, guide, level] = stack.pop();
+    let str = prefix + style('type', String(current.type));
+
+    if (current.value !== undefined) {
+      str += ' ' + style('value', formatValue(current.value));
+    }
+    if (options.showLoc === true && current.loc) {
+      str += ' ' + style('loc', formatLoc(current.loc));
+    }
+
+    const nodes = Array.isArray(current.nodes) ? current.nodes : [];
+    if (nodes.length > 0 && level >= depth) {
+      str += ' ' + style('guide', '[' + nodes.length + (nodes.length === 1 ? ' node]' : ' nodes]'));
+    }
+    lines.push(str);
+
+    if (level < depth) {
+      for (let i = nodes.length - 1; i >= 0; i--) {
+        const last = i === nodes.length - 1;
+        const branch = style('guide', last ? '└─ ' : '├─ ');
+        const next = guide + style('guide', last ? '   ' : '│  ');
+        stack.push([nodes[i], guide + branch, next, level + 1]);
+      }
+    }
+  }
+
+  return lines.join('\n');
+};
+
+function formatValue(value) {
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (value !== null && typeof value === 'object') return Array.isArray(value) ? '[Array]' : '[Object]';
+  return String(value);
+}
+
+function formatLoc(loc) {
+  const pos = p => {
+    if (!p) return '?';
+    return typeof p.line === 'number' ? p.line + ':' + p.column : String(p.index);
+  };
+  return pos(loc.start) + '-' + pos(loc.end);
+}
+
+function colorize(name, str) {
+  return '\u001b[' + styles[name] + 'm' + str + '\u001b[39m';
+}
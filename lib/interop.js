@@ -0,0 +1,293 @@
+'use strict';
+
+/**
+ * Convert a unist tree (used by unified, remark and rehype) to a tree of
+ * plain objects that can be passed to the `Node` constructor. `children`
+ * become `nodes`, and `position` becomes `loc`, with the `offset` of each
+ * point as its `index`. Other properties are copied, except properties
+ * that `reserved(type, key)` returns true for, like mdast's `depth`, which
+ * can't be set on a node. Those are added to a `unist` object instead.
+ */
+
+exports.fromUnist = (tree, reserved) => {
+  return convert(tree, (source, target) => {
+    const children = [];
+    target.type = source.type;
+    for (const key of Object.keys(source)) {
+      if (key === 'type' || key === 'children') continue;
+      if (key === 'position' && isObject(source.position)) {
+        target.loc = position(source.position, 'offset', 'index');
+      } else if (key === 'unist' || reserved(source.type, key)) {
+        target.unist = target.unist || {};
+        target.unist[key] = copy(source[key]);
+      } else {
+        target[key] = copy(source[key]);
+      }
+    }
+    if (Array.isArray(source.children)) {
+      target.nodes = source.children.map(child => {
+        const res = {};
+        children.push([child, res]);
+        return res;
+      });
+    }
+    return children;
+  });
+};
+
+/**
+ * Convert a node and its descendants to a unist tree. This is the reverse
+ * of `fromUnist`, so the properties of `node.unist` are added to the node.
+ */
+
+exports.toUnist = node => {
+  return convert(node, (source, target) => {
+    const children = [];
+    target.type = source.type;
+    for (const key of Object.keys(source)) {
+      if (key === 'type' || key === 'nodes') continue;
+      if (key === 'loc' && isObject(source.loc)) {
+        target.position = position(source.loc, 'index', 'offset');
+      } else if (key === 'unist' && isObject(source.unist)) {
+        for (const k of Object.keys(source.unist)) target[k] = copy(source.unist[k]);
+      } else {
+        target[key] = copy(source[key]);
+      }
+    }
+    if (Array.isArray(source.nodes)) {
+      target.children = source.nodes.map(child => {
+        const res = {};
+        children.push([child, res]);
+        return res;
+      });
+    }
+    return children;
+  });
+};
+
+/**
+ * Convert an ESTree tree to a tree of plain objects that can be passed to
+ * the `Node` constructor. Child nodes from all child keys are added to
+ * `nodes` in order, with the key they were found on as their `field`, and
+ * the keys that had arrays of child nodes are listed on `lists`. ESTree
+ * columns start at 0, and are converted to columns that start at 1. The
+ * `start` and `end` offsets (or the `range`) are moved to `loc`.
+ *
+ * By default, child keys are properties with a node or an array of nodes
+ * (objects with a string `type`) as their value. Pass `options.childKeys`
+ * with an object of node types to arrays of keys to set the child keys of
+ * the given types.
+ */
+
+exports.fromESTree = (tree, options = {}) => {
+  const childKeys = options.childKeys || {};
+  if (!isObject(childKeys)) {
+    throw new TypeError('expected childKeys to be an object');
+  }
+
+  return convert(tree, (source, target) => {
+    const keys = Object.keys(source).filter(key => isChildKey(source, key, childKeys[source.type]));
+    const children = [];
+    const lists = [];
+
+    target.type = source.type;
+
+    for (const key of Object.keys(source)) {
+      if (key === 'type' || key === 'loc' || keys.indexOf(key) !== -1) continue;
+      if ((key === 'start' || key === 'end') && typeof source[key] === 'number') continue;
+      if (key === 'range' && isRange(source.range)) continue;
+      target[key] = copy(source[key]);
+    }
+
+    const loc = fromESTreeLoc(source);
+    if (loc) target.loc = loc;
+
+    const nodes = [];
+    for (const key of keys) {
+      const value = source[key];
+      if (Array.isArray(value)) lists.push(key);
+      for (const child of [].concat(value)) {
+        const res = { type: child.type, field: key };
+        nodes.push(res);
+        children.push([child, res]);
+      }
+    }
+    if (lists.length) target.lists = lists;
+    if (nodes.length || lists.length) target.nodes = nodes;
+    return children;
+  });
+};
+
+/**
+ * Convert a node and its descendants to an ESTree tree. This is the reverse
+ * of `fromESTree`. Child nodes are added to the key of their `field`, as an
+ * array when the key is listed on `lists` of the parent node. Child nodes
+ * without a `field` are added to a `nodes` array. Pass `options.range` to
+ * add `range` arrays with the offsets of nodes.
+ */
+
+exports.toESTree = (node, options = {}) => {
+  return convert(node, (source, target) => {
+    const children = [];
+    const lists = Array.isArray(source.lists) ? source.lists : [];
+
+    target.type = source.type;
+    for (const key of Object.keys(source)) {
+      if (key === 'type' || key === 'nodes' || key === 'field' || key === 'lists') continue;
+      if (key === 'loc' && isObject(source.loc)) continue;
+      target[key] = copy(source[key]);
+    }
+
+    if (isObject(source.loc)) {
+      toESTreeLoc(source.loc, target, options);
+    }
+
+    for (const key of lists) target[key] = [];
+    for (const child of source.nodes || []) {
+      const key = typeof child.field === 'string' ? child.field : 'nodes';
+      const res = {};
+      if (key === 'nodes' && !Array.isArray(target.nodes)) target.nodes = [];
+      if (Array.isArray(target[key])) {
+        target[key].push(res);
+      } else if (target[key] !== undefined) {
+        target[key] = [target[key], res];
+      } else {
+        target[key] = res;
+      }
+      children.push([child, res]);
+    }
+    return children;
+  });
+};
+
+/**
+ * Convert `tree` with an explicit stack, so that deeply nested trees
+ * don't overflow the call stack. `fn` is called with each source object
+ * and the target object to fill in, and returns an array of
+ * `[source, target]` pairs for the child nodes.
+ */
+
+function convert(tree, fn) {
+  const root = {};
+  const stack = [[tree, root]];
+
+  while (stack.length) {
+    const [source, target] = stack.pop();
+    const children = fn(source, target);
+    for (let i = children.length - 1; i >= 0; i--) {
+      stack.push(children[i]);
+    }
+  }
+  return root;
+}
+
+function isChildKey(source, key, keys) {
+  if (key === 'type' || key === 'loc') return false;
+  const value = source[key];
+  if (Array.isArray(keys) && keys.indexOf(key) === -1) return false;
+  if (Array.isArray(value)) return value.every(isNodeLike);
+  return isNodeLike(value);
+}
+
+function isNodeLike(value) {
+  return isObject(value) && typeof value.type === 'string';
+}
+
+function isRange(value) {
+  return Array.isArray(value) && value.length === 2 && value.every(n => typeof n === 'number');
+}
+
+function fromESTreeLoc(source) {
+  const range = isRange(source.range) ? source.range : null;
+  const start = typeof source.start === 'number' ? source.start : range ? range[0] : undefined;
+  const end = typeof source.end === 'number' ? source.end : range ? range[1] : undefined;
+  if (!isObject(source.loc)) {
+    return start === undefined && end === undefined ? null : { start: { index: start }, end: { index: end } };
+  }
+
+  // parsers like acorn share class instances for points between nodes,
+  // so each point is copied to a new object before it's changed
+  const loc = {};
+  for (const key of Object.keys(source.loc)) {
+    const value = source.loc[key];
+    loc[key] = (key === 'start' || key === 'end') && isObject(value) ? copyOwn(value) : copy(value);
+  }
+
+  for (const [key, index] of [['start', start], ['end', end]]) {
+    const point = loc[key];
+    if (!isObject(point)) continue;
+    if (typeof point.column === 'number') point.column++;
+    if (index !== undefined) point.index = index;
+  }
+  return loc;
+}
+
+function toESTreeLoc(loc, target, options) {
+  const start = isObject(loc.start) ? loc.start : {};
+  const end = isObject(loc.end) ? loc.end : {};
+
+  if (typeof start.index === 'number' && typeof end.index === 'number') {
+    target.start = start.index;
+    target.end = end.index;
+    if (options.range === true) target.range = [start.index, end.index];
+  }
+
+  if (typeof start.line !== 'number') return;
+  const res = {};
+  for (const key of Object.keys(loc)) {
+    const value = copy(loc[key]);
+    if ((key === 'start' || key === 'end') && isObject(value)) {
+      delete value.index;
+      if (typeof value.column === 'number') value.column--;
+    }
+    res[key] = value;
+  }
+  target.loc = res;
+}
+
+/**
+ * Copy a unist `position` or a node `loc`, renaming the `from` key of
+ * its points to `to`.
+ */
+
+function position(value, from, to) {
+  const res = {};
+  for (const key of Object.keys(value)) {
+    if ((key === 'start' || key === 'end') && isObject(value[key])) {
+      const point = {};
+      for (const k of Object.keys(value[key])) {
+        point[k === from ? to : k] = copy(value[key][k]);
+      }
+      res[key] = point;
+    } else {
+      res[key] = copy(value[key]);
+    }
+  }
+  return res;
+}
+
+function copy(value) {
+  if (Array.isArray(value)) return value.map(copy);
+  if (isPlainObject(value)) {
+    const obj = {};
+    for (const key of Object.keys(value)) obj[key] = copy(value[key]);
+    return obj;
+  }
+  return value;
+}
+
+function copyOwn(value) {
+  const obj = {};
+  for (const key of Object.keys(value)) obj[key] = copy(value[key]);
+  return obj;
+}
+
+function isObject(val) {
+  return val !== null && typeof val === 'object' && !Array.isArray(val);
+}
+
+function isPlainObject(val) {
+  if (!isObject(val)) return false;
+  const proto = Object.getPrototypeOf(val);
+  return proto === Object.prototype || proto === null;
+}
@@ -0,0 +1,134 @@
+'use strict';
+
+const registry = require('./registry');
+const VERSION = 1;
+
+/**
+ * Serialize `node` into the versioned JSON format:
+ *
+ * ```js
+ * { version: 1, node: { type, value, ...props, nodes } }
+ * ```
+ * Properties are ordered as `type`, `value`, other properties sorted by
+ * name, then `nodes`, so that equal trees produce the same JSON.
+ */
+
+exports.serialize = (node, options = {}) => {
+  const omit = new Set(options.omit || []);
+  return { version: VERSION, node: toObject(node, omit) };
+};
+
+/**
+ * Create a tree of `Node` instances from the format returned by
+ * `serialize`, or a JSON string of it.
+ */
+
+exports.parse = (Node, json) => {
+  const data = typeof json === 'string' ? JSON.parse(json) : json;
+
+  if (data === null || typeof data !== 'object' || !data.node) {
+    throw new TypeError('expected a serialized node');
+  }
+  if (data.version !== VERSION) {
+    throw new Error('unsupported serialized node version: ' + data.version);
+  }
+  return toNode(Node, data.node);
+};
+
+exports.VERSION = VERSION;
+
+/**
+ * Serialize a node and its descendants with an explicit stack, so that
+ * deeply nested trees don't overflow the call stack.
+ */
+
+function toObject(root, omit) {
+  const res = {};
+  const stack = [[root, res]];
+
+  while (stack.length) {
+    const [node, obj] = stack.pop();
+    const keys = Object.keys(node).filter(key => !omit.has(key) && key !== 'nodes');
+    keys.sort((a, b) => order(a) - order(b) || (a < b ? -1 : a > b ? 1 : 0));
+
+    for (const key of keys) {
+      const value = toValue(node[key], omit);
+      if (value !== undefined) {
+        obj[key] = value;
+      }
+    }
+
+    if (Array.isArray(node.nodes) && !omit.has('nodes')) {
+      obj.nodes = node.nodes.map(() => ({}));
+      for (let i = node.nodes.length - 1; i >= 0; i--) {
+        stack.push([node.nodes[i], obj.nodes[i]]);
+      }
+    }
+  }
+  return res;
+}
+
+function toValue(value, omit) {
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'function' ? undefined : value;
+  }
+  if (value.isNode === true) {
+    return toObject(value, omit);
+  }
+  if (typeof value.toJSON === 'function') {
+    return value.toJSON();
+  }
+  if (Array.isArray(value)) {
+    return value.map(ele => {
+      const res = toValue(ele, omit);
+      return res === undefined ? null : res;
+    });
+  }
+  const obj = {};
+  for (const key of Object.keys(value)) {
+    const res = toValue(value[key], omit);
+    if (res !== undefined) obj[key] = res;
+  }
+  return obj;
+}
+
+/**
+ * Create nodes from a serialized node and its descendants, with an
+ * explicit stack. Child nodes are created with the base class of `Node`.
+ */
+
+function toNode(Node, root) {
+  const Base = registry.base(Node);
+  const stack = [[Node, root, null, -1]];
+  let res = null;
+
+  while (stack.length) {
+    const [Ctor, obj, parent, index] = stack.pop();
+    const props = Object.assign({}, obj);
+    delete props.nodes;
+
+    const node = new Ctor(props, null, true);
+    if (parent === null) {
+      res = node;
+    } else {
+      parent.nodes[index] = node;
+      node.parent = parent;
+      node.index = index;
+    }
+
+    if (Array.isArray(obj.nodes)) {
+      node.nodes = new Array(obj.nodes.length);
+      node.size = obj.nodes.length;
+      for (let i = obj.nodes.length - 1; i >= 0; i--) {
+        stack.push([Base, obj.nodes[i], node, i]);
+      }
+    }
+  }
+  return res;
+}
+
+function order(key) {
+  if (key === 'type') return 0;
+  if (key === 'value') return 1;
+  return 2;
+}
@@ -0,0 +1,89 @@
+'use strict';
+
+let cachedSource = null;
+let cachedLines = null;
+
+/**
+ * Returns the `{ line, column, index }` position of the character at
+ * `index` in `source`. Lines and columns start at 1, like positions
+ * created by the snapdragon parser.
+ */
+
+exports.locate = (source, index) => {
+  const lines = lineStarts(source);
+  let lo = 0;
+  let hi = lines.length - 1;
+
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (lines[mid] <= index) {
+      lo = mid;
+    } else {
+      hi = mid - 1;
+    }
+  }
+
+  return { line: lo + 1, column: index - lines[lo] + 1, index };
+};
+
+/**
+ * Widen the `loc` of `node` and its ancestors to include the given `loc`.
+ * Nodes without a `loc` take a copy of the given one.
+ */
+
+exports.widen = (node, loc) => {
+  for (let n = node; n; n = n.parent) {
+    if (!n.loc) {
+      n.loc = { start: Object.assign({}, loc.start), end: Object.assign({}, loc.end) };
+      continue;
+    }
+
+    const start = compare(loc.start, n.loc.start) < 0;
+    const end = compare(loc.end, n.loc.end) > 0;
+    if (!start && !end) break;
+
+    // assign a new object, since loc may be shared with other nodes
+    n.loc = Object.assign({}, n.loc, {
+      start: Object.assign({}, start ? loc.start : n.loc.start),
+      end: Object.assign({}, end ? loc.end : n.loc.end)
+    });
+  }
+};
+
+/**
+ * Get the `[start, end]` offsets of a token from `token.range`,
+ * `token.start` and `token.end`, or `token.index` and the length of
+ * `token.value`. Returns `null` when the token has no offsets.
+ */
+
+exports.offsets = token => {
+  if (Array.isArray(token.range)) {
+    return token.range;
+  }
+  if (typeof token.start === 'number' && typeof token.end === 'number') {
+    return [token.start, token.end];
+  }
+  if (typeof token.index === 'number') {
+    const len = typeof token.value === 'string' ? token.value.length : 0;
+    return [token.index, token.index + len];
+  }
+  return null;
+};
+
+function compare(a, b) {
+  if (typeof a.index === 'number' && typeof b.index === 'number') {
+    return a.index - b.index;
+  }
+  return (a.line - b.line) || (a.column - b.column);
+}
+
+function lineStarts(source) {
+  if (source !== cachedSource) {
+    cachedLines = [0];
+    for (let i = 0; i < source.length; i++) {
+      if (source[i] === '\n') cachedLines.push(i + 1);
+    }
+    cachedSource = source;
+  }
+  return cachedLines;
+}
@@ -0,0 +1,245 @@
+'use strict';
+
+const diff = require('./diff');
+const sexpr = require('./sexpr');
+const parsed = new Map();
+const MAX_CACHE_SIZE = 100;
+
+/**
+ * Match `node` against `pattern`, and return an object with the captured
+ * values, or `null` if the node doesn't match. Patterns are S-expressions
+ * or objects, where:
+ *
+ * - `'$name'` matches any value (or any node in `nodes`) and captures it
+ * - `'$_'` matches any value without capturing it
+ * - `'$$name'` in an array matches any number of items, and captures them
+ * - functions are predicates, called with the value and the node
+ * - regular expressions are tested against strings
+ * - objects match partially, and arrays match each item
+ * - strings that start with backslashes and a `$` are escaped, and match
+ *   the string without the first backslash
+ *
+ * Other values must be strictly equal. A name that is captured more than
+ * once must have equal values.
+ */
+
+exports.match = (node, pattern) => {
+  const captures = {};
+  return matchValue(node, compile(pattern), captures, node) ? captures : null;
+};
+
+/**
+ * Apply `rules` to the nodes of `tree` until the tree doesn't change,
+ * and return the tree, or the node that replaced it. Each rule is an
+ * object with a `pattern` and a `replace` value, which is a template
+ * (an S-expression or an object with placeholders for captured values),
+ * or a function that's called with the captures and the node and returns
+ * a template, a node, an object, an array of nodes, `null` to remove the
+ * node, or `undefined` to keep it. Each pass walks the tree once with
+ * `walk`, which doesn't call the visitors of plugins, so that they can't
+ * change the tree between passes. Nodes that replace other nodes are
+ * matched on the next pass. An error is thrown when the tree repeats a
+ * previous state, or when it's still changing after `options.maxIterations`
+ * passes.
+ */
+
+exports.rewrite = (Node, tree, rules, options, walk) => {
+  if (!Array.isArray(rules)) {
+    throw new TypeError('expected rules to be an array');
+  }
+  rules = rules.map(rule => {
+    if (rule === null || typeof rule !== 'object' || !('pattern' in rule) || !('replace' in rule)) {
+      throw new TypeError('expected rules to be objects with a pattern and a replace value');
+    }
+    return { pattern: compile(rule.pattern), replace: rule.replace };
+  });
+
+  const max = options.maxIterations === undefined ? 100 : options.maxIterations;
+  if (!Number.isInteger(max) || max < 1) {
+    throw new TypeError('expected maxIterations to be a positive integer');
+  }
+  const seen = new Map([[sexpr.stringify(tree), 0]]);
+
+  const visitor = {
+    enter(node, path) {
+      for (const rule of rules) {
+        const captures = exports.match(node, rule.pattern);
+        if (captures === null) continue;
+
+        let res = typeof rule.replace === 'function' ? rule.replace(captures, node) : rule.replace;
+        if (typeof res === 'string' || res === rule.replace) {
+          res = fill(Node, compile(res), captures);
+        }
+        if (res === undefined || res === node) continue;
+
+        const nodes = res === null ? [] : [].concat(res);
+        if (!path.parent && nodes.length !== 1) {
+          throw new Error('expected the root node to be replaced with one node');
+        }
+        if (nodes.length === 0) {
+          path.remove();
+        } else if (nodes.length === 1) {
+          if (!path.parent && Node.isNode(nodes[0])) nodes[0].detach();
+          path.replace(nodes[0]);
+          path.skip();
+        } else {
+          path.replaceWith(...nodes);
+        }
+        return;
+      }
+    }
+  };
+
+  for (let i = 1; i <= max; i++) {
+    tree = walk(tree, visitor);
+
+    const signature = sexpr.stringify(tree);
+    if (seen.has(signature)) {
+      if (seen.get(signature) === i - 1) return tree;
+      throw new Error('rewrite rules are in a loop: the tree after pass ' + i + ' is the same as after pass ' + seen.get(signature));
+    }
+    seen.set(signature, i);
+  }
+
+  throw new Error('expected rewrite rules to finish in ' + max + ' passes');
+};
+
+/**
+ * Parse S-expression patterns. The most recently used patterns are cached,
+ * and the least recently used pattern is removed when the cache is full.
+ */
+
+function compile(pattern) {
+  if (typeof pattern !== 'string' || isPlaceholder(pattern)) return pattern;
+  let res = parsed.get(pattern);
+  if (res) {
+    parsed.delete(pattern);
+  } else {
+    res = sexpr.parsePattern(pattern);
+    if (parsed.size >= MAX_CACHE_SIZE) parsed.delete(parsed.keys().next().value);
+  }
+  parsed.set(pattern, res);
+  return res;
+}
+
+function matchValue(value, pattern, captures, node) {
+  if (isPlaceholder(pattern)) {
+    return capture(pattern.slice(1), value, captures);
+  }
+  if (typeof pattern === 'function') {
+    return Boolean(pattern(value, node));
+  }
+  if (pattern instanceof RegExp) {
+    return typeof value === 'string' && pattern.test(value);
+  }
+  if (Array.isArray(pattern)) {
+    return Array.isArray(value) && matchArray(value, pattern, captures, node);
+  }
+  if (pattern !== null && typeof pattern === 'object') {
+    if (value === null || typeof value !== 'object') return false;
+    const isNode = value.isNode === true;
+    for (const key of Object.keys(pattern)) {
+      const val = isNode && key === 'nodes' && !Array.isArray(value.nodes) ? [] : value[key];
+      if (!matchValue(val, pattern[key], captures, isNode ? value : node)) return false;
+    }
+    return true;
+  }
+  return value === unescape(pattern);
+}
+
+/**
+ * Match an array with at most one `$$name` placeholder, which captures
+ * the items between the items before and after it.
+ */
+
+function matchArray(values, pattern, captures, node) {
+  const rest = pattern.findIndex(isRest);
+  if (rest !== -1 && pattern.findIndex((p, i) => i > rest && isRest(p)) !== -1) {
+    throw new Error('expected patterns to have one "$$" placeholder per array');
+  }
+
+  if (rest === -1) {
+    return values.length === pattern.length && pattern.every((p, i) => matchValue(values[i], p, captures, node));
+  }
+
+  const after = pattern.length - rest - 1;
+  if (values.length < rest + after) return false;
+  for (let i = 0; i < rest; i++) {
+    if (!matchValue(values[i], pattern[i], captures, node)) return false;
+  }
+  for (let i = 0; i < after; i++) {
+    if (!matchValue(values[values.length - after + i], pattern[rest + 1 + i], captures, node)) return false;
+  }
+  return capture(pattern[rest].slice(2), values.slice(rest, values.length - after), captures);
+}
+
+function capture(name, value, captures) {
+  if (name === '_') return true;
+  if (name[0] === '$') {
+    throw new Error('expected "$$' + name.slice(1) + '" to be in an array');
+  }
+  if (!(name in captures)) {
+    captures[name] = value;
+    return true;
+  }
+  return diff.valueEquals(captures[name], value);
+}
+
+function isPlaceholder(pattern) {
+  return typeof pattern === 'string' && /^\$\$?[A-Za-z_]\w*$/.test(pattern);
+}
+
+function isRest(pattern) {
+  return isPlaceholder(pattern) && pattern[1] === '$';
+}
+
+function unescape(pattern) {
+  return typeof pattern === 'string' && /^\\+\$/.test(pattern) ? pattern.slice(1) : pattern;
+}
+
+/**
+ * Create nodes from a template, replacing placeholders with the captured
+ * values. Captured nodes are moved to the new nodes.
+ */
+
+function fill(Node, template, captures) {
+  if (isPlaceholder(template)) {
+    return fillValue(template, captures);
+  }
+  if (template === null || typeof template !== 'object' || Array.isArray(template)) {
+    throw new TypeError('expected replace to be a function, S-expression or object');
+  }
+
+  const props = {};
+  for (const key of Object.keys(template)) {
+    if (key !== 'nodes') props[key] = fillValue(template[key], captures);
+  }
+
+  const node = new Node(props);
+  if (Array.isArray(template.nodes)) {
+    node.nodes = [];
+    for (const child of template.nodes) {
+      for (const n of [].concat(fill(Node, child, captures))) node.push(n);
+    }
+  }
+  return node;
+}
+
+function fillValue(template, captures) {
+  if (isPlaceholder(template)) {
+    const name = template.replace(/^\$\$?/, '');
+    if (!(name in captures)) {
+      throw new Error('expected "' + template + '" to be captured by the pattern');
+    }
+    return captures[name];
+  }
+  if (Array.isArray(template)) {
+    return template.map(value => fillValue(value, captures));
+  }
+  if (template !== null && typeof template === 'object' && !(template instanceof RegExp)) {
+    const res = {};
+    for (const key of Object.keys(template)) res[key] = fillValue(template[key], captures);
+    return res;
+  }
+  return unescape(template);
+}
@@ -0,0 +1,223 @@
+'use strict';
+
+const immutable = require('./immutable');
+const registry = require('./registry');
+const paths = new WeakMap();
+
+/**
+ * The path of a node in its tree, passed to walk and visit callbacks.
+ * Each node has a single path object, which is created the first time it
+ * is needed. Properties like `parent` and `key` are looked up on the node
+ * when they are accessed, so they stay correct when the tree changes.
+ */
+
+class NodePath {
+  constructor(node) {
+    this.node = node;
+    define(this, 'context', null);
+  }
+
+  /**
+   * Get the path for `node`.
+   */
+
+  static get(node) {
+    let path = paths.get(node);
+    if (!path) {
+      path = new NodePath(node);
+      paths.set(node, path);
+    }
+    return path;
+  }
+
+  get parent() {
+    return this.node.parent;
+  }
+
+  get parentPath() {
+    return this.node.parent ? NodePath.get(this.node.parent) : null;
+  }
+
+  /**
+   * The index of the node on `parent.nodes`, or `null` when the node
+   * does not have a parent.
+   */
+
+  get key() {
+    return this.node.parent ? this.node.index : null;
+  }
+
+  get listKey() {
+    return this.node.parent ? 'nodes' : null;
+  }
+
+  get index() {
+    return this.node.index;
+  }
+
+  /**
+   * Per-walk state, set by the walker while the node is visited.
+   */
+
+  get state() {
+    return this.context ? this.context.state : null;
+  }
+
+  get skipped() {
+    return this.context !== null && this.context.skipped;
+  }
+
+  get removed() {
+    return this.context !== null && this.context.removed;
+  }
+
+  /**
+   * A store for values that are shared with descendants. Values that are
+   * not set on this scope are looked up on the scopes of the ancestors.
+   * Scopes are kept on the state of the walk, so values don't outlive it.
+   */
+
+  get scope() {
+    return this.context ? getScope(this, this.context.state) : null;
+  }
+
+  /**
+   * Returns the paths of the ancestors of the node, starting with the parent.
+   */
+
+  ancestors() {
+    const res = [];
+    for (let node = this.node.parent; node; node = node.parent) {
+      res.push(NodePath.get(node));
+    }
+    return res;
+  }
+
+  /**
+   * Returns a string like `nodes[2].nodes[0]` with the location of the
+   * node in its tree, or an empty string for the root.
+   */
+
+  getPathString() {
+    const segments = [];
+    for (let node = this.node; node.parent; node = node.parent) {
+      segments.unshift('nodes[' + node.index + ']');
+    }
+    return segments.join('.');
+  }
+
+  skip() {
+    if (this.context) this.context.skipped = true;
+  }
+
+  stop() {
+    if (this.context) this.context.state.stopped = true;
+  }
+
+  /**
+   * Replace the node with `node`. The path moves to the new node.
+   */
+
+  replace(node) {
+    assert(!immutable.isImmutable(this.node), 'cannot replace an immutable node');
+    assert(!this.removed, 'cannot replace a node that was removed');
+    assert(node !== null && typeof node === 'object', 'expected node to be an object');
+    if (node === this.node) return;
+
+    const parent = this.node.parent;
+    if (parent) {
+      const idx = this.node.index;
+      this.node.replaceWith(node);
+      node = parent.nodes[idx];
+    } else if (!this.node.constructor.isNode(node)) {
+      const Ctor = registry.base(this.node.constructor);
+      node = new Ctor(node);
+    }
+
+    paths.delete(this.node);
+    paths.set(node, this);
+    this.node = node;
+  }
+
+  /**
+   * Replace the node with the given nodes. When more than one node is
+   * given, the node is removed and the new nodes are visited next.
+   */
+
+  replaceWith(...nodes) {
+    if (nodes.length === 1) {
+      this.replace(nodes[0]);
+      return;
+    }
+    assert(!immutable.isImmutable(this.node), 'cannot replace an immutable node');
+    assert(this.node.parent !== null, 'expected node to have a parent');
+    this.node.replaceWith(...nodes);
+    if (this.context) this.context.removed = true;
+  }
+
+  remove() {
+    assert(!immutable.isImmutable(this.node), 'cannot remove an immutable node');
+    if (this.removed) return;
+    this.node.detach();
+    if (this.context) this.context.removed = true;
+  }
+
+  insertBefore(node) {
+    return this.node.insertBefore(node);
+  }
+
+  insertAfter(node) {
+    return this.node.insertAfter(node);
+  }
+}
+
+class Scope {
+  constructor(path, state) {
+    define(this, 'path', path);
+    define(this, 'state', state);
+    this.data = new Map();
+  }
+
+  get parent() {
+    const parentPath = this.path.parentPath;
+    return parentPath ? getScope(parentPath, this.state) : null;
+  }
+
+  get(key) {
+    for (let scope = this; scope; scope = scope.parent) {
+      if (scope.data.has(key)) return scope.data.get(key);
+    }
+  }
+
+  has(key) {
+    for (let scope = this; scope; scope = scope.parent) {
+      if (scope.data.has(key)) return true;
+    }
+    return false;
+  }
+
+  set(key, value) {
+    this.data.set(key, value);
+    return this;
+  }
+}
+
+function getScope(path, state) {
+  if (!state.scopes) define(state, 'scopes', new Map());
+  let scope = state.scopes.get(path);
+  if (!scope) {
+    scope = new Scope(path, state);
+    state.scopes.set(path, scope);
+  }
+  return scope;
+}
+
+function assert(value, message) {
+  if (value !== true) throw new Error(message);
+}
+
+function define(obj, key, value) {
+  Object.defineProperty(obj, key, { configurable: true, enumerable: false, writable: true, value });
+}
+
+module.exports = NodePath;
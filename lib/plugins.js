@@ -0,0 +1,181 @@
+'use strict';
+
+const types = require('./types');
+
+const applied = new WeakMap();
+const owners = new WeakMap();
+const hooks = new WeakMap();
+
+/**
+ * Apply `plugin` to `target`, which is a `Node` class (or subclass) or a
+ * node. A plugin is a function that's called with the target and an api
+ * for adding methods, getters, types and visitors, or an object with
+ * `methods`, `getters`, `types` and `visitors` properties. Plugins that
+ * were applied to the target or a parent class are not applied again.
+ * Returns false when the plugin was already applied.
+ */
+
+exports.use = (target, plugin) => {
+  if (typeof plugin !== 'function' && !isObject(plugin)) {
+    throw new TypeError('expected plugin to be a function or object');
+  }
+  if (exports.has(target, plugin)) {
+    return false;
+  }
+
+  const api = createApi(target, plugin);
+  if (typeof plugin === 'function') {
+    plugin.call(target, target, api);
+  } else {
+    check(target, plugin);
+    for (const key of Object.keys(plugin.types || {})) api.type(key, plugin.types[key]);
+    for (const key of Object.keys(plugin.methods || {})) api.method(key, plugin.methods[key]);
+    for (const key of Object.keys(plugin.getters || {})) api.getter(key, plugin.getters[key]);
+    if (plugin.visitors) api.visitor(plugin.visitors);
+  }
+
+  registry(applied, target, () => new Set()).add(key(plugin));
+  return true;
+};
+
+/**
+ * Returns true if `plugin` was applied to `target`, to the class of the
+ * target node, or to one of their parent classes. Object plugins with a
+ * `name` are identified by name.
+ */
+
+exports.has = (target, plugin) => {
+  const id = key(plugin);
+  return chain(target).some(obj => applied.has(obj) && applied.get(obj).has(id));
+};
+
+/**
+ * Get the visitors that plugins added to the classes of `node`, and
+ * to `node` itself, starting with the base class.
+ */
+
+exports.visitors = node => {
+  const res = [];
+  for (const obj of chain(node).reverse()) {
+    if (hooks.has(obj)) res.push(...hooks.get(obj));
+  }
+  return res;
+};
+
+function createApi(target, plugin) {
+  const receiver = typeof target === 'function' ? target.prototype : target;
+  const Ctor = typeof target === 'function' ? target : target.constructor;
+
+  const add = (name, desc) => {
+    const owner = conflict(target, name);
+    if (owner !== undefined) {
+      throw new Error(message(plugin, name, owner));
+    }
+    Object.defineProperty(receiver, name, Object.assign({ configurable: true, enumerable: false }, desc));
+    registry(owners, target, () => new Map()).set(name, nameOf(plugin));
+  };
+
+  return {
+    method(name, fn) {
+      if (typeof fn !== 'function') {
+        throw new TypeError('expected method "' + name + '" to be a function');
+      }
+      add(name, { writable: true, value: fn });
+    },
+    getter(name, fn) {
+      if (typeof fn !== 'function') {
+        throw new TypeError('expected getter "' + name + '" to be a function');
+      }
+      add(name, { get: fn });
+    },
+    type(type, definition) {
+      if (typeof target !== 'function') {
+        throw new Error('types can only be defined by class plugins');
+      }
+      types.define(Ctor, type, definition);
+    },
+    visitor(visitor) {
+      if (typeof visitor !== 'function' && !isObject(visitor)) {
+        throw new TypeError('expected visitor to be a function or object');
+      }
+      registry(hooks, target, () => []).push(visitor);
+    }
+  };
+}
+
+/**
+ * Check an object plugin for conflicts before any of it is applied, so
+ * that a plugin that can't be applied doesn't change the target.
+ */
+
+function check(target, plugin) {
+  const Ctor = typeof target === 'function' ? target : target.constructor;
+  const names = Object.keys(plugin.methods || {}).concat(Object.keys(plugin.getters || {}));
+
+  for (const name of names) {
+    const owner = conflict(target, name);
+    if (owner !== undefined || names.indexOf(name) !== names.lastIndexOf(name)) {
+      throw new Error(message(plugin, name, owner));
+    }
+  }
+  for (const type of Object.keys(plugin.types || {})) {
+    if (types.get(Ctor, type)) {
+      throw new Error('plugin "' + nameOf(plugin) + '" cannot define type "' + type + '", it is already defined');
+    }
+  }
+}
+
+/**
+ * Returns the name of the plugin that defined `name` on the target or
+ * one of its classes, null if it's defined by something else, or
+ * undefined if it's not defined.
+ */
+
+function conflict(target, name) {
+  const receiver = typeof target === 'function' ? target.prototype : target;
+  if (!(name in receiver)) return;
+  for (const obj of chain(target)) {
+    if (owners.has(obj) && owners.get(obj).has(name)) {
+      return owners.get(obj).get(name);
+    }
+  }
+  return null;
+}
+
+function message(plugin, name, owner) {
+  const by = typeof owner === 'string' ? ' by plugin "' + owner + '"' : '';
+  return 'plugin "' + nameOf(plugin) + '" cannot define "' + name + '", it is already defined' + by;
+}
+
+/**
+ * The target, followed by its class (for nodes) and parent classes.
+ */
+
+function chain(target) {
+  const res = [];
+  if (typeof target !== 'function') {
+    res.push(target);
+    target = target.constructor;
+  }
+  for (let C = target; typeof C === 'function' && C !== Function.prototype; C = Object.getPrototypeOf(C)) {
+    res.push(C);
+  }
+  return res;
+}
+
+function registry(map, target, init) {
+  if (!map.has(target)) map.set(target, init());
+  return map.get(target);
+}
+
+function key(plugin) {
+  return isObject(plugin) && typeof plugin.name === 'string' ? plugin.name : plugin;
+}
+
+function nameOf(plugin) {
+  return plugin.name || 'anonymous';
+}
+
+function isObject(val) {
+  return val !== null && typeof val === 'object' && !Array.isArray(val);
+}
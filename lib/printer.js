@@ -0,0 +1,260 @@
+'use strict';
+
+/**
+ * Documents describe the output of a printer. A document is a string, an
+ * array of documents that are concatenated, or one of the objects created
+ * by the functions below. Groups are printed on a single line when they
+ * fit in the line width, otherwise the lines in the group are broken.
+ */
+
+const line = { type: 'line', soft: false, hard: false };
+const softline = { type: 'line', soft: true, hard: false };
+const hardline = { type: 'line', soft: false, hard: true };
+const group = contents => ({ type: 'group', contents, break: false });
+const indent = contents => ({ type: 'indent', contents });
+const normalized = new WeakSet();
+
+/**
+ * Create a printer from a map of node types to print functions. Print
+ * functions are called with the node and a `print` function that returns
+ * the document for another node, and return a document. Nodes without a
+ * print function are printed as their `value`, followed by their children.
+ * Nodes without print functions are printed with an explicit stack, but
+ * print functions that call `print` are recursive, so the depth of nested
+ * nodes that have print functions is limited by the call stack.
+ */
+
+exports.create = (map, defaults = {}) => {
+  if (map === null || typeof map !== 'object') {
+    throw new TypeError('expected printer to be an object');
+  }
+  for (const key of Object.keys(map)) {
+    if (typeof map[key] !== 'function') {
+      throw new TypeError('expected printer "' + key + '" to be a function');
+    }
+  }
+
+  const print = node => {
+    if (node == null) return '';
+    const fn = map[node.type];
+    return normalize(fn ? fn(node, print) : fallback(node, map, print));
+  };
+
+  print.join = (nodes, separator) => join(Array.isArray(nodes) ? nodes.map(print) : [], separator);
+  print.group = group;
+  print.indent = indent;
+  print.line = line;
+  print.softline = softline;
+  print.hardline = hardline;
+
+  return (node, options) => {
+    if (!node || node.isNode !== true) {
+      throw new TypeError('expected node to be an instance of Node');
+    }
+    return exports.format(print(node), Object.assign({}, defaults, options));
+  };
+};
+
+/**
+ * Print a document to a string, breaking groups that don't fit in
+ * `options.width` (80 by default), and indenting broken lines with
+ * `options.indent`, a string or a number of spaces (2 by default).
+ */
+
+exports.format = (doc, options = {}) => {
+  const width = options.width === undefined ? 80 : options.width;
+  const unit = typeof options.indent === 'number' ? ' '.repeat(options.indent) : options.indent === undefined ? '  ' : options.indent;
+
+  propagateBreaks(doc);
+
+  const cmds = [['', 'break', doc]];
+  const out = [];
+  let pos = 0;
+
+  while (cmds.length) {
+    const [ind, mode, current] = cmds.pop();
+
+    if (typeof current === 'string') {
+      out.push(current);
+      const idx = current.lastIndexOf('\n');
+      pos = idx === -1 ? pos + current.length : current.length - idx - 1;
+    } else if (Array.isArray(current)) {
+      for (let i = current.length - 1; i >= 0; i--) cmds.push([ind, mode, current[i]]);
+    } else if (current.type === 'indent') {
+      cmds.push([ind + unit, mode, current.contents]);
+    } else if (current.type === 'group') {
+      const flat = mode === 'flat' || (!current.break && fits(current.contents, cmds, width - pos));
+      cmds.push([ind, flat ? 'flat' : 'break', current.contents]);
+    } else if (current.type === 'line') {
+      if (mode === 'flat' && !current.hard) {
+        if (!current.soft) {
+          out.push(' ');
+          pos++;
+        }
+      } else {
+        trimEnd(out);
+        out.push('\n' + ind);
+        pos = ind.length;
+      }
+    }
+  }
+
+  return out.join('');
+};
+
+/**
+ * Remove trailing spaces and tabs from the parts of the current line,
+ * without scanning the rest of the output.
+ */
+
+function trimEnd(out) {
+  while (out.length) {
+    const last = out[out.length - 1].replace(/[ \t]+$/, '');
+    if (last !== '') {
+      out[out.length - 1] = last;
+      return;
+    }
+    out.pop();
+  }
+}
+
+/**
+ * Print a node without a print function as its `value`, followed by its
+ * children. Descendants without print functions are added to the same
+ * document, so that they're printed without recursion.
+ */
+
+function fallback(root, map, print) {
+  const doc = [];
+  const stack = [[root, doc]];
+
+  while (stack.length) {
+    const [node, parts] = stack.pop();
+    parts.push(node.value == null ? '' : String(node.value));
+    if (!Array.isArray(node.nodes)) continue;
+
+    for (const child of node.nodes) {
+      if (child == null || map[child.type]) {
+        parts.push(print(child));
+      } else {
+        const res = [];
+        parts.push(res);
+        stack.push([child, res]);
+      }
+    }
+  }
+  return doc;
+}
+
+function join(docs, separator) {
+  const parts = [];
+  docs.forEach((doc, i) => {
+    if (i > 0 && separator !== undefined) parts.push(separator);
+    parts.push(doc);
+  });
+  return normalize(parts);
+}
+
+/**
+ * Documents that only contain strings are returned as a string, so that
+ * print functions can use string concatenation when they don't need layout.
+ * Arrays are normalized with an explicit stack, and arrays that were already
+ * normalized are not visited again, since they're part of their parents.
+ */
+
+function normalize(root) {
+  if (!Array.isArray(root) || normalized.has(root)) return value(root);
+  const res = [];
+  const stack = [{ doc: root, parts: [], index: 0, target: res }];
+
+  while (stack.length) {
+    const frame = stack[stack.length - 1];
+    if (frame.index < frame.doc.length) {
+      const part = frame.doc[frame.index++];
+      if (Array.isArray(part) && !normalized.has(part)) {
+        stack.push({ doc: part, parts: [], index: 0, target: frame.parts });
+      } else {
+        frame.parts.push(value(part));
+      }
+      continue;
+    }
+
+    stack.pop();
+    const { parts } = frame;
+    if (parts.every(part => typeof part === 'string')) {
+      frame.target.push(parts.join(''));
+    } else {
+      normalized.add(parts);
+      frame.target.push(parts);
+    }
+  }
+  return res[0];
+}
+
+function value(doc) {
+  if (doc == null) return '';
+  if (typeof doc === 'number') return String(doc);
+  return doc;
+}
+
+/**
+ * Returns true if `doc` fits in `width` columns when printed on one line,
+ * followed by the commands in `rest` up to the next line break.
+ */
+
+function fits(doc, rest, width) {
+  const stack = [['flat', doc]];
+  let r = rest.length;
+
+  while (width >= 0) {
+    if (stack.length === 0) {
+      if (r === 0) return true;
+      const [, mode, next] = rest[--r];
+      stack.push([mode, next]);
+      continue;
+    }
+
+    const [mode, current] = stack.pop();
+    if (typeof current === 'string') {
+      const idx = current.indexOf('\n');
+      if (idx !== -1) return width - idx >= 0;
+      width -= current.length;
+    } else if (Array.isArray(current)) {
+      for (let i = current.length - 1; i >= 0; i--) stack.push([mode, current[i]]);
+    } else if (current.type === 'line') {
+      if (mode === 'break' || current.hard) return true;
+      if (!current.soft) width--;
+    } else {
+      stack.push([current.type === 'group' && current.break ? 'break' : mode, current.contents]);
+    }
+  }
+  return false;
+}
+
+/**
+ * Break groups that contain a hard line, and the groups around them. Each
+ * entry on the stack links to the entry of its parent, and a hard line
+ * marks the entries above it until an entry that's already marked.
+ */
+
+function propagateBreaks(doc) {
+  const stack = [{ doc, parent: null, hard: false }];
+
+  while (stack.length) {
+    const entry = stack.pop();
+    const current = entry.doc;
+
+    if (typeof current === 'string') continue;
+    if (Array.isArray(current)) {
+      for (const part of current) stack.push({ doc: part, parent: entry, hard: false });
+    } else if (current.type === 'line') {
+      if (!current.hard) continue;
+      for (let e = entry.parent; e && !e.hard; e = e.parent) {
+        e.hard = true;
+        if (e.doc.type === 'group') e.doc.break = true;
+      }
+    } else {
+      stack.push({ doc: current.contents, parent: entry, hard: false });
+    }
+  }
+}
@@ -0,0 +1,443 @@
+'use strict';
+
+const cache = new Map();
+const MAX_CACHE_SIZE = 100;
+const pseudos = new Set([
+  'empty',
+  'first-child',
+  'has',
+  'is',
+  'last-child',
+  'not',
+  'nth-child',
+  'nth-last-child',
+  'only-child',
+  'root',
+  'scope'
+]);
+
+/**
+ * Returns the first descendant of `node` that matches `selector`, or `null`.
+ */
+
+exports.query = (node, selector) => {
+  const list = parse(selector);
+  let found = null;
+  eachDescendant(node, child => {
+    if (matchesList(child, list, { scope: node })) {
+      found = child;
+      return false;
+    }
+  });
+  return found;
+};
+
+/**
+ * Returns an array of all descendants of `node` that match `selector`,
+ * in document order.
+ */
+
+exports.queryAll = (node, selector) => {
+  const list = parse(selector);
+  const found = [];
+  eachDescendant(node, child => {
+    if (matchesList(child, list, { scope: node })) {
+      found.push(child);
+    }
+  });
+  return found;
+};
+
+/**
+ * Returns true if `node` matches `selector`.
+ */
+
+exports.matches = (node, selector) => {
+  return matchesList(node, parse(selector), { scope: node });
+};
+
+/**
+ * Parse a selector into a list of complex selectors. Each complex selector
+ * is a list of compound selectors (a type, attributes and pseudo-classes)
+ * and the combinators between them. The most recently used selectors are
+ * cached, and the least recently used selector is removed when the cache
+ * is full, so that generated selectors don't fill up memory.
+ */
+
+function parse(selector) {
+  if (typeof selector !== 'string') {
+    throw new TypeError('expected selector to be a string');
+  }
+  let list = cache.get(selector);
+  if (list) {
+    cache.delete(selector);
+  } else {
+    list = new Parser(selector).parse();
+    if (cache.size >= MAX_CACHE_SIZE) cache.delete(cache.keys().next().value);
+  }
+  cache.set(selector, list);
+  return list;
+}
+
+exports.parse = parse;
+
+class Parser {
+  constructor(input) {
+    this.input = input;
+    this.pos = 0;
+  }
+
+  parse() {
+    const list = this.list(false);
+    if (this.pos < this.input.length) this.fail();
+    return list;
+  }
+
+  list(relative) {
+    const list = [];
+    do {
+      this.space();
+      list.push(this.complex(relative));
+      this.space();
+    } while (this.eat(','));
+    return list;
+  }
+
+  complex(relative) {
+    const complex = { compounds: [], combinators: [] };
+
+    // relative selectors, like the argument to :has(), are anchored to
+    // the node being matched with an implicit `:scope` compound
+    if (relative) {
+      const ch = this.peek();
+      complex.compounds.push({ type: null, attrs: [], pseudos: [{ name: 'scope' }] });
+      complex.combinators.push(/[>+~]/.test(ch) ? this.next() : ' ');
+      this.space();
+    }
+
+    complex.compounds.push(this.compound());
+
+    while (this.pos < this.input.length) {
+      const hasSpace = this.space();
+      const ch = this.peek();
+      let combinator;
+
+      if (/[>+~]/.test(ch)) {
+        combinator = this.next();
+        this.space();
+      } else if (hasSpace && ch !== ',' && ch !== ')' && ch !== '') {
+        combinator = ' ';
+      } else {
+        break;
+      }
+
+      complex.combinators.push(combinator);
+      complex.compounds.push(this.compound());
+    }
+
+    return complex;
+  }
+
+  compound() {
+    const compound = { type: null, attrs: [], pseudos: [] };
+    const start = this.pos;
+
+    if (this.eat('*') === false) {
+      compound.type = this.match(/[\w-]+/y);
+    }
+
+    for (;;) {
+      const ch = this.peek();
+      if (ch === '[') {
+        compound.attrs.push(this.attribute());
+      } else if (ch === ':') {
+        compound.pseudos.push(this.pseudo());
+      } else {
+        break;
+      }
+    }
+
+    if (this.pos === start) this.fail();
+    return compound;
+  }
+
+  attribute() {
+    this.expect('[');
+    this.space();
+    const attr = { name: this.expectMatch(/[\w.-]+/y), op: null, value: null };
+    this.space();
+    if (!this.eat(']')) {
+      attr.op = this.expectMatch(/[~^$*!]?=/y);
+      this.space();
+      attr.value = this.string() || this.expectMatch(/[^\]\s]+/y);
+      this.space();
+      this.expect(']');
+    }
+    return attr;
+  }
+
+  pseudo() {
+    this.expect(':');
+    const start = this.pos;
+    const pseudo = { name: this.expectMatch(/[\w-]+/y) };
+
+    if (!pseudos.has(pseudo.name)) {
+      this.pos = start;
+      this.fail('unsupported pseudo-class ":' + pseudo.name + '"');
+    }
+
+    if (/^(has|is|not)$/.test(pseudo.name)) {
+      this.expect('(');
+      pseudo.list = this.list(pseudo.name === 'has');
+      this.expect(')');
+    } else if (/^nth-/.test(pseudo.name)) {
+      this.expect('(');
+      this.space();
+      pseudo.nth = nth(this.expectMatch(/[^)]+/y).trim()) || this.fail('invalid argument to ":' + pseudo.name + '"');
+      this.expect(')');
+    }
+    return pseudo;
+  }
+
+  string() {
+    const quote = this.peek();
+    if (quote !== '"' && quote !== "'") return null;
+    let value = '';
+    this.pos++;
+    while (this.pos < this.input.length) {
+      const ch = this.next();
+      if (ch === quote) return value;
+      value += ch === '\\' ? this.next() : ch;
+    }
+    this.fail('unterminated string');
+  }
+
+  space() {
+    return this.match(/\s+/y) !== null;
+  }
+
+  peek() {
+    return this.input.charAt(this.pos);
+  }
+
+  next() {
+    return this.input.charAt(this.pos++);
+  }
+
+  eat(ch) {
+    if (this.peek() === ch) {
+      this.pos++;
+      return true;
+    }
+    return false;
+  }
+
+  expect(ch) {
+    if (!this.eat(ch)) this.fail();
+  }
+
+  match(regex) {
+    regex.lastIndex = this.pos;
+    const match = regex.exec(this.input);
+    if (match) {
+      this.pos = regex.lastIndex;
+      return match[0];
+    }
+    return null;
+  }
+
+  expectMatch(regex) {
+    const match = this.match(regex);
+    if (match === null) this.fail();
+    return match;
+  }
+
+  fail(message) {
+    const ch = this.peek();
+    const reason = message || (ch ? 'unexpected "' + ch + '"' : 'unexpected end of selector');
+    throw new SyntaxError(reason + ' in selector "' + this.input + '" at position ' + this.pos);
+  }
+}
+
+/**
+ * Parse the argument to :nth-child() into `an+b` coefficients.
+ */
+
+function nth(str) {
+  if (str === 'odd') return { a: 2, b: 1 };
+  if (str === 'even') return { a: 2, b: 0 };
+  if (/^[+-]?\d+$/.test(str)) return { a: 0, b: Number(str) };
+  const match = /^([+-]?\d*)n\s*(?:([+-])\s*(\d+))?$/.exec(str);
+  if (!match) return null;
+  const a = match[1] === '' || match[1] === '+' ? 1 : match[1] === '-' ? -1 : Number(match[1]);
+  const b = match[2] ? Number(match[2] + match[3]) : 0;
+  return { a, b };
+}
+
+function matchesNth(pos, { a, b }) {
+  if (a === 0) return pos === b;
+  const n = (pos - b) / a;
+  return Number.isInteger(n) && n >= 0;
+}
+
+/**
+ * Matching
+ */
+
+function matchesList(node, list, context) {
+  return list.some(complex => matchesComplex(node, complex, context));
+}
+
+function matchesComplex(node, complex, context) {
+  return matchFrom(node, complex, complex.compounds.length - 1, context);
+}
+
+function matchFrom(node, complex, i, context) {
+  if (!matchesCompound(node, complex.compounds[i], context)) return false;
+  if (i === 0) return true;
+
+  switch (complex.combinators[i - 1]) {
+    case '>':
+      return Boolean(node.parent) && matchFrom(node.parent, complex, i - 1, context);
+    case ' ':
+      for (let parent = node.parent; parent; parent = parent.parent) {
+        if (matchFrom(parent, complex, i - 1, context)) return true;
+      }
+      return false;
+    case '+': {
+      const prev = prevSibling(node);
+      return Boolean(prev) && matchFrom(prev, complex, i - 1, context);
+    }
+    case '~': {
+      const siblings = node.siblings || [];
+      for (let j = node.index - 1; j >= 0; j--) {
+        if (matchFrom(siblings[j], complex, i - 1, context)) return true;
+      }
+      return false;
+    }
+    default: {
+      return false;
+    }
+  }
+}
+
+function matchesCompound(node, compound, context) {
+  if (compound.type !== null && !node.isType(compound.type)) return false;
+  return compound.attrs.every(attr => matchesAttribute(node, attr))
+    && compound.pseudos.every(pseudo => matchesPseudo(node, pseudo, context));
+}
+
+function matchesAttribute(node, attr) {
+  const value = get(node, attr.name);
+  if (attr.op === null) return value !== undefined;
+  if (attr.op === '!=') return value == null || String(value) !== attr.value;
+  if (value == null) return false;
+
+  const str = String(value);
+  switch (attr.op) {
+    case '=':
+      return str === attr.value;
+    case '^=':
+      return str.startsWith(attr.value);
+    case '$=':
+      return str.endsWith(attr.value);
+    case '*=':
+      return str.includes(attr.value);
+    case '~=':
+      return str.split(/\s+/).includes(attr.value);
+    default: {
+      return false;
+    }
+  }
+}
+
+function matchesPseudo(node, pseudo, context) {
+  const parent = node.parent;
+  switch (pseudo.name) {
+    case 'empty':
+      return node.isEmpty();
+    case 'first-child':
+      return Boolean(parent) && parent.first === node;
+    case 'last-child':
+      return Boolean(parent) && parent.last === node;
+    case 'only-child':
+      return Boolean(parent) && parent.first === node && parent.last === node;
+    case 'nth-child':
+      return Boolean(parent) && matchesNth(node.index + 1, pseudo.nth);
+    case 'nth-last-child':
+      return Boolean(parent) && matchesNth(node.siblings.length - node.index, pseudo.nth);
+    case 'root':
+      return !parent;
+    case 'scope':
+      return node === context.scope;
+    case 'is':
+      return matchesList(node, pseudo.list, context);
+    case 'not':
+      return !matchesList(node, pseudo.list, context);
+    case 'has':
+      return pseudo.list.some(complex => has(node, complex));
+    default: {
+      return false;
+    }
+  }
+}
+
+/**
+ * Returns true if any node after `node` in document order matches the
+ * relative selector. Descendant and child selectors only need to look
+ * inside `node`, sibling selectors look at the following siblings.
+ */
+
+function has(node, complex) {
+  const context = { scope: node };
+  const test = child => matchesComplex(child, complex, context);
+  let found = false;
+
+  const visit = child => {
+    if (test(child)) {
+      found = true;
+      return false;
+    }
+  };
+
+  if (/[>\s]/.test(complex.combinators[0])) {
+    eachDescendant(node, visit);
+    return found;
+  }
+
+  const siblings = node.siblings || [];
+  for (let i = node.index + 1; i < siblings.length && !found; i++) {
+    if (visit(siblings[i]) !== false) {
+      eachDescendant(siblings[i], visit);
+    }
+  }
+  return found;
+}
+
+function prevSibling(node) {
+  const index = node.index;
+  return index > 0 ? node.siblings[index - 1] : null;
+}
+
+/**
+ * Call `fn` on each descendant of `node` in document order, until
+ * `fn` returns false.
+ */
+
+function eachDescendant(node, fn) {
+  const stack = Array.isArray(node.nodes) ? node.nodes.slice().reverse() : [];
+  while (stack.length) {
+    const child = stack.pop();
+    if (fn(child) === false) return;
+    if (Array.isArray(child.nodes)) {
+      for (let i = child.nodes.length - 1; i >= 0; i--) {
+        stack.push(child.nodes[i]);
+      }
+    }
+  }
+}
+
+function get(obj, path) {
+  if (path in obj) return obj[path];
+  return path.split('.').reduce((acc, key) => (acc == null ? undefined : acc[key]), obj);
+}
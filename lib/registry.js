@@ -0,0 +1,59 @@
+'use strict';
+
+const registries = new WeakMap();
+const bases = new WeakMap();
+
+/**
+ * Register `Subclass` as the class for nodes of the given `type` that
+ * are created with `Ctor`, or a subclass of `Ctor` that `Subclass` extends.
+ */
+
+exports.register = (Ctor, type, Subclass) => {
+  if (typeof type !== 'string' || type === '') {
+    throw new TypeError('expected type to be a non-empty string');
+  }
+  if (typeof Subclass !== 'function' || !(Subclass.prototype instanceof Ctor)) {
+    throw new TypeError('expected a subclass of ' + Ctor.name);
+  }
+
+  let registry = registries.get(Ctor);
+  if (!registry) {
+    registry = new Map();
+    registries.set(Ctor, registry);
+  }
+  if (registry.has(type)) {
+    throw new Error('node type "' + type + '" is already registered');
+  }
+
+  registry.set(type, Subclass);
+  if (!bases.has(Subclass)) bases.set(Subclass, Ctor);
+  return Subclass;
+};
+
+/**
+ * Get the class that was registered for `type` on `Ctor` or its parent
+ * classes, when it's a subclass of `Ctor`. Returns `undefined` otherwise.
+ */
+
+exports.resolve = (Ctor, type) => {
+  if (typeof type !== 'string') return;
+  for (let C = Ctor; typeof C === 'function'; C = Object.getPrototypeOf(C)) {
+    const registry = registries.get(C);
+    if (registry && registry.has(type)) {
+      const Subclass = registry.get(type);
+      return Subclass.prototype instanceof Ctor ? Subclass : undefined;
+    }
+  }
+};
+
+/**
+ * Get the class that nodes related to nodes of class `Ctor` (like child
+ * nodes and clones) are created with. For registered subclasses, this is
+ * the class they were registered on, so that the registered subclass is
+ * chosen by the type of the new node.
+ */
+
+exports.base = Ctor => {
+  while (bases.has(Ctor)) Ctor = bases.get(Ctor);
+  return Ctor;
+};
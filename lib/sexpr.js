@@ -0,0 +1,247 @@
+'use strict';
+
+const json = require('./json');
+
+/**
+ * Serialize `node` and its descendants as an S-expression, with one node
+ * per line and children indented below their parent:
+ *
+ * ```
+ * (root
+ *   (text "a")
+ *   (brace :open true
+ *     (text "b")))
+ * ```
+ * Each node is written as its type, its value when it's a string, other
+ * properties as `:key value` pairs with JSON values, then its children.
+ * Properties are in the same order as the JSON format in `json.js`.
+ */
+
+exports.stringify = (node, options = {}) => {
+  return format(json.serialize(node, options).node);
+};
+
+/**
+ * Create a tree of `Node` instances from an S-expression in the format
+ * returned by `stringify`. Whitespace between tokens is ignored, so the
+ * tree may also be written on a single line.
+ */
+
+exports.parse = (Node, str) => {
+  return json.parse(Node, { version: json.VERSION, node: read(str, false) });
+};
+
+/**
+ * Parse a pattern for `Node.match` into a plain object. Patterns may also
+ * have `$name` placeholders as the type, the value (right after the type),
+ * property values, and child nodes, and `$$name` placeholders as child nodes.
+ * Quoted strings are literal, so strings that start with `$`, or with
+ * backslashes and a `$`, are escaped with another backslash.
+ */
+
+exports.parsePattern = str => read(str, true);
+
+function read(str, pattern) {
+  if (typeof str !== 'string') {
+    throw new TypeError('expected a string');
+  }
+
+  const stack = [];
+  let root = null;
+  let pos = 0;
+
+  const fail = expected => {
+    const found = pos < str.length ? JSON.stringify(str[pos]) : 'end of input';
+    throw new SyntaxError('expected ' + expected + ' at position ' + pos + ', found ' + found);
+  };
+
+  const skip = () => {
+    while (pos < str.length && /\s/.test(str[pos])) pos++;
+  };
+
+  skip();
+  do {
+    const ch = str[pos];
+    const current = stack[stack.length - 1];
+
+    if (ch === '(') {
+      pos++;
+      const obj = { fields: {}, nodes: null, atoms: 0 };
+      if (current) {
+        current.nodes = current.nodes || [];
+        current.nodes.push(obj);
+      } else {
+        root = obj;
+      }
+      stack.push(obj);
+    } else if (!current) {
+      fail('"("');
+    } else if (ch === undefined) {
+      fail('")"');
+    } else if (ch === ')') {
+      pos++;
+      stack.pop();
+    } else if (ch === ':') {
+      pos++;
+      const key = str[pos] === '"' ? readJSON(str, pos, fail) : readSymbol(str, pos, fail);
+      pos = key.end;
+      skip();
+      const value = pattern && str[pos] === '$' ? readPlaceholder(str, pos, fail) : readJSON(str, pos, fail, pattern);
+      pos = value.end;
+      if (key.value === 'nodes') {
+        if (!Array.isArray(value.value) || value.value.length > 0) fail('an empty array for ":nodes"');
+        current.nodes = current.nodes || [];
+      } else {
+        current.fields[key.value] = value.value;
+      }
+    } else if (current.atoms < 2 && current.nodes === null && (ch === '"' || current.atoms === 0 || (pattern && isValue(str, pos)))) {
+      const readAtom = current.atoms === 0 ? readSymbol : readPlaceholder;
+      const atom = ch === '"' ? readJSON(str, pos, fail, pattern) : readAtom(str, pos, fail);
+      current.fields[current.atoms++ === 0 ? 'type' : 'value'] = atom.value;
+      pos = atom.end;
+    } else if (pattern && ch === '$') {
+      const atom = readPlaceholder(str, pos, fail);
+      current.nodes = current.nodes || [];
+      current.nodes.push(atom.value);
+      pos = atom.end;
+    } else {
+      fail('"(", ")" or ":"');
+    }
+    skip();
+  } while (stack.length);
+
+  if (pos < str.length) fail('end of input');
+  return toObject(root);
+}
+
+/**
+ * Convert the objects created by `read` to plain objects, with an explicit
+ * stack so that deeply nested S-expressions don't overflow the call stack.
+ */
+
+function toObject(root) {
+  const stack = [root];
+  while (stack.length) {
+    const obj = stack.pop();
+    if (!obj.nodes) continue;
+    obj.fields.nodes = obj.nodes.map(child => {
+      if (typeof child === 'string') return child;
+      stack.push(child);
+      return child.fields;
+    });
+  }
+  return root.fields;
+}
+
+function isValue(str, pos) {
+  return str[pos] === '$' && str[pos + 1] !== '$';
+}
+
+function readSymbol(str, pos, fail) {
+  const regex = /[A-Za-z_$][\w$.-]*/y;
+  regex.lastIndex = pos;
+  const match = regex.exec(str);
+  if (!match) fail('a symbol');
+  return { value: match[0], end: pos + match[0].length };
+}
+
+function readPlaceholder(str, pos, fail) {
+  const regex = /\$\$?[A-Za-z_]\w*(?![\w$.-])/y;
+  regex.lastIndex = pos;
+  const match = regex.exec(str);
+  if (!match) fail('a placeholder');
+  return { value: match[0], end: pos + match[0].length };
+}
+
+/**
+ * Read the JSON value that starts at `pos`, skipping over brackets and
+ * parentheses inside strings. In patterns, strings in the value are escaped.
+ */
+
+function readJSON(str, pos, fail, pattern) {
+  let end = pos;
+  let depth = 0;
+
+  while (end < str.length) {
+    const ch = str[end];
+    if (ch === '"') {
+      end++;
+      while (end < str.length && str[end] !== '"') end += str[end] === '\\' ? 2 : 1;
+      end++;
+      if (depth === 0) break;
+      continue;
+    }
+    if (ch === '{' || ch === '[') depth++;
+    if (ch === '}' || ch === ']') depth--;
+    if (depth === 0 && (/\s/.test(ch) || ch === ')' || ch === '(')) break;
+    end++;
+    if (depth === 0 && (ch === '}' || ch === ']')) break;
+  }
+
+  let value;
+  try {
+    value = JSON.parse(str.slice(pos, end));
+  } catch (err) {
+    fail('a JSON value');
+  }
+  return { value: pattern ? escape(value) : value, end };
+}
+
+function escape(value) {
+  if (typeof value === 'string') {
+    return /^\\*\$/.test(value) ? '\\' + value : value;
+  }
+  if (Array.isArray(value)) return value.map(escape);
+  if (value !== null && typeof value === 'object') {
+    const res = {};
+    for (const key of Object.keys(value)) res[key] = escape(value[key]);
+    return res;
+  }
+  return value;
+}
+
+/**
+ * Format the object created by `json.serialize`, with an explicit stack so
+ * that deeply nested trees don't overflow the call stack. The closing
+ * parenthesis of each node is pushed onto the stack before its children.
+ */
+
+function format(root) {
+  const stack = [[root, '']];
+  const res = [];
+
+  while (stack.length) {
+    const [obj, indent] = stack.pop();
+    if (typeof obj === 'string') {
+      res.push(obj);
+      continue;
+    }
+
+    const parts = [];
+    const hasType = typeof obj.type === 'string';
+    const hasValue = hasType && typeof obj.value === 'string';
+
+    if (hasType) parts.push(symbol(obj.type) ? obj.type : JSON.stringify(obj.type));
+    if (hasValue) parts.push(JSON.stringify(obj.value));
+
+    for (const key of Object.keys(obj)) {
+      if (key === 'nodes' && obj.nodes.length > 0) continue;
+      if (key === 'type' && hasType) continue;
+      if (key === 'value' && hasValue) continue;
+      parts.push(':' + (symbol(key) ? key : JSON.stringify(key)), JSON.stringify(obj[key]));
+    }
+
+    res.push((indent ? '\n' + indent : '') + '(' + parts.join(' '));
+    stack.push([')']);
+    if (Array.isArray(obj.nodes)) {
+      for (let i = obj.nodes.length - 1; i >= 0; i--) {
+        stack.push([obj.nodes[i], indent + '  ']);
+      }
+    }
+  }
+  return res.join('');
+}
+
+function symbol(str) {
+  return /^[A-Za-z_$][\w$.-]*$/.test(str);
+}
@@ -0,0 +1,138 @@
+'use strict';
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Create a string from `node` and its descendants by calling `fn` on each
+ * node, and a v3 source map from the `loc` of each node that produces
+ * output. The string is created with `print`, which calls `write` with
+ * each string and its node (or `null` for text that isn't mapped), and
+ * defaults to the string from `fn` for each node in order.
+ */
+
+exports.stringify = (node, fn, options, print = each) => {
+  const map = new SourceMap(options);
+  let code = '';
+  let line = 0;
+  let column = 0;
+
+  print(node, fn, (str, n) => {
+    if (str === '') return;
+
+    if (n && n.loc && n.loc.start) {
+      map.add(line, column, n.loc.source || map.source, n.loc.start);
+    }
+
+    code += str;
+    const lines = str.split('\n');
+    if (lines.length > 1) {
+      line += lines.length - 1;
+      column = lines[lines.length - 1].length;
+    } else {
+      column += str.length;
+    }
+  });
+
+  return { code, map: map.toJSON() };
+};
+
+function each(node, fn, write) {
+  for (const n of node) write(toString(fn(n)), n);
+}
+
+class SourceMap {
+  constructor(options = {}) {
+    this.file = options.file;
+    this.source = options.source || '<input>';
+    this.sourceContent = options.sourceContent;
+    this.sources = [];
+    this.lines = [];
+  }
+
+  add(line, column, source, original) {
+    let index = this.sources.indexOf(source);
+    if (index === -1) {
+      index = this.sources.push(source) - 1;
+    }
+
+    while (this.lines.length <= line) this.lines.push([]);
+    this.lines[line].push([column, index, original.line - 1, original.column - 1]);
+  }
+
+  toJSON() {
+    const map = { version: 3 };
+    if (this.file) map.file = this.file;
+    map.sources = this.sources.slice();
+    if (typeof this.sourceContent === 'string') {
+      map.sourcesContent = map.sources.map(s => (s === this.source ? this.sourceContent : null));
+    }
+    map.names = [];
+    map.mappings = this.mappings();
+    return map;
+  }
+
+  mappings() {
+    const prev = [0, 0, 0];
+    return this.lines.map(segments => {
+      let prevColumn = 0;
+      return segments.map(([column, source, line, col]) => {
+        const str = encode(column - prevColumn)
+          + encode(source - prev[0])
+          + encode(line - prev[1])
+          + encode(col - prev[2]);
+        prevColumn = column;
+        prev[0] = source;
+        prev[1] = line;
+        prev[2] = col;
+        return str;
+      }).join(',');
+    }).join(';');
+  }
+}
+
+/**
+ * Encode a number as a base64 VLQ.
+ */
+
+function encode(value) {
+  let vlq = value < 0 ? ((-value) << 1) | 1 : value << 1;
+  let str = '';
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq > 0) digit |= 32;
+    str += BASE64[digit];
+  } while (vlq > 0);
+  return str;
+}
+
+/**
+ * Decode a string of base64 VLQs into an array of numbers.
+ */
+
+function decode(str) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+  for (const ch of str) {
+    const digit = BASE64.indexOf(ch);
+    if (digit === -1) throw new Error('invalid base64 VLQ character: "' + ch + '"');
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+      value = 0;
+      shift = 0;
+    }
+  }
+  return values;
+}
+
+function toString(value) {
+  return value == null ? '' : String(value);
+}
+
+exports.SourceMap = SourceMap;
+exports.encode = encode;
+exports.decode = decode;
@@ -0,0 +1,124 @@
+'use strict';
+
+const location = require('./location');
+const originals = new WeakMap();
+
+/**
+ * Attach trivia tokens (like whitespace and comments) to the leaf nodes of
+ * `tree`, using the offsets of the tokens and the `loc` of the nodes.
+ * Trivia on the same line as the end of the previous leaf is added to its
+ * `trailingTrivia`, and other trivia is added to the `leadingTrivia` of the
+ * next leaf. The source text of each leaf is kept, so that leaves that
+ * were not changed can be printed exactly as they were in the source.
+ * When `source` is not given, the `value` of tokens and leaves is used as
+ * their text.
+ */
+
+exports.attach = (tree, tokens, source) => {
+  const hasSource = typeof source === 'string';
+  const leaves = [];
+  for (const node of tree) {
+    delete node.leadingTrivia;
+    delete node.trailingTrivia;
+    if (isLeaf(node) && node.range) leaves.push(node);
+  }
+  leaves.sort((a, b) => a.range[0] - b.range[0]);
+
+  const trivia = [];
+  for (const token of tokens) {
+    const offsets = location.offsets(token);
+    if (offsets === null || (!hasSource && typeof token.value !== 'string')) continue;
+    const value = hasSource ? source.slice(offsets[0], offsets[1]) : token.value;
+    trivia.push({ type: token.type, value, start: offsets[0] });
+  }
+  trivia.sort((a, b) => a.start - b.start);
+
+  // the text between the previous leaf and the current token, from the
+  // trivia that was seen since that leaf when there's no source
+  let gap = '';
+  let i = 0;
+  for (const { type, value, start } of trivia) {
+    const last = i;
+    while (i < leaves.length && leaves[i].range[0] < start) i++;
+    if (i !== last) gap = '';
+    const prev = leaves[i - 1];
+    const next = leaves[i];
+    const text = hasSource && prev ? source.slice(prev.range[1], start) : gap;
+    gap += value;
+
+    let node = next || tree;
+    let key = 'leadingTrivia';
+    if (prev && (!next || text.indexOf('\n') === -1)) {
+      node = prev;
+      key = 'trailingTrivia';
+    }
+    node[key] = node[key] || [];
+    node[key].push({ type, value });
+  }
+
+  for (const leaf of leaves) {
+    const [start, end] = leaf.range;
+    const text = hasSource ? source.slice(start, end) : leaf.value;
+    if (typeof text === 'string') {
+      originals.set(leaf, { type: leaf.type, value: leaf.value, text });
+    }
+  }
+  return tree;
+};
+
+/**
+ * Create a string from `node` and its descendants, with the trivia of each
+ * node before and after it. Leaves with the same type and value as when
+ * trivia was attached are printed as their source text, and other nodes
+ * are printed with `fn`.
+ */
+
+exports.stringify = (node, fn) => {
+  let str = '';
+  exports.print(node, fn, value => (str += value));
+  return str;
+};
+
+/**
+ * Print `node` like `stringify`, calling `write` with each string and the
+ * node it was printed for, or `null` for trivia. This is used for source
+ * maps, which map the text of nodes but not their trivia.
+ */
+
+exports.print = (node, fn, write) => {
+  const stack = [node];
+
+  while (stack.length) {
+    const current = stack.pop();
+    if (typeof current === 'string') {
+      write(current, null);
+      continue;
+    }
+
+    write(join(current.leadingTrivia), null);
+    const original = originals.get(current);
+    if (original && original.type === current.type && original.value === current.value) {
+      write(original.text, current);
+    } else {
+      const value = fn(current);
+      write(value == null ? '' : String(value), current);
+    }
+
+    if (Array.isArray(current.trailingTrivia)) {
+      stack.push(join(current.trailingTrivia));
+    }
+    if (Array.isArray(current.nodes)) {
+      for (let i = current.nodes.length - 1; i >= 0; i--) {
+        stack.push(current.nodes[i]);
+      }
+    }
+  }
+};
+
+function join(trivia) {
+  return Array.isArray(trivia) ? trivia.map(t => t.value).join('') : '';
+}
+
+function isLeaf(node) {
+  return !Array.isArray(node.nodes) || node.nodes.length === 0;
+}
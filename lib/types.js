@@ -0,0 +1,224 @@
+'use strict';
+
+const registries = new WeakMap();
+let version = 0;
+const kinds = new Set(['any', 'array', 'boolean', 'number', 'object', 'string']);
+
+/**
+ * Register the schema for nodes of the given `type` on the `Node`
+ * class (or subclass) `Ctor`. Subclasses inherit the types that are
+ * registered on their parent classes.
+ */
+
+exports.define = (Ctor, type, def = {}) => {
+  if (typeof type !== 'string' || type === '') {
+    throw new TypeError('expected type to be a non-empty string');
+  }
+  if (exports.get(Ctor, type)) {
+    throw new Error('node type "' + type + '" is already defined');
+  }
+
+  let registry = registries.get(Ctor);
+  if (!registry) {
+    registry = new Map();
+    registries.set(Ctor, registry);
+  }
+
+  const schema = normalize(type, def);
+  registry.set(type, schema);
+  version++;
+  return schema;
+};
+
+/**
+ * Returns a number that changes each time a type is defined.
+ */
+
+exports.version = () => version;
+
+/**
+ * Get the schema for `type`, or `undefined`.
+ */
+
+exports.get = (Ctor, type) => {
+  for (let C = Ctor; typeof C === 'function'; C = Object.getPrototypeOf(C)) {
+    const registry = registries.get(C);
+    if (registry && registry.has(type)) {
+      return registry.get(type);
+    }
+  }
+};
+
+/**
+ * Get all schemas that are registered on `Ctor` or its parent classes.
+ */
+
+exports.list = Ctor => {
+  const schemas = new Map();
+  const chain = [];
+  for (let C = Ctor; typeof C === 'function'; C = Object.getPrototypeOf(C)) {
+    chain.unshift(C);
+  }
+  for (const C of chain) {
+    const registry = registries.get(C);
+    if (registry) registry.forEach((schema, type) => schemas.set(type, schema));
+  }
+  return schemas;
+};
+
+/**
+ * Validate `node` and its descendants. Returns an array of violations,
+ * as `{ path, node, message }` objects, where `path` is the path from
+ * `node` to the invalid node, like `nodes[1].nodes[0]`.
+ */
+
+exports.validate = (Ctor, node) => {
+  const violations = [];
+  const stack = [[node, '']];
+
+  while (stack.length) {
+    const [current, path] = stack.pop();
+    check(Ctor, current, path, violations);
+
+    if (Array.isArray(current.nodes)) {
+      for (let i = current.nodes.length - 1; i >= 0; i--) {
+        stack.push([current.nodes[i], join(path, i)]);
+      }
+    }
+  }
+  return violations;
+};
+
+/**
+ * Throw an error if `node` is invalid, or if `children` are not allowed
+ * on `node`. Descendants of the children are not validated.
+ */
+
+exports.enforce = (Ctor, node, children) => {
+  const violations = [];
+  if (children) {
+    const schema = exports.get(Ctor, node.type);
+    children.forEach(child => {
+      check(Ctor, child, '', violations);
+      if (schema) checkChild(schema, child, '', violations);
+    });
+  } else {
+    check(Ctor, node, '', violations);
+  }
+
+  if (violations.length) {
+    const message = violations.map(v => (v.path ? v.path + ': ' : '') + v.message).join('; ');
+    const err = new TypeError(message);
+    err.violations = violations;
+    throw err;
+  }
+};
+
+function check(Ctor, node, path, violations) {
+  const report = message => violations.push({ path, node, message });
+  const schema = exports.get(Ctor, node.type);
+
+  if (!schema) {
+    report('unknown node type "' + node.type + '"');
+    return;
+  }
+
+  for (const key of Object.keys(schema.fields)) {
+    const field = schema.fields[key];
+    const value = node[key];
+
+    if (value === undefined) {
+      if (!field.optional) report('missing required field "' + key + '"');
+      continue;
+    }
+
+    if (!field.kinds.some(kind => isKind(value, kind))) {
+      report('expected field "' + key + '" to be ' + field.kinds.join(' or ') + ', got ' + kindOf(value));
+      continue;
+    }
+
+    if (field.validate) {
+      const res = field.validate(value, node);
+      if (res === false || typeof res === 'string') {
+        report(typeof res === 'string' ? res : 'invalid value for field "' + key + '"');
+      }
+    }
+  }
+
+  if (Array.isArray(node.nodes)) {
+    node.nodes.forEach((child, i) => checkChild(schema, child, join(path, i), violations));
+  }
+}
+
+function checkChild(schema, child, path, violations) {
+  if (schema.children === false) {
+    violations.push({ path, node: child, message: 'nodes of type "' + schema.type + '" cannot have child nodes' });
+    return;
+  }
+  if (Array.isArray(schema.children) && !schema.children.includes(child.type) && !schema.children.includes('*')) {
+    const message = 'node type "' + child.type + '" is not allowed in "' + schema.type + '"';
+    violations.push({ path, node: child, message });
+  }
+}
+
+function normalize(type, def) {
+  if (def === null || typeof def !== 'object') {
+    throw new TypeError('expected type definition to be an object');
+  }
+
+  const fields = {};
+  for (const key of Object.keys(def.fields || {})) {
+    fields[key] = field(type, key, def.fields[key]);
+  }
+
+  const children = def.children === undefined ? true : def.children;
+  if (children !== true && children !== false && !isStrings(children)) {
+    throw new TypeError('expected "children" of type "' + type + '" to be a boolean or an array of strings');
+  }
+
+  const builder = def.builder;
+  if (builder !== undefined && typeof builder !== 'function' && !isStrings(builder)) {
+    throw new TypeError('expected "builder" of type "' + type + '" to be a function or an array of strings');
+  }
+
+  return { type, fields, children, builder };
+}
+
+function field(type, key, spec) {
+  if (typeof spec === 'string' || Array.isArray(spec)) {
+    spec = { type: spec };
+  }
+  if (spec === null || typeof spec !== 'object') {
+    throw new TypeError('expected field "' + key + '" of type "' + type + '" to be a string, array or object');
+  }
+
+  const list = [].concat(spec.type || 'any');
+  for (const kind of list) {
+    if (!kinds.has(kind)) {
+      throw new TypeError('unsupported kind "' + kind + '" for field "' + key + '" of type "' + type + '"');
+    }
+  }
+  if (spec.validate !== undefined && typeof spec.validate !== 'function') {
+    throw new TypeError('expected validate for field "' + key + '" of type "' + type + '" to be a function');
+  }
+
+  return { kinds: list, optional: spec.optional === true, validate: spec.validate };
+}
+
+function isKind(value, kind) {
+  return kind === 'any' || kindOf(value) === kind;
+}
+
+function kindOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function isStrings(value) {
+  return Array.isArray(value) && value.every(v => typeof v === 'string');
+}
+
+function join(path, index) {
+  return (path ? path + '.' : '') + 'nodes[' + index + ']';
+}
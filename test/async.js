@@ -0,0 +1,169 @@
+'use strict';
+
+require('mocha');
+const assert = require('assert');
+const Node = require('..');
+let ast;
+
+const delay = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+describe('async', function() {
+  beforeEach(function() {
+    ast = new Node({
+      type: 'root',
+      nodes: [
+        { type: 'text', value: 'a' },
+        { type: 'brace', nodes: [{ type: 'text', value: 'b' }, { type: 'comma', value: ',' }, { type: 'text', value: 'c' }] },
+        { type: 'star', value: '*' }
+      ]
+    });
+  });
+
+  describe('.walkAsync', function() {
+    it('should await enter and leave in the same order as .walk', async function() {
+      const expected = [];
+      ast.walk({
+        enter: node => expected.push('enter:' + node.type),
+        leave: node => expected.push('leave:' + node.type)
+      });
+
+      const events = [];
+      const res = await ast.walkAsync({
+        async enter(node) {
+          await delay(1);
+          events.push('enter:' + node.type);
+        },
+        leave: node => events.push('leave:' + node.type)
+      });
+      assert.equal(res, ast);
+      assert.deepEqual(events, expected);
+    });
+
+    it('should support skip, stop, replace and remove', async function() {
+      const types = [];
+      await ast.walkAsync(async(node, path) => {
+        await delay(0);
+        types.push(node.type);
+        if (node.type === 'brace') path.skip();
+        if (node.value === 'a') path.replace({ type: 'text', value: 'x' });
+        if (node.type === 'star') path.remove();
+      });
+      assert.deepEqual(types, ['root', 'text', 'brace', 'star']);
+      assert.equal(ast.stringify(), 'xb,c');
+
+      const seen = [];
+      await ast.walkAsync((node, path) => {
+        seen.push(node.type);
+        if (node.type === 'comma') path.stop();
+      });
+      assert.deepEqual(seen, ['root', 'text', 'brace', 'text', 'comma']);
+    });
+
+    it('should await type maps', async function() {
+      const values = [];
+      await ast.walkAsync({
+        text: async node => values.push(await delay(1, node.value)),
+        'comma|star': () => values.push('other')
+      });
+      assert.deepEqual(values, ['a', 'b', 'other', 'c', 'other']);
+    });
+
+    it('should await merged visitors in order', async function() {
+      const calls = [];
+      const visitor = Node.mergeVisitors(
+        { text: async node => calls.push(await delay(2, '1:' + node.value)) },
+        { text: node => calls.push('2:' + node.value) }
+      );
+      await ast.nodes[0].walkAsync(visitor);
+      assert.deepEqual(calls, ['1:a', '2:a']);
+    });
+
+    it('should walk sibling subtrees concurrently', async function() {
+      let pending = 0;
+      let max = 0;
+      const order = [];
+      await ast.nodes[1].walkAsync(async node => {
+        pending++;
+        max = Math.max(max, pending);
+        await delay(node.value === 'b' ? 20 : 1);
+        order.push(node.value || node.type);
+        pending--;
+      }, { concurrency: 2 });
+      assert.equal(max, 2);
+      assert.deepEqual(order, ['brace', ',', 'c', 'b']);
+    });
+
+    it('should skip nodes that are removed while callbacks are pending', async function() {
+      const brace = ast.nodes[1];
+      const seen = [];
+      await brace.walkAsync(async(node, path) => {
+        seen.push(node.value || node.type);
+        if (node.value === 'b') {
+          brace.last.detach();
+          await delay(1);
+          path.remove();
+        }
+      }, { concurrency: 2 });
+      assert.deepEqual(seen, ['brace', 'b', ',']);
+      assert.equal(brace.stringify(), ',');
+    });
+
+    it('should reject when the signal is aborted', async function() {
+      const signal = { aborted: false };
+      const seen = [];
+      const promise = ast.walkAsync(async node => {
+        seen.push(node.type);
+        if (node.type === 'brace') signal.aborted = true;
+        await delay(1);
+      }, { signal });
+
+      await assert.rejects(promise, err => err.name === 'AbortError');
+      assert.deepEqual(seen, ['root', 'text', 'brace']);
+    });
+
+    it('should reject with the reason of the signal', async function() {
+      const signal = { aborted: true, reason: new Error('stop') };
+      await assert.rejects(ast.walkAsync(() => {}, { signal }), /stop/);
+    });
+
+    it('should reject on invalid arguments', async function() {
+      await assert.rejects(ast.walkAsync(null), /expected visitor to be a function or object/);
+      await assert.rejects(ast.walkAsync(() => {}, { concurrency: 0 }), /expected concurrency to be a positive integer/);
+    });
+
+    it('should reject when a callback throws', async function() {
+      await assert.rejects(ast.walkAsync(async() => {
+        throw new Error('boom');
+      }), /boom/);
+    });
+  });
+
+  describe('.visitAsync', function() {
+    it('should call an async function on each node', async function() {
+      const types = [];
+      await ast.visitAsync(async node => types.push(await delay(0, node.type)));
+      assert.deepEqual(types, ['root', 'text', 'brace', 'text', 'comma', 'text', 'star']);
+    });
+  });
+
+  describe('.stringifyAsync', function() {
+    it('should stringify the tree like .stringify', async function() {
+      assert.equal(await ast.stringifyAsync(), ast.stringify());
+      assert.equal(await ast.stringifyAsync(async node => delay(1, node.value && node.value.toUpperCase())), 'AB,C*');
+    });
+
+    it('should keep the order of strings with concurrency', async function() {
+      const str = await ast.stringifyAsync(node => delay(node.value === 'a' ? 20 : 1, node.value), { concurrency: Infinity });
+      assert.equal(str, 'ab,c*');
+    });
+
+    it('should reject when the signal is aborted', async function() {
+      const signal = { aborted: false };
+      const promise = ast.stringifyAsync(node => {
+        if (node.type === 'comma') signal.aborted = true;
+        return node.value;
+      }, { signal });
+      await assert.rejects(promise, err => err.name === 'AbortError');
+    });
+  });
+});
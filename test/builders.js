@@ -0,0 +1,106 @@
+'use strict';
+
+require('mocha');
+const assert = require('assert');
+const Node = require('..');
+let Sub;
+
+describe('builders', function() {
+  beforeEach(function() {
+    Sub = class extends Node {};
+    Sub.defineType('text', { fields: { value: 'string' }, children: false });
+    Sub.defineType('comma', { fields: { value: 'string' }, children: false, builder: () => ({ value: ',' }) });
+    Sub.defineType('brace', { fields: { escaped: { type: 'boolean', optional: true } }, children: ['text', 'comma'] });
+    Sub.defineType('range', { fields: { min: 'number', max: 'number' }, children: false, builder: ['min', 'max'] });
+  });
+
+  describe('Node.builders', function() {
+    it('should have a builder for each registered type', function() {
+      assert.deepEqual(Object.keys(Sub.builders), ['text', 'comma', 'brace', 'range']);
+    });
+
+    it('should include types that are defined later', function() {
+      const builders = Sub.builders;
+      Sub.defineType('star', { children: false });
+      assert.equal(typeof Sub.builders.star, 'function');
+      assert.equal(builders.star, undefined);
+    });
+
+    it('should build nodes from a value', function() {
+      const node = Sub.builders.text('a');
+      assert(node instanceof Sub);
+      assert.equal(node.type, 'text');
+      assert.equal(node.value, 'a');
+      assert.equal(node.nodes, undefined);
+    });
+
+    it('should build nodes with child nodes', function() {
+      const { brace, text, comma } = Sub.builders;
+      const node = brace([text('a'), comma(), { type: 'text', value: 'b' }]);
+      assert.equal(node.type, 'brace');
+      assert.equal(node.size, 3);
+      assert.equal(node.nodes[1].value, ',');
+      assert.equal(node.nodes[2].parent, node);
+      assert(node.nodes[2] instanceof Sub);
+      assert.deepEqual(brace([]).nodes, []);
+    });
+
+    it('should use the builder keys from the definition', function() {
+      const node = Sub.builders.range(1, 5);
+      assert.equal(node.min, 1);
+      assert.equal(node.max, 5);
+    });
+
+    it('should take an object of other properties as the last argument', function() {
+      const node = Sub.builders.brace([], { escaped: true, foo: 'bar' });
+      assert.equal(node.escaped, true);
+      assert.equal(node.foo, 'bar');
+    });
+
+    it('should validate the node', function() {
+      const { brace, text, range } = Sub.builders;
+      assert.throws(() => text(), /missing required field "value"/);
+      assert.throws(() => text(1), /expected field "value" to be string/);
+      assert.throws(() => range(1, '5'), /expected field "max" to be number/);
+      assert.throws(() => brace([range(1, 2)]), /node type "range" is not allowed in "brace"/);
+      assert.throws(() => brace([], { escaped: 'no' }), /expected field "escaped"/);
+      assert.throws(() => brace('a'), /expected nodes of type "brace" to be an array/);
+    });
+
+    it('should not be shared with other classes', function() {
+      assert.equal(Node.builders.text, undefined);
+      class Child extends Sub {}
+      assert(Child.builders.text('a') instanceof Child);
+    });
+  });
+
+  describe('Node.is', function() {
+    it('should return true when a node is the given type', function() {
+      const text = Sub.builders.text('a');
+      assert.equal(Sub.is.text(text), true);
+      assert.equal(Sub.is.brace(text), false);
+      assert.equal(Sub.is.text({ type: 'text' }), false);
+      assert.equal(Sub.is.text(null), false);
+    });
+
+    it('should compare the given properties', function() {
+      const text = Sub.builders.text('a');
+      assert.equal(Sub.is.text(text, { value: 'a' }), true);
+      assert.equal(Sub.is.text(text, { value: 'b' }), false);
+    });
+  });
+
+  describe('Node.assert', function() {
+    it('should return the node when it is the given type', function() {
+      const text = Sub.builders.text('a');
+      assert.equal(Sub.assert.text(text), text);
+    });
+
+    it('should throw when a node is not the given type', function() {
+      const text = Sub.builders.text('a');
+      assert.throws(() => Sub.assert.brace(text), /expected a node of type "brace", got a node of type "text"/);
+      assert.throws(() => Sub.assert.text('a'), /expected a node of type "text", got string/);
+      assert.throws(() => Sub.assert.text(text, { value: 'b' }), /with the given properties/);
+    });
+  });
+});
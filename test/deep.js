@@ -0,0 +1,163 @@
+'use strict';
+
+require('mocha');
+const assert = require('assert');
+const Node = require('..');
+const DEPTH = 100000;
+let ast;
+let deepest;
+
+describe('deep trees', function() {
+  this.timeout(10000);
+
+  before(function() {
+    ast = new Node({ type: 'root' });
+    let parent = ast;
+    for (let i = 0; i < DEPTH; i++) {
+      const node = new Node({ type: 'brace', value: i % 10 === 0 ? 'x' : '' });
+      parent.push(node);
+      parent = node;
+    }
+    deepest = parent;
+  });
+
+  it('should visit every node', function() {
+    let count = 0;
+    ast.visit(() => count++);
+    assert.equal(count, DEPTH + 1);
+  });
+
+  it('should call enter and leave on every node', function() {
+    let entered = 0;
+    let left = 0;
+    ast.walk({ enter: () => entered++, leave: () => left++ });
+    assert.equal(entered, DEPTH + 1);
+    assert.equal(left, DEPTH + 1);
+  });
+
+  it('should stringify the tree', function() {
+    assert.equal(ast.stringify(), 'x'.repeat(DEPTH / 10));
+  });
+
+  it('should print the tree', function() {
+    const print = Node.printer({ root: (node, print) => print.group(print.join(node.nodes, print.softline)) });
+    assert.equal(print(ast), 'x'.repeat(DEPTH / 10));
+  });
+
+  it('should print nested print functions within the limit of the call stack', function() {
+    const root = new Node({ type: 'root' });
+    let parent = root;
+    for (let i = 0; i < 1000; i++) {
+      const node = new Node({ type: 'brace' });
+      parent.push(node);
+      parent = node;
+    }
+    const print = Node.printer({
+      brace: (node, { group, indent, join, softline, hardline }) => {
+        return group(['{', indent([softline, join(node.nodes)]), node.nodes ? hardline : softline, '}']);
+      }
+    });
+    const lines = print(root, { width: Infinity }).split('\n');
+    assert.equal(lines.length, 1999);
+    assert.equal(lines[999], ' '.repeat(1998) + '{}');
+    assert.equal(lines[1998], '}');
+  });
+
+  it('should get the depth and ancestors of nodes', function() {
+    assert.equal(deepest.depth, DEPTH);
+    assert.equal(deepest.isInside('root'), true);
+    assert.equal(deepest.isInside('paren'), false);
+  });
+
+  it('should check if the tree is empty', function() {
+    assert.equal(ast.isEmpty(), true);
+    assert.equal(ast.isEmpty(node => node !== deepest), false);
+  });
+
+  it('should clone the tree', function() {
+    const copy = ast.clone();
+    let node = copy;
+    let depth = 0;
+    while (node.nodes && node.nodes.length) {
+      assert.equal(node.nodes[0].parent, node);
+      node = node.nodes[0];
+      depth++;
+    }
+    assert.equal(depth, DEPTH);
+    assert.notEqual(node, deepest);
+  });
+
+  it('should serialize the tree to JSON and back', function() {
+    const json = ast.toJSON();
+    let obj = json.node;
+    let depth = 0;
+    while (obj.nodes && obj.nodes.length) {
+      obj = obj.nodes[0];
+      depth++;
+    }
+    assert.equal(depth, DEPTH);
+
+    const copy = Node.fromJSON(json);
+    assert.equal(copy.stringify(), ast.stringify());
+    assert.equal([...copy.leaves()][0].depth, DEPTH);
+  });
+
+  it('should compare, diff and patch deep trees', function() {
+    const chain = (depth, last) => {
+      const root = new Node({ type: 'root' });
+      let parent = root;
+      for (let i = 0; i < depth; i++) {
+        const node = new Node('brace', i === depth - 1 ? last : '');
+        parent.push(node);
+        parent = node;
+      }
+      return root;
+    };
+
+    const a = chain(10000, 'a');
+    const b = chain(10000, 'b');
+    assert.equal(a.equals(chain(10000, 'a')), true);
+    assert.equal(a.equals(b), false);
+
+    const ops = Node.diff(a, b);
+    assert.equal(ops.length, 1);
+    assert.equal(ops[0].op, 'update');
+    assert.equal(ops[0].path.length, 10000);
+    assert.equal(Node.patch(a, ops).equals(b), true);
+  });
+
+  it('should dump the tree as an S-expression', function() {
+    const root = new Node({ type: 'root' });
+    let parent = root;
+    for (let i = 0; i < 10000; i++) {
+      const node = new Node('brace', 'a');
+      parent.push(node);
+      parent = node;
+    }
+
+    const str = Node.dump(root);
+    assert.equal(str.indexOf('(root\n  (brace "a"\n    (brace "a"\n'), 0);
+    assert.equal(str.slice(str.lastIndexOf('\n') + 1), ' '.repeat(20000) + '(brace "a"' + ')'.repeat(10001));
+  });
+
+  it('should create a tree from an S-expression', function() {
+    const node = Node.parseSexpr('(root ' + '(brace "a" '.repeat(10000) + ')'.repeat(10001));
+    const leaf = [...node.leaves()][0];
+    assert.equal(leaf.depth, 10000);
+    assert.equal(leaf.parent.nodes[0], leaf);
+    assert.equal(node.stringify(), 'a'.repeat(10000));
+  });
+
+  it('should create a tree from deeply nested objects', function() {
+    const obj = { type: 'root', nodes: [] };
+    let current = obj;
+    for (let i = 0; i < DEPTH; i++) {
+      const child = { type: 'text', value: 'a', nodes: [] };
+      current.nodes.push(child);
+      current = child;
+    }
+    const node = new Node(obj);
+    assert.equal(node.nodes[0].nodes[0].parent, node.nodes[0]);
+    assert.equal([...node.descendants({ order: 'post' })].length, DEPTH);
+  });
+});
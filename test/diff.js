@@ -0,0 +1,160 @@
+'use strict';
+
+require('mocha');
+const assert = require('assert');
+const Node = require('..');
+
+function tree(...nodes) {
+  return new Node({ type: 'root', nodes });
+}
+
+function text(value, extra) {
+  return Object.assign({ type: 'text', value }, extra);
+}
+
+function brace(...nodes) {
+  return { type: 'brace', nodes };
+}
+
+describe('diff', function() {
+  describe('.equals', function() {
+    it('should return true for equal trees', function() {
+      const a = tree(text('a'), brace(text('b'), text('c')));
+      const b = tree(text('a'), brace(text('b'), text('c')));
+      assert(a.equals(b));
+      assert(b.equals(a));
+      assert(a.equals(a));
+    });
+
+    it('should compare types and values', function() {
+      assert(!tree(text('a')).equals(tree(text('b'))));
+      assert(!tree(text('a')).equals(tree({ type: 'star', value: 'a' })));
+    });
+
+    it('should compare extra properties deeply', function() {
+      assert(tree(text('a', { loc: { start: 1 } })).equals(tree(text('a', { loc: { start: 1 } }))));
+      assert(!tree(text('a', { loc: { start: 1 } })).equals(tree(text('a', { loc: { start: 2 } }))));
+      assert(!tree(text('a', { escaped: true })).equals(tree(text('a'))));
+      assert(!tree(text('a')).equals(tree(text('a', { escaped: true }))));
+    });
+
+    it('should compare child nodes', function() {
+      assert(!tree(text('a')).equals(tree(text('a'), text('b'))));
+      assert(!tree(brace()).equals(tree({ type: 'brace' })));
+    });
+
+    it('should ignore the given properties', function() {
+      const a = tree(text('a', { loc: { start: 1 } }));
+      const b = tree(text('a', { loc: { start: 5 } }));
+      assert(a.equals(b, { ignore: ['loc'] }));
+    });
+
+    it('should return false for values that are not nodes', function() {
+      assert(!tree().equals({ type: 'root' }));
+      assert(!tree().equals(null));
+    });
+  });
+
+  describe('Node.diff', function() {
+    it('should return an empty list for equal trees', function() {
+      assert.deepEqual(Node.diff(tree(text('a')), tree(text('a'))), []);
+    });
+
+    it('should replace nodes with a different type', function() {
+      const ops = Node.diff(tree(text('a')), tree({ type: 'star', value: '*' }));
+      assert.equal(ops.length, 1);
+      assert.equal(ops[0].op, 'replace');
+      assert.deepEqual(ops[0].path, [0]);
+      assert.equal(ops[0].node.type, 'star');
+    });
+
+    it('should replace the root', function() {
+      const ops = Node.diff(tree(), new Node('other'));
+      assert.deepEqual(ops.map(op => [op.op, op.path]), [['replace', []]]);
+    });
+
+    it('should update properties', function() {
+      const ops = Node.diff(tree(text('a', { foo: 1 })), tree(text('b', { bar: 2 })));
+      assert.deepEqual(ops, [
+        { op: 'update', path: [0], key: 'value', value: 'b' },
+        { op: 'update', path: [0], key: 'foo' },
+        { op: 'update', path: [0], key: 'bar', value: 2 }
+      ]);
+    });
+
+    it('should insert and remove nodes', function() {
+      const ops = Node.diff(tree(text('a'), text('b'), text('c')), tree(text('a'), text('x'), text('y'), text('c')));
+      assert.deepEqual(ops.map(op => [op.op, op.path]), [
+        ['update', [1]],
+        ['insert', [2]]
+      ]);
+
+      const ops2 = Node.diff(tree(text('a'), text('b'), text('c')), tree(text('c')));
+      assert.deepEqual(ops2.map(op => [op.op, op.path]), [
+        ['remove', [0]],
+        ['remove', [0]]
+      ]);
+    });
+
+    it('should diff nested nodes', function() {
+      const ops = Node.diff(tree(brace(text('a'), brace(text('b')))), tree(brace(text('a'), brace(text('c')))));
+      assert.deepEqual(ops, [{ op: 'update', path: [0, 1, 0], key: 'value', value: 'c' }]);
+    });
+
+    it('should ignore the given properties', function() {
+      const a = tree(text('a', { loc: 1 }));
+      const b = tree(text('a', { loc: 2 }));
+      assert.deepEqual(Node.diff(a, b, { ignore: ['loc'] }), []);
+    });
+
+    it('should throw when arguments are not nodes', function() {
+      assert.throws(() => Node.diff({}, tree()), /expected a to be an instance of Node/);
+    });
+  });
+
+  describe('Node.patch', function() {
+    const fixtures = [
+      [tree(), tree(text('a'))],
+      [tree(text('a')), tree()],
+      [tree(text('a'), text('b')), tree(text('b'), text('a'))],
+      [tree(text('a'), brace(text('b'))), tree(brace(text('b'), text('c')), text('a'))],
+      [tree(brace(text('a'), text('b'), text('c'))), tree(brace(text('x'), text('b'), text('y'), text('z')))],
+      [tree(text('a', { foo: { bar: [1] } })), tree(text('a', { foo: { bar: [2] } }))],
+      [tree(brace()), tree({ type: 'brace' })],
+      [tree(text('a')), new Node({ type: 'other', nodes: [text('b')] })]
+    ];
+
+    fixtures.forEach(([a, b], i) => {
+      it('should transform a into b (' + i + ')', function() {
+        const res = Node.patch(a.clone(), Node.diff(a, b));
+        assert(res.equals(b));
+      });
+    });
+
+    it('should keep parent, size and index in sync', function() {
+      const a = tree(text('a'), text('b'));
+      const b = tree(text('x'), text('a'), brace(text('c')));
+      const res = Node.patch(a, Node.diff(a, b));
+      assert.equal(res, a);
+      assert.equal(res.size, 3);
+      res.nodes.forEach((node, i) => {
+        assert.equal(node.parent, res);
+        assert.equal(node.index, i);
+      });
+      assert.equal(res.nodes[2].nodes[0].parent, res.nodes[2]);
+    });
+
+    it('should not add nodes from the operations to the tree', function() {
+      const ops = Node.diff(tree(), tree(text('a')));
+      const res = Node.patch(tree(), ops);
+      assert.notEqual(res.nodes[0], ops[0].node);
+    });
+
+    it('should throw on invalid operations', function() {
+      assert.throws(() => Node.patch(tree(), [{ op: 'remove', path: [0] }]), /invalid patch path: \[0\]/);
+      assert.throws(() => Node.patch(tree(), [{ op: 'foo', path: [] }]), /unsupported patch operation/);
+      assert.throws(() => Node.patch(tree(), [{ op: 'remove' }]), /expected op.path/);
+      assert.throws(() => Node.patch(tree(), null), /expected ops/);
+    });
+  });
+});
@@ -0,0 +1,235 @@
+'use strict';
+
+require('mocha');
+const assert = require('assert');
+const Node = require('..');
+let ast;
+let log;
+
+function record(node) {
+  log = [];
+  node.onChange(event => log.push([event.type, event.parent.type, event.index, event.node.value || event.node.type]));
+}
+
+describe('events', function() {
+  beforeEach(function() {
+    ast = new Node({ type: 'root' });
+    ast.push(new Node('text', 'a'));
+    ast.push(new Node({ type: 'brace', nodes: [{ type: 'text', value: 'b' }] }));
+  });
+
+  describe('.on', function() {
+    it('should emit insert events', function() {
+      record(ast);
+      ast.push(new Node('text', 'c'));
+      ast.unshift(new Node('bos'));
+      ast.nodes[2].push(new Node('text', 'x'));
+      assert.deepEqual(log, [
+        ['insert', 'root', 2, 'c'],
+        ['insert', 'root', 0, 'bos'],
+        ['insert', 'brace', 1, 'x']
+      ]);
+    });
+
+    it('should emit remove events', function() {
+      ast.push(new Node('text', 'c'));
+      record(ast);
+      ast.pop();
+      ast.nodes[1].shift();
+      ast.remove(ast.nodes[0]);
+      assert.deepEqual(log, [
+        ['remove', 'root', 2, 'c'],
+        ['remove', 'brace', 0, 'b'],
+        ['remove', 'root', 0, 'a']
+      ]);
+    });
+
+    it('should emit events from splice and other mutators', function() {
+      record(ast);
+      ast.nodes[0].replaceWith(new Node('text', 'x'));
+      ast.nodes[0].insertAfter(new Node('comma', ','));
+      ast.splice(0, 3, new Node('text', 'y'));
+      assert.deepEqual(log, [
+        ['replace', 'root', 0, 'x'],
+        ['insert', 'root', 1, ','],
+        ['replace', 'root', 0, 'y'],
+        ['remove', 'root', 1, ','],
+        ['remove', 'root', 2, 'brace']
+      ]);
+    });
+
+    it('should emit events from Node.patch', function() {
+      const other = new Node({
+        type: 'root',
+        nodes: [{ type: 'star', value: '*' }, { type: 'brace', nodes: [] }, { type: 'text', value: 'd' }]
+      });
+      record(ast);
+      Node.patch(ast, Node.diff(ast, other));
+      assert.deepEqual(log, [
+        ['replace', 'root', 0, '*'],
+        ['remove', 'brace', 0, 'b'],
+        ['insert', 'root', 2, 'd']
+      ]);
+      assert(ast.equals(other));
+    });
+
+    it('should emit a remove event when a node is moved', function() {
+      const other = new Node({ type: 'other' });
+      record(ast);
+      other.push(ast.nodes[0]);
+      assert.deepEqual(log, [['remove', 'root', 0, 'a']]);
+    });
+
+    it('should pass the previous node to replace events', function() {
+      const a = ast.nodes[0];
+      let event;
+      ast.on('replace', e => (event = e));
+      a.replaceWith(new Node('text', 'x'));
+      assert.equal(event.previous, a);
+      assert.equal(event.parent, ast);
+      assert.equal(event.node, ast.nodes[0]);
+    });
+
+    it('should only call listeners of the given type', function() {
+      const types = [];
+      ast.on('remove', e => types.push(e.type));
+      ast.push(new Node('text', 'c'));
+      ast.pop();
+      assert.deepEqual(types, ['remove']);
+    });
+
+    it('should call listeners on ancestors', function() {
+      const calls = [];
+      ast.on('insert', () => calls.push('root'));
+      ast.nodes[1].on('insert', () => calls.push('brace'));
+      ast.nodes[1].push(new Node('text', 'c'));
+      ast.push(new Node('text', 'd'));
+      assert.deepEqual(calls, ['brace', 'root', 'root']);
+    });
+
+    it('should throw on invalid arguments', function() {
+      assert.throws(() => ast.on(null, () => {}), /expected type to be a string/);
+      assert.throws(() => ast.on('insert'), /expected listener to be a function/);
+    });
+  });
+
+  describe('.off', function() {
+    it('should remove a listener', function() {
+      const calls = [];
+      const fn = e => calls.push(e.type);
+      ast.on('insert', fn);
+      ast.push(new Node('text', 'c'));
+      ast.off('insert', fn);
+      ast.push(new Node('text', 'd'));
+      assert.deepEqual(calls, ['insert']);
+    });
+
+    it('should remove all listeners of a type', function() {
+      const calls = [];
+      ast.on('insert', e => calls.push(1));
+      ast.on('insert', e => calls.push(2));
+      ast.off('insert');
+      ast.push(new Node('text', 'c'));
+      assert.deepEqual(calls, []);
+    });
+  });
+
+  describe('.onChange', function() {
+    it('should return a function that removes the listener', function() {
+      const calls = [];
+      const unsubscribe = ast.onChange(e => calls.push(e.type));
+      ast.pop();
+      unsubscribe();
+      ast.pop();
+      assert.deepEqual(calls, ['remove']);
+    });
+  });
+
+  describe('Node.observe', function() {
+    it('should emit set events when properties are changed', function() {
+      const tree = Node.observe(ast);
+      const events = [];
+      tree.on('set', e => events.push(e));
+
+      tree.nodes[1].nodes[0].value = 'x';
+      tree.nodes[1].escaped = true;
+      delete tree.nodes[1].escaped;
+
+      assert.deepEqual(events.map(e => [e.key, e.value, e.previous, e.index]), [
+        ['value', 'x', 'b', 0],
+        ['escaped', true, undefined, 1],
+        ['escaped', undefined, true, 1]
+      ]);
+      assert.equal(events[0].node, tree.nodes[1].nodes[0]);
+      assert.equal(events[0].parent, tree.nodes[1]);
+      assert.equal(ast.nodes[1].nodes[0].value, 'x');
+    });
+
+    it('should not emit events when the value is unchanged', function() {
+      const tree = Node.observe(ast);
+      let count = 0;
+      tree.on('set', () => count++);
+      tree.nodes[0].value = 'a';
+      tree.push(new Node('text', 'c'));
+      assert.equal(count, 0);
+    });
+
+    it('should keep parents and indexes in sync', function() {
+      const tree = Node.observe(ast);
+      assert.equal(tree.nodes[1].parent, tree);
+      assert.equal(tree.nodes[1].nodes[0].parent, tree.nodes[1]);
+      assert.equal(tree.nodes[1].index, 1);
+      assert.equal(tree.stringify(), 'ab');
+    });
+
+    it('should not change the original tree', async function() {
+      const tree = Node.observe(ast);
+      tree.push(new Node({ type: 'paren', nodes: [{ type: 'text', value: 'c' }] }));
+      tree.nodes[1].unshift(new Node('text', 'x'));
+      tree.nodes[0].replaceWith(new Node('text', 'y'));
+
+      assert.equal(ast.nodes[0].parent, ast);
+      assert.equal(ast.nodes[1].nodes[0].parent, ast.nodes[1]);
+      assert.equal(ast.nodes[2].parent, ast);
+      assert.equal(ast.nodes[2].nodes[0].parent, ast.nodes[2]);
+      assert(ast.nodes.every(node => node.parent === ast));
+
+      const types = [];
+      ast.walk(node => types.push(node.type));
+      ast.visit(node => types.push(node.type));
+      await ast.walkAsync(node => types.push(node.type));
+      assert.equal(types.length, 21);
+      assert.equal(ast.stringify(), 'yxbc');
+      assert.equal(tree.stringify(), 'yxbc');
+    });
+
+    it('should observe nodes that are added later', function() {
+      const tree = Node.observe(ast);
+      const keys = [];
+      tree.on('set', e => keys.push(e.key));
+
+      tree.push(new Node({ type: 'paren', nodes: [{ type: 'text', value: 'c' }] }));
+      tree.last.open = '(';
+      tree.last.nodes[0].value = 'd';
+      tree.nodes[0].replaceWith(new Node('text', 'x'));
+      tree.first.value = 'y';
+
+      assert.deepEqual(keys, ['open', 'value', 'value']);
+      assert.equal(tree.last.nodes[0].parent, tree.last);
+      assert.equal(tree.stringify(), 'ybd');
+    });
+
+    it('should pass observed nodes to insert events', function() {
+      const tree = Node.observe(ast);
+      let node;
+      tree.on('insert', e => (node = e.node));
+      tree.push(new Node('text', 'c'));
+      assert.equal(node, tree.last);
+    });
+
+    it('should throw on invalid arguments', function() {
+      assert.throws(() => Node.observe({}), /expected tree to be an instance of Node/);
+      assert.throws(() => Node.observe(Node.immutable(ast)), /cannot observe an immutable node/);
+    });
+  });
+});
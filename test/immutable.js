@@ -0,0 +1,218 @@
+'use strict';
+
+require('mocha');
+const assert = require('assert');
+const Node = require('..');
+const { unwrap } = require('../lib/immutable');
+let ast;
+
+function types(node) {
+  return node.nodes.map(n => n.type);
+}
+
+describe('immutable', function() {
+  beforeEach(function() {
+    ast = new Node({
+      type: 'root',
+      nodes: [
+        { type: 'text', value: 'a' },
+        { type: 'brace', nodes: [{ type: 'text', value: 'b' }, { type: 'text', value: 'c' }] },
+        { type: 'paren', nodes: [{ type: 'star', value: '*' }] }
+      ]
+    });
+  });
+
+  describe('Node.immutable', function() {
+    it('should return an immutable copy of the tree', function() {
+      const tree = Node.immutable(ast);
+      assert(Node.isImmutable(tree));
+      assert(Node.isImmutable(tree.nodes[1].nodes[0]));
+      assert(!Node.isImmutable(ast));
+      assert(tree instanceof Node);
+      assert(tree.equals(ast));
+    });
+
+    it('should return immutable trees as-is', function() {
+      const tree = Node.immutable(ast);
+      assert.equal(Node.immutable(tree), tree);
+    });
+
+    it('should not be affected by changes to the original tree', function() {
+      const tree = Node.immutable(ast);
+      ast.nodes[0].value = 'z';
+      assert.equal(tree.nodes[0].value, 'a');
+    });
+
+    it('should support node methods', function() {
+      const tree = Node.immutable(ast);
+      const brace = tree.find('brace');
+      assert.equal(brace.parent, tree);
+      assert.equal(brace.index, 1);
+      assert.equal(brace.last.index, 1);
+      assert.equal(brace.first.next.value, 'c');
+      assert.equal(brace.last.depth, 2);
+      assert.equal(tree.stringify(), 'abc*');
+      assert.equal(tree.query('brace > text:last-child').value, 'c');
+    });
+
+    it('should return the same child nodes when accessed again', function() {
+      const tree = Node.immutable(ast);
+      assert.equal(tree.nodes, tree.nodes);
+      assert.equal(tree.nodes[1], tree.nodes[1]);
+    });
+
+    it('should throw when properties are modified', function() {
+      const tree = Node.immutable(ast);
+      assert.throws(() => (tree.nodes[0].value = 'x'), /cannot modify "value" on an immutable node/);
+      assert.throws(() => delete tree.nodes[0].value, /cannot modify "value"/);
+      assert.throws(() => tree.nodes.push(new Node('x')), TypeError);
+      assert.throws(() => Object.defineProperty(tree, 'foo', { value: 1 }), /cannot modify "foo"/);
+    });
+
+    it('should throw when nodes are replaced or removed in a walk', function() {
+      const tree = Node.immutable(ast);
+      assert.throws(() => tree.visit((node, ctx) => ctx.remove()), /cannot remove an immutable node/);
+      assert.throws(() => tree.visit((node, ctx) => ctx.replace({ type: 'x' })), /cannot replace an immutable node/);
+    });
+
+    it('should return a mutable copy from clone', function() {
+      const copy = Node.immutable(ast).clone();
+      assert(!Node.isImmutable(copy));
+      assert(!Node.isImmutable(copy.nodes[1]));
+      copy.nodes[1].push(new Node('x'));
+      assert(copy.equals(ast) === false);
+      assert.equal(copy.nodes[1].nodes[2].parent, copy.nodes[1]);
+    });
+
+    it('should not share writable values between versions', function() {
+      ast.loc = { start: { line: 1, column: 1, index: 0 }, end: { line: 1, column: 4, index: 3 } };
+      ast.nodes[0].list = [{ a: 1 }];
+      const v1 = Node.immutable(ast);
+      const v2 = v1.nodes[1].push(new Node('text', 'x'));
+      assert.throws(() => (v1.loc.start.line = 99), TypeError);
+      assert.throws(() => v1.nodes[0].list[0].a++, TypeError);
+      assert.throws(() => v2.nodes[0].list.push(2), TypeError);
+      assert.equal(v2.loc.start.line, 1);
+      assert.deepEqual(v2.nodes[0].list, [{ a: 1 }]);
+      assert.equal(ast.loc.start.line, 1);
+      ast.loc.start.line = 2;
+      assert.equal(v1.loc.start.line, 1);
+    });
+
+    it('should serialize to JSON', function() {
+      assert.deepEqual(Node.immutable(ast).toJSON(), ast.toJSON());
+    });
+  });
+
+  describe('mutators', function() {
+    it('should return a new root from push', function() {
+      const v1 = Node.immutable(ast);
+      const v2 = v1.nodes[1].push(new Node('text', 'x'));
+
+      assert(Node.isImmutable(v2));
+      assert.notEqual(v2, v1);
+      assert.deepEqual(v1.nodes[1].nodes.map(n => n.value), ['b', 'c']);
+      assert.deepEqual(v2.nodes[1].nodes.map(n => n.value), ['b', 'c', 'x']);
+      assert.equal(v2.nodes[1].size, 3);
+      assert.equal(v1.nodes[1].size, 2);
+    });
+
+    it('should share unchanged subtrees', function() {
+      const v1 = Node.immutable(ast);
+      const v2 = v1.nodes[1].push(new Node('text', 'x'));
+
+      assert.equal(unwrap(v2.nodes[0]), unwrap(v1.nodes[0]));
+      assert.equal(unwrap(v2.nodes[2]), unwrap(v1.nodes[2]));
+      assert.equal(unwrap(v2.nodes[1].nodes[0]), unwrap(v1.nodes[1].nodes[0]));
+      assert.notEqual(unwrap(v2.nodes[1]), unwrap(v1.nodes[1]));
+      assert.notEqual(unwrap(v2), unwrap(v1));
+    });
+
+    it('should keep parents correct in each version', function() {
+      const v1 = Node.immutable(ast);
+      const v2 = v1.nodes[1].push(new Node('text', 'x'));
+
+      assert.equal(v1.nodes[2].parent, v1);
+      assert.equal(v2.nodes[2].parent, v2);
+      assert.equal(v2.nodes[2].nodes[0].parent, v2.nodes[2]);
+      assert.equal(v1.nodes[1].nodes[0].parent, v1.nodes[1]);
+      assert.equal(v2.nodes[1].nodes[2].parent, v2.nodes[1]);
+      assert.equal(v2.nodes[1].nodes[2].parent.parent, v2);
+    });
+
+    it('should not modify shared nodes', function() {
+      const v1 = Node.immutable(ast);
+      const b = unwrap(v1.nodes[1].nodes[0]);
+      const c = unwrap(v1.nodes[1].nodes[1]);
+      const v2 = v1.nodes[1].remove(v1.nodes[1].nodes[0]);
+      const v3 = v2.nodes[1].unshift({ type: 'text', value: 'x' });
+      assert.equal(unwrap(v3.nodes[1].nodes[1]), c);
+      assert.equal(c.parent, unwrap(v1.nodes[1]));
+      assert.equal(b.parent, unwrap(v1.nodes[1]));
+      assert.equal(b.index, 0);
+      assert.equal(v1.nodes[1].nodes[0].value, 'b');
+      assert.equal(v3.nodes[1].nodes[1].index, 1);
+    });
+
+    it('should return a new root from unshift', function() {
+      const v2 = Node.immutable(ast).unshift({ type: 'bos' });
+      assert.deepEqual(types(v2), ['bos', 'text', 'brace', 'paren']);
+    });
+
+    it('should return a new root from pop and shift', function() {
+      const v1 = Node.immutable(ast);
+      assert.deepEqual(types(v1.pop()), ['text', 'brace']);
+      assert.deepEqual(types(v1.shift()), ['brace', 'paren']);
+      assert.deepEqual(types(v1.nodes[1].shift().nodes[1]), ['text']);
+      assert.deepEqual(types(v1), ['text', 'brace', 'paren']);
+    });
+
+    it('should return a new root from remove', function() {
+      const v1 = Node.immutable(ast);
+      const v2 = v1.nodes[1].remove(v1.nodes[1].nodes[0]);
+      assert.deepEqual(v2.nodes[1].nodes.map(n => n.value), ['c']);
+      assert.equal(v2.nodes[1].size, 1);
+      assert.equal(v1.nodes[1].nodes.length, 2);
+    });
+
+    it('should copy nodes from other trees', function() {
+      const text = new Node('text', 'x');
+      const v2 = Node.immutable(ast).push(text);
+      assert.equal(text.parent, null);
+      text.value = 'y';
+      assert.equal(v2.last.value, 'x');
+    });
+
+    it('should support chaining versions', function() {
+      let tree = Node.immutable(ast);
+      const versions = [tree];
+      for (const value of ['x', 'y', 'z']) {
+        tree = tree.push({ type: 'text', value });
+        versions.push(tree);
+      }
+      assert.deepEqual(versions.map(v => v.stringify()), ['abc*', 'abc*x', 'abc*xy', 'abc*xyz']);
+    });
+
+    it('should return a new version from Node.patch', function() {
+      const v1 = Node.immutable(ast);
+      const other = ast.clone();
+      other.nodes[1].nodes[0].value = 'x';
+      other.nodes[2].push(new Node('text', 'y'));
+      const v2 = Node.patch(v1, Node.diff(ast, other));
+      assert(Node.isImmutable(v2));
+      assert(v2.equals(other));
+      assert.equal(v1.stringify(), 'abc*');
+    });
+
+    it('should widen the loc of copied ancestors', function() {
+      const loc = (start, end) => ({ start: { line: 1, column: start + 1, index: start }, end: { line: 1, column: end + 1, index: end } });
+      ast.loc = loc(0, 2);
+      ast.nodes[1].loc = loc(1, 2);
+      const v1 = Node.immutable(ast);
+      const v2 = v1.nodes[1].push({ type: 'text', loc: loc(2, 4) });
+      assert.deepEqual(v2.nodes[1].loc, loc(1, 4));
+      assert.deepEqual(v2.loc, loc(0, 4));
+      assert.deepEqual(v1.loc, loc(0, 2));
+    });
+  });
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+require('mocha');
+const util = require('util');
+const assert = require('assert');
+const Node = require('..');
+let ast;
+
+describe('inspect', function() {
+  beforeEach(function() {
+    ast = new Node({
+      type: 'root',
+      nodes: [
+        { type: 'text', value: 'a', loc: { start: { line: 1, column: 1, index: 0 }, end: { line: 1, column: 2, index: 1 } } },
+        { type: 'brace', open: true, nodes: [{ type: 'text', value: 'b' }, { type: 'comma', value: ',' }] },
+        { type: 'star', value: '*' }
+      ]
+    });
+  });
+
+  describe('.inspect', function() {
+    it('should draw the tree', function() {
+      assert.equal(ast.inspect(), [
+        'root',
+        '├─ text "a"',
+        '├─ brace',
+        '│  ├─ text "b"',
+        '│  └─ comma ","',
+        '└─ star "*"'
+      ].join('\n'));
+    });
+
+    it('should limit the depth', function() {
+      assert.equal(ast.inspect({ depth: 1 }), 'root\n├─ text "a"\n├─ brace [2 nodes]\n└─ star "*"');
+      assert.equal(ast.inspect({ depth: 0 }), 'root [3 nodes]');
+    });
+
+    it('should show the loc of nodes', function() {
+      assert.equal(ast.inspect({ showLoc: true }).split('\n')[1], '├─ text "a" 1:1-1:2');
+    });
+
+    it('should add colors', function() {
+      const str = ast.nodes[0].inspect({ colors: true });
+      assert.equal(str, '\u001b[36mtext\u001b[39m \u001b[32m"a"\u001b[39m');
+    });
+
+    it('should be used by util.inspect', function() {
+      assert.equal(util.inspect(ast.nodes[1]), 'brace\n├─ text "b"\n└─ comma ","');
+      assert.equal(util.inspect({ node: ast }, { depth: 0 }), '{ node: [Node root] }');
+      assert.equal(util.inspect(Node.immutable(ast).nodes[1]), 'brace\n├─ text "b"\n└─ comma ","');
+    });
+  });
+
+  describe('Node.dump', function() {
+    it('should dump the tree as an S-expression', function() {
+      assert.equal(Node.dump(ast, 'sexpr', { omit: ['loc'] }), [
+        '(root',
+        '  (text "a")',
+        '  (brace :open true',
+        '    (text "b")',
+        '    (comma ","))',
+        '  (star "*"))'
+      ].join('\n'));
+    });
+
+    it('should write other properties as JSON', function() {
+      const node = new Node({ type: 'my type', value: 1, 'a b': [1, 'x'], nodes: [] });
+      assert.equal(Node.dump(node), '("my type" :value 1 :"a b" [1,"x"] :nodes [])');
+      assert.equal(Node.dump(ast.nodes[0]), '(text "a" :loc {"start":{"line":1,"column":1,"index":0},"end":{"line":1,"column":2,"index":1}})');
+    });
+
+    it('should dump the tree as a tree', function() {
+      assert.equal(Node.dump(ast, 'tree'), ast.inspect());
+    });
+
+    it('should throw on invalid arguments', function() {
+      assert.throws(() => Node.dump({}), /expected tree to be an instance of Node/);
+      assert.throws(() => Node.dump(ast, 'xml'), /expected format to be "sexpr" or "tree"/);
+    });
+  });
+});
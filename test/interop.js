@@ -0,0 +1,205 @@
+'use strict';
+
+require('mocha');
+const assert = require('assert');
+const Node = require('..');
+
+const point = (line, column, offset) => ({ line, column, offset });
+
+const mdast = () => ({
+  type: 'root',
+  children: [
+    {
+      type: 'heading',
+      depth: 1,
+      children: [{ type: 'text', value: 'Hi', position: { start: point(1, 3, 2), end: point(1, 5, 4) } }],
+      position: { start: point(1, 1, 0), end: point(1, 5, 4) }
+    },
+    { type: 'thematicBreak', data: { hProperties: { id: 'x' } }, position: { start: point(3, 1, 6), end: point(3, 4, 9), indent: [] } }
+  ],
+  position: { start: point(1, 1, 0), end: point(3, 4, 9) }
+});
+
+// the tree acorn creates for `a + b;` with { locations: true }, as plain objects
+const loc = (line, column, endLine, endColumn) => ({ start: { line, column }, end: { line: endLine, column: endColumn } });
+const estree = () => ({
+  type: 'Program',
+  start: 0,
+  end: 6,
+  loc: loc(1, 0, 1, 6),
+  body: [
+    {
+      type: 'ExpressionStatement',
+      start: 0,
+      end: 6,
+      loc: loc(1, 0, 1, 6),
+      expression: {
+        type: 'BinaryExpression',
+        start: 0,
+        end: 5,
+        loc: loc(1, 0, 1, 5),
+        left: { type: 'Identifier', start: 0, end: 1, loc: loc(1, 0, 1, 1), name: 'a' },
+        operator: '+',
+        right: { type: 'Identifier', start: 4, end: 5, loc: loc(1, 4, 1, 5), name: 'b' }
+      }
+    }
+  ],
+  sourceType: 'script'
+});
+
+describe('interop', function() {
+  describe('unist', function() {
+    it('should create nodes from a unist tree', function() {
+      const ast = Node.fromUnist(mdast());
+      const heading = ast.nodes[0];
+      assert(heading instanceof Node);
+      assert.equal(heading.parent, ast);
+      assert.deepEqual(heading.unist, { depth: 1 });
+      assert.deepEqual(heading.clone().unist, { depth: 1 });
+      assert.equal(heading.depth, 1);
+      assert.equal(heading.nodes[0].depth, 2);
+      assert.equal(heading.children, undefined);
+      assert.equal(heading.nodes[0].value, 'Hi');
+      assert.deepEqual(heading.nodes[0].loc, { start: { line: 1, column: 3, index: 2 }, end: { line: 1, column: 5, index: 4 } });
+      assert.deepEqual(heading.nodes[0].range, [2, 4]);
+      assert.deepEqual(ast.nodes[1].loc.indent, []);
+      assert.equal(ast.stringify(), 'Hi');
+    });
+
+    it('should convert nodes to a unist tree', function() {
+      const node = new Node({ type: 'paragraph', nodes: [{ type: 'text', value: 'a', loc: { start: { line: 1, column: 1, index: 0 }, end: { line: 1, column: 2, index: 1 } } }] });
+      assert.deepEqual(node.toUnist(), {
+        type: 'paragraph',
+        children: [{ type: 'text', value: 'a', position: { start: point(1, 1, 0), end: point(1, 2, 1) } }]
+      });
+    });
+
+    it('should round trip without losing data', function() {
+      assert.deepEqual(Node.fromUnist(mdast()).toUnist(), mdast());
+
+      const ast = Node.parseSexpr('(root (brace :open true (text "a") (list :nodes [])))');
+      assert(Node.fromUnist(ast.toUnist()).equals(ast));
+    });
+
+    it('should add properties with the names of getters and methods to node.unist', function() {
+      const tree = { type: 'list', first: true, range: [0, 1], visit: 'a', unist: 'b', children: [{ type: 'listItem' }] };
+      const ast = Node.fromUnist(tree);
+      assert.deepEqual(ast.unist, { first: true, range: [0, 1], visit: 'a', unist: 'b' });
+      assert.equal(ast.first, ast.nodes[0]);
+      assert.equal(ast.visit, Node.prototype.visit);
+      assert.deepEqual(ast.toUnist(), tree);
+    });
+
+    it('should not share objects with the source tree', function() {
+      const tree = mdast();
+      const ast = Node.fromUnist(tree);
+      ast.nodes[1].data.hProperties.id = 'y';
+      assert.equal(tree.children[1].data.hProperties.id, 'x');
+      assert.notEqual(ast.toUnist().children[1].data, ast.nodes[1].data);
+    });
+
+    it('should throw on invalid trees', function() {
+      assert.throws(() => Node.fromUnist(), /expected tree to be a unist node/);
+      assert.throws(() => Node.fromUnist({ children: [] }), /expected tree to be a unist node/);
+    });
+  });
+
+  describe('ESTree', function() {
+    it('should add child nodes to nodes with a field', function() {
+      const ast = Node.fromESTree(estree());
+      const expression = ast.nodes[0].nodes[0];
+      assert.deepEqual(ast.lists, ['body']);
+      assert.equal(ast.nodes[0].field, 'body');
+      assert.equal(ast.nodes[0].lists, undefined);
+      assert.equal(expression.field, 'expression');
+      assert.deepEqual(expression.nodes.map(node => [node.field, node.name]), [['left', 'a'], ['right', 'b']]);
+      assert.equal(expression.nodes[1].parent, expression);
+      assert.equal(expression.operator, '+');
+      assert.equal(expression.left, undefined);
+    });
+
+    it('should convert positions to loc', function() {
+      const ast = Node.fromESTree(estree());
+      const b = ast.nodes[0].nodes[0].nodes[1];
+      assert.deepEqual(b.loc, { start: { line: 1, column: 5, index: 4 }, end: { line: 1, column: 6, index: 5 } });
+      assert.equal(b.start, undefined);
+      assert.deepEqual(b.range, [4, 5]);
+
+      const node = Node.fromESTree({ type: 'Identifier', name: 'a', range: [2, 3] });
+      assert.deepEqual(node.loc, { start: { index: 2 }, end: { index: 3 } });
+      assert.deepEqual(node.toESTree(), { type: 'Identifier', name: 'a', start: 2, end: 3 });
+      assert.deepEqual(node.toESTree({ range: true }), { type: 'Identifier', name: 'a', start: 2, end: 3, range: [2, 3] });
+    });
+
+    it('should use child keys from options', function() {
+      const ast = Node.fromESTree(estree(), { childKeys: { BinaryExpression: ['right'] } });
+      const expression = ast.nodes[0].nodes[0];
+      assert.deepEqual(expression.nodes.map(node => node.field), ['right']);
+      assert.equal(expression.left.name, 'a');
+      assert.equal(Node.isNode(expression.left), false);
+      assert.deepEqual(ast.toESTree(), estree());
+      assert.throws(() => Node.fromESTree(estree(), { childKeys: [] }), /expected childKeys to be an object/);
+    });
+
+    it('should round trip without losing data', function() {
+      assert.deepEqual(Node.fromESTree(estree()).toESTree(), estree());
+
+      const tree = {
+        type: 'FunctionDeclaration',
+        id: { type: 'Identifier', name: 'f' },
+        params: [],
+        body: { type: 'BlockStatement', body: [{ type: 'EmptyStatement' }] },
+        elements: [null, { type: 'Identifier', name: 'x' }],
+        regex: { pattern: 'a', flags: 'g' },
+        alternate: null
+      };
+      const ast = Node.fromESTree(tree);
+      assert.deepEqual(ast.lists, ['params']);
+      assert.deepEqual(ast.nodes.map(node => node.field), ['id', 'body']);
+      assert.deepEqual(ast.toESTree(), tree);
+    });
+
+    it('should add child nodes without a field to nodes', function() {
+      const ast = Node.fromESTree(estree());
+      ast.nodes[0].push(new Node({ type: 'EmptyStatement' }));
+      assert.deepEqual(ast.toESTree().body[0].nodes, [{ type: 'EmptyStatement' }]);
+    });
+
+    it('should not modify points that are shared by nodes', function() {
+      // like acorn, which uses class instances and shares the start point of
+      // a node with its first child
+      class Position {
+        constructor(line, column) {
+          this.line = line;
+          this.column = column;
+        }
+      }
+      class SourceLocation {
+        constructor(start, end) {
+          this.start = start;
+          this.end = end;
+        }
+      }
+      const start = new Position(1, 0);
+      const id = name => ({ type: 'Identifier', start: 0, end: 1, loc: new SourceLocation(start, new Position(1, 1)), name });
+      const tree = {
+        type: 'ExpressionStatement',
+        start: 0,
+        end: 1,
+        loc: new SourceLocation(start, new Position(1, 1)),
+        expression: { type: 'SequenceExpression', start: 0, end: 1, loc: new SourceLocation(start, new Position(1, 1)), expressions: [id('a')] }
+      };
+      const expected = JSON.parse(JSON.stringify(tree));
+
+      const ast = Node.fromESTree(tree);
+      assert.equal(start.column, 0);
+      assert.deepEqual(JSON.parse(JSON.stringify(tree)), expected);
+      assert.deepEqual(ast.nodes[0].nodes[0].loc.start, { line: 1, column: 1, index: 0 });
+      assert.deepEqual(ast.toESTree(), expected);
+    });
+
+    it('should throw on invalid trees', function() {
+      assert.throws(() => Node.fromESTree(null), /expected tree to be an ESTree node/);
+    });
+  });
+});
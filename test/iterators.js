@@ -0,0 +1,110 @@
+'use strict';
+
+require('mocha');
+const assert = require('assert');
+const Node = require('..');
+let ast;
+
+function values(iterator) {
+  return [...iterator].map(n => n.value || n.type);
+}
+
+describe('iterators', function() {
+  beforeEach(function() {
+    ast = new Node({
+      type: 'root',
+      nodes: [
+        { type: 'text', value: 'a' },
+        { type: 'brace', nodes: [{ type: 'text', value: 'b' }, { type: 'paren', nodes: [{ type: 'text', value: 'c' }] }] },
+        { type: 'text', value: 'd' },
+        { type: 'empty', nodes: [] }
+      ]
+    });
+  });
+
+  describe('.descendants', function() {
+    it('should iterate over descendants in pre-order', function() {
+      assert.deepEqual(values(ast.descendants()), ['a', 'brace', 'b', 'paren', 'c', 'd', 'empty']);
+      assert.deepEqual(values(ast.descendants({ order: 'pre' })), values(ast.descendants()));
+    });
+
+    it('should iterate over descendants in post-order', function() {
+      assert.deepEqual(values(ast.descendants({ order: 'post' })), ['a', 'b', 'c', 'paren', 'brace', 'd', 'empty']);
+    });
+
+    it('should iterate over descendants in breadth-first order', function() {
+      assert.deepEqual(values(ast.descendants({ order: 'bfs' })), ['a', 'brace', 'd', 'empty', 'b', 'paren', 'c']);
+    });
+
+    it('should not include nodes without descendants', function() {
+      assert.deepEqual(values(ast.nodes[0].descendants()), []);
+      assert.deepEqual(values(ast.nodes[0].descendants({ order: 'post' })), []);
+      assert.deepEqual(values(ast.nodes[0].descendants({ order: 'bfs' })), []);
+    });
+
+    it('should be lazy', function() {
+      const iterator = ast.descendants();
+      assert.equal(iterator.next().value.value, 'a');
+      ast.nodes[1].push(new Node('text', 'x'));
+      assert.deepEqual(values(iterator), ['brace', 'b', 'paren', 'c', 'x', 'd', 'empty']);
+    });
+
+    it('should support stopping early', function() {
+      const seen = [];
+      for (const node of ast.descendants()) {
+        seen.push(node.type);
+        if (node.type === 'brace') break;
+      }
+      assert.deepEqual(seen, ['text', 'brace']);
+    });
+
+    it('should throw on invalid order', function() {
+      assert.throws(() => ast.descendants({ order: 'in' }), /expected order to be "pre", "post" or "bfs"/);
+    });
+  });
+
+  describe('.ancestors', function() {
+    it('should iterate over ancestors starting with the parent', function() {
+      const c = ast.nodes[1].nodes[1].nodes[0];
+      assert.deepEqual(values(c.ancestors()), ['paren', 'brace', 'root']);
+      assert.deepEqual(values(ast.ancestors()), []);
+    });
+  });
+
+  describe('.leaves', function() {
+    it('should iterate over nodes without child nodes', function() {
+      assert.deepEqual(values(ast.leaves()), ['a', 'b', 'c', 'd', 'empty']);
+      assert.deepEqual(values(ast.nodes[0].leaves()), ['a']);
+    });
+  });
+
+  describe('siblings', function() {
+    it('should iterate over following siblings', function() {
+      assert.deepEqual(values(ast.nodes[1].followingSiblings()), ['d', 'empty']);
+      assert.deepEqual(values(ast.last.followingSiblings()), []);
+      assert.deepEqual(values(ast.followingSiblings()), []);
+    });
+
+    it('should iterate over preceding siblings', function() {
+      assert.deepEqual(values(ast.nodes[2].precedingSiblings()), ['brace', 'a']);
+      assert.deepEqual(values(ast.first.precedingSiblings()), []);
+      assert.deepEqual(values(ast.precedingSiblings()), []);
+    });
+  });
+
+  describe('Symbol.iterator', function() {
+    it('should iterate over the node and its descendants', function() {
+      assert.deepEqual(values(ast), ['root', 'a', 'brace', 'b', 'paren', 'c', 'd', 'empty']);
+      assert.deepEqual(Array.from(ast.nodes[0]), [ast.nodes[0]]);
+    });
+
+    it('should support lazy filters', function() {
+      function * filter(iterator, fn) {
+        for (const node of iterator) if (fn(node)) yield node;
+      }
+      const texts = filter(ast, node => node.type === 'text');
+      assert.equal(texts.next().value.value, 'a');
+      assert.equal(texts.next().value.value, 'b');
+    });
+  });
+});
@@ -0,0 +1,122 @@
+'use strict';
+
+require('mocha');
+const assert = require('assert');
+const Node = require('..');
+let ast;
+
+describe('json', function() {
+  beforeEach(function() {
+    ast = new Node({ type: 'root', errors: [] });
+    const brace = new Node({ type: 'brace', loc: { start: { line: 1, column: 2, index: 1 } } });
+    brace.push(new Node({ value: 'a', type: 'text', escaped: false }));
+    brace.push(new Node({ type: 'comma', value: ',' }));
+    brace.push(new Node({ type: 'brace', nodes: [] }));
+    ast.push(new Node({ type: 'bos', value: '' }));
+    ast.push(brace);
+  });
+
+  describe('.toJSON', function() {
+    it('should return a versioned object', function() {
+      const res = ast.toJSON();
+      assert.equal(res.version, 1);
+      assert.equal(res.node.type, 'root');
+      assert.equal(res.node.nodes[1].nodes.length, 3);
+    });
+
+    it('should order properties consistently', function() {
+      const a = new Node({ zeta: 1, value: 'x', alpha: 2, type: 'text' });
+      assert.deepEqual(Object.keys(a.toJSON().node), ['type', 'value', 'alpha', 'zeta']);
+      assert.deepEqual(Object.keys(ast.toJSON().node), ['type', 'errors', 'loc', 'nodes']);
+    });
+
+    it('should not include non-enumerable properties', function() {
+      const node = ast.toJSON().node.nodes[1];
+      assert(!('parent' in node));
+      assert(!('size' in node));
+      assert(!('isNode' in node));
+    });
+
+    it('should keep extra properties', function() {
+      const text = ast.toJSON().node.nodes[1].nodes[0];
+      assert.deepEqual(text, { type: 'text', value: 'a', escaped: false });
+    });
+
+    it('should copy values', function() {
+      const res = ast.toJSON();
+      res.node.nodes[1].loc.start.line = 10;
+      assert.equal(ast.nodes[1].loc.start.line, 1);
+    });
+
+    it('should leave out the given keys', function() {
+      const res = ast.toJSON({ omit: ['loc', 'escaped'] });
+      assert.deepEqual(res.node.nodes[1], {
+        type: 'brace',
+        nodes: [
+          { type: 'text', value: 'a' },
+          { type: 'comma', value: ',' },
+          { type: 'brace', nodes: [] }
+        ]
+      });
+    });
+
+    it('should be used by JSON.stringify', function() {
+      const str = JSON.stringify(ast);
+      assert.deepEqual(JSON.parse(str), ast.toJSON());
+    });
+
+    it('should produce the same string for equal trees', function() {
+      const a = new Node({ type: 'text', value: 'a', foo: 1, bar: 2 });
+      const b = new Node({ bar: 2, foo: 1, value: 'a', type: 'text' });
+      assert.equal(JSON.stringify(a), JSON.stringify(b));
+    });
+  });
+
+  describe('Node.fromJSON', function() {
+    it('should create nodes from a JSON string', function() {
+      const copy = Node.fromJSON(JSON.stringify(ast));
+      assert(copy instanceof Node);
+      assert.deepEqual(copy.toJSON(), ast.toJSON());
+    });
+
+    it('should create nodes from an object', function() {
+      const copy = Node.fromJSON(ast.toJSON());
+      assert.deepEqual(copy.toJSON(), ast.toJSON());
+    });
+
+    it('should restore parent, size and index', function() {
+      const copy = Node.fromJSON(JSON.stringify(ast));
+      const brace = copy.nodes[1];
+      assert.equal(copy.parent, null);
+      assert.equal(copy.size, 2);
+      assert.equal(brace.parent, copy);
+      assert.equal(brace.size, 3);
+      assert.equal(brace.index, 1);
+      assert.equal(brace._index, 1);
+      assert.equal(brace.nodes[2].parent, brace);
+      assert.equal(brace.nodes[2].size, 0);
+      assert.deepEqual(brace.nodes[2].nodes, []);
+      assert.equal(brace.nodes[0].nodes, undefined);
+    });
+
+    it('should create instances of the constructor it is called on', function() {
+      class Sub extends Node {}
+      const copy = Sub.fromJSON(JSON.stringify(ast));
+      assert(copy instanceof Sub);
+      assert(copy.nodes[1].nodes[0] instanceof Sub);
+    });
+
+    it('should not share values with the given object', function() {
+      const data = ast.toJSON();
+      const copy = Node.fromJSON(data);
+      data.node.nodes[1].loc.start.line = 10;
+      assert.equal(copy.nodes[1].loc.start.line, 1);
+    });
+
+    it('should throw on invalid input', function() {
+      assert.throws(() => Node.fromJSON({}), /expected a serialized node/);
+      assert.throws(() => Node.fromJSON('null'), /expected a serialized node/);
+      assert.throws(() => Node.fromJSON({ version: 2, node: {} }), /unsupported serialized node version: 2/);
+    });
+  });
+});
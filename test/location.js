@@ -0,0 +1,110 @@
+'use strict';
+
+require('mocha');
+const assert = require('assert');
+const Node = require('..');
+
+function loc(startIndex, endIndex, line = 1) {
+  return {
+    start: { line, column: startIndex + 1, index: startIndex },
+    end: { line, column: endIndex + 1, index: endIndex }
+  };
+}
+
+describe('location', function() {
+  describe('Node.fromToken', function() {
+    it('should create a node from a token', function() {
+      const node = Node.fromToken({ type: 'star', value: '*' });
+      assert(node instanceof Node);
+      assert.equal(node.type, 'star');
+      assert.equal(node.value, '*');
+      assert.equal(node.loc, undefined);
+    });
+
+    it('should calculate loc from token.index and token.value', function() {
+      const node = Node.fromToken({ type: 'star', value: '*', index: 4 }, 'a/b\n*');
+      assert.deepEqual(node.loc, {
+        start: { line: 2, column: 1, index: 4 },
+        end: { line: 2, column: 2, index: 5 }
+      });
+    });
+
+    it('should calculate loc from token.start and token.end', function() {
+      const source = 'a\nbc\n{d,e}';
+      const node = Node.fromToken({ type: 'brace', start: 5, end: 10 }, source);
+      assert.deepEqual(node.loc, {
+        start: { line: 3, column: 1, index: 5 },
+        end: { line: 3, column: 6, index: 10 }
+      });
+    });
+
+    it('should calculate loc from token.range', function() {
+      const node = Node.fromToken({ type: 'text', value: 'bc', range: [2, 4] }, 'a\nbc\n');
+      assert.deepEqual(node.loc.start, { line: 2, column: 1, index: 2 });
+      assert.deepEqual(node.loc.end, { line: 2, column: 3, index: 4 });
+    });
+
+    it('should use the constructor it is called on', function() {
+      class Sub extends Node {}
+      assert(Sub.fromToken({ type: 'text' }) instanceof Sub);
+    });
+
+    it('should throw when a token has offsets and no source is given', function() {
+      assert.throws(() => Node.fromToken({ type: 'star', index: 0 }), /expected source/);
+    });
+  });
+
+  describe('.range', function() {
+    it('should get the offsets from node.loc', function() {
+      const node = Node.fromToken({ type: 'text', value: 'b', index: 2 }, 'a/b');
+      assert.deepEqual(node.range, [2, 3]);
+    });
+
+    it('should return null when node.loc is not defined', function() {
+      assert.equal(new Node('text').range, null);
+    });
+  });
+
+  describe('widening', function() {
+    it('should copy the loc of the first child with a loc', function() {
+      const parent = new Node('brace');
+      parent.push(new Node({ type: 'text', loc: loc(1, 2) }));
+      assert.deepEqual(parent.loc, loc(1, 2));
+      assert.notEqual(parent.loc.start, parent.nodes[0].loc.start);
+    });
+
+    it('should widen the end when children are pushed', function() {
+      const parent = new Node({ type: 'brace', loc: loc(0, 1) });
+      parent.push(new Node({ type: 'text', loc: loc(1, 2) }));
+      parent.push(new Node({ type: 'comma', loc: loc(2, 3) }));
+      assert.deepEqual(parent.loc, loc(0, 3));
+    });
+
+    it('should widen the start when children are unshifted', function() {
+      const parent = new Node({ type: 'brace', loc: loc(4, 5) });
+      parent.unshift(new Node({ type: 'text', loc: loc(2, 3) }));
+      assert.deepEqual(parent.loc, loc(2, 5));
+    });
+
+    it('should widen ancestors', function() {
+      const root = new Node({ type: 'root', loc: loc(0, 2) });
+      const brace = new Node({ type: 'brace', loc: loc(1, 2) });
+      root.push(brace);
+      brace.push(new Node({ type: 'text', loc: loc(2, 6) }));
+      assert.deepEqual(brace.loc, loc(1, 6));
+      assert.deepEqual(root.loc, loc(0, 6));
+    });
+
+    it('should compare lines and columns when offsets are missing', function() {
+      const parent = new Node({ type: 'brace', loc: { start: { line: 2, column: 4 }, end: { line: 2, column: 5 } } });
+      parent.push(new Node({ type: 'text', loc: { start: { line: 2, column: 5 }, end: { line: 3, column: 1 } } }));
+      assert.deepEqual(parent.loc, { start: { line: 2, column: 4 }, end: { line: 3, column: 1 } });
+    });
+
+    it('should not change loc when children do not have one', function() {
+      const parent = new Node('brace');
+      parent.push(new Node('text'));
+      assert.equal(parent.loc, undefined);
+    });
+  });
+});
@@ -0,0 +1,214 @@
+'use strict';
+
+require('mocha');
+const assert = require('assert');
+const Node = require('..');
+const sexpr = require('../lib/sexpr');
+let ast;
+
+describe('patterns', function() {
+  beforeEach(function() {
+    ast = Node.parseSexpr('(root (brace :open true (text "a") (comma ",") (text "b")) (star "*"))');
+  });
+
+  describe('Node.match', function() {
+    it('should match partial objects', function() {
+      const brace = ast.nodes[0];
+      assert.deepEqual(Node.match(brace, { type: 'brace' }), {});
+      assert.deepEqual(Node.match(brace, { type: 'brace', open: true }), {});
+      assert.equal(Node.match(brace, { type: 'text' }), null);
+      assert.equal(Node.match(brace, { type: 'brace', open: false }), null);
+      assert.equal(Node.match(brace, { type: 'brace', missing: 1 }), null);
+    });
+
+    it('should capture values', function() {
+      const brace = ast.nodes[0];
+      const res = Node.match(brace, { type: '$type', nodes: [{ value: '$first' }, '$comma', { type: 'text', value: '$last' }] });
+      assert.deepEqual(Object.keys(res), ['type', 'first', 'comma', 'last']);
+      assert.equal(res.type, 'brace');
+      assert.equal(res.first, 'a');
+      assert.equal(res.comma, brace.nodes[1]);
+      assert.equal(res.last, 'b');
+    });
+
+    it('should support wildcards and rest placeholders', function() {
+      const brace = ast.nodes[0];
+      assert.deepEqual(Node.match(brace, { type: '$_', nodes: ['$_', '$_', '$_'] }), {});
+      assert.equal(Node.match(brace, { nodes: ['$_', '$_'] }), null);
+
+      const res = Node.match(brace, { nodes: [{ value: '$first' }, '$$rest'] });
+      assert.equal(res.first, 'a');
+      assert.deepEqual(res.rest, brace.nodes.slice(1));
+      assert.deepEqual(Node.match(brace, { nodes: ['$$all', '$_', '$_', '$_'] }), { all: [] });
+      assert.equal(Node.match(brace, { nodes: ['$_', '$_', '$_', '$_', '$$rest'] }), null);
+      assert.deepEqual(Node.match(ast.nodes[1], { nodes: ['$$rest'] }), { rest: [] });
+    });
+
+    it('should support predicates and regular expressions', function() {
+      const brace = ast.nodes[0];
+      assert.deepEqual(Node.match(brace, { nodes: n => n.length === 3 }), {});
+      assert.deepEqual(Node.match(brace, node => node.type === 'brace'), {});
+      assert.deepEqual(Node.match(brace, { nodes: ['$$_', { value: /^[a-z]$/ }] }), {});
+      assert.equal(Node.match(brace, { nodes: ['$$_', { value: /^[0-9]$/ }] }), null);
+
+      let args;
+      Node.match(brace, { nodes: [{ value: (value, node) => (args = [value, node]) }, '$$_'] });
+      assert.deepEqual(args, ['a', brace.nodes[0]]);
+    });
+
+    it('should require names that are captured more than once to be equal', function() {
+      const node = Node.parseSexpr('(pair (text "a") (text "a") (text "b"))');
+      assert.deepEqual(Node.match(node, { nodes: [{ value: '$x' }, { value: '$x' }, '$_'] }), { x: 'a' });
+      assert.equal(Node.match(node, { nodes: ['$_', { value: '$x' }, { value: '$x' }] }), null);
+      assert.ok(Node.match(node, { nodes: ['$x', '$x', '$_'] }));
+
+      const list = Node.parseSexpr('(pair (list :items [{"a":1}]) (list :items [{"a":1}]) (list :items [{"a":2}]))');
+      assert.deepEqual(Node.match(list, { nodes: [{ items: '$x' }, { items: '$x' }, '$_'] }), { x: [{ a: 1 }] });
+      assert.equal(Node.match(list, { nodes: ['$_', { items: '$x' }, { items: '$x' }] }), null);
+    });
+
+    it('should match strings with "$" that are not placeholders', function() {
+      const node = Node.parseSexpr('(root (text "$") (text "$a") (text "a"))');
+      assert.deepEqual(Node.match(node.nodes[0], { value: '$' }), {});
+      assert.equal(Node.match(node.nodes[2], { value: '$' }), null);
+      assert.equal(Node.match(node.nodes[2], { value: '$a.b' }), null);
+      assert.equal(Node.match(node.nodes[2], { value: '\\$a' }), null);
+      assert.deepEqual(Node.match(node.nodes[1], { value: '\\$a' }), {});
+      assert.deepEqual(Node.match(new Node('text', '\\$a'), { value: '\\\\$a' }), {});
+    });
+
+    it('should match quoted strings in S-expressions literally', function() {
+      const node = Node.parseSexpr('(root (text "$") (text "$a") (text "a" :list ["$a"]))');
+      assert.deepEqual(Node.match(node.nodes[0], '(text "$")'), {});
+      assert.equal(Node.match(node.nodes[2], '(text "$")'), null);
+      assert.deepEqual(Node.match(node.nodes[1], '(text "$a")'), {});
+      assert.equal(Node.match(node.nodes[2], '(text "$a")'), null);
+      assert.deepEqual(Node.match(node.nodes[2], '(text $v :list ["$a"])'), { v: 'a' });
+      assert.equal(Node.match(node.nodes[2], '(text $v :list ["a"])'), null);
+      assert.deepEqual(Node.match(new Node('text', '\\$a'), '(text "\\\\$a")'), {});
+    });
+
+    it('should match S-expressions', function() {
+      assert.deepEqual(Node.match(ast, '(root (brace (text $a) $$_) (star "*"))'), { a: 'a' });
+      assert.deepEqual(Node.match(ast.nodes[0], '(brace :open $open)'), { open: true });
+      assert.deepEqual(Node.match(ast.nodes[0], '($type $_ $first $$rest)').type, 'brace');
+      assert.equal(Node.match(ast.nodes[0], '($type $_ $first $$rest)').first, ast.nodes[0].nodes[0]);
+      assert.equal(Node.match(ast.nodes[0], '(brace :nodes [])'), null);
+      assert.equal(Node.match(ast.nodes[1], '(star "+")'), null);
+      assert.deepEqual(Node.match(ast.nodes[1], '(star)'), {});
+    });
+
+    it('should cache the most recently used patterns', function() {
+      const parsePattern = sexpr.parsePattern;
+      let count = 0;
+      sexpr.parsePattern = str => {
+        count++;
+        return parsePattern(str);
+      };
+
+      try {
+        Node.match(ast, '(cached)');
+        for (let i = 0; i < 99; i++) Node.match(ast, '(text "' + i + '")');
+        assert.equal(count, 100);
+        Node.match(ast, '(cached)');
+        assert.equal(count, 100);
+        for (let i = 0; i < 100; i++) Node.match(ast, '(star "' + i + '")');
+        Node.match(ast, '(cached)');
+        assert.equal(count, 201);
+      } finally {
+        sexpr.parsePattern = parsePattern;
+      }
+    });
+
+    it('should throw on invalid patterns', function() {
+      assert.throws(() => Node.match({}, {}), /expected node to be an instance of Node/);
+      assert.throws(() => Node.match(ast, '(root'), SyntaxError);
+      assert.throws(() => Node.match(ast, { nodes: ['$$a', '$$b'] }), /expected patterns to have one "\$\$" placeholder per array/);
+      assert.throws(() => Node.match(ast, { type: '$$a' }), /expected "\$\$a" to be in an array/);
+      assert.throws(() => Node.match(ast, '(root $)'), /expected a placeholder at position 6/);
+      assert.throws(() => Node.match(ast, '(text $a.b)'), /expected a placeholder at position 6/);
+      assert.throws(() => Node.match(ast, '(text :key $)'), /expected a placeholder at position 11/);
+    });
+  });
+
+  describe('Node.rewrite', function() {
+    it('should rewrite nodes with templates', function() {
+      const tree = Node.parseSexpr('(root (brace (brace (text "a"))) (brace (text "b") (text "c")))');
+      const res = Node.rewrite(tree, [{ pattern: '(brace $_ (text $value))', replace: '(text $value)' }]);
+      assert.equal(res, tree);
+      assert.equal(Node.dump(res), '(root\n  (text "a")\n  (brace\n    (text "b")\n    (text "c")))');
+      assert.equal(res.nodes[0].parent, res);
+    });
+
+    it('should move captured nodes to the replacement', function() {
+      const tree = Node.parseSexpr('(root (brace (text "a") (text "b")))');
+      const b = tree.nodes[0].nodes[1];
+      const res = Node.rewrite(tree, [{ pattern: { type: 'brace', nodes: ['$$nodes'] }, replace: { type: 'paren', nodes: ['$$nodes'] } }]);
+      assert.equal(Node.dump(res), '(root\n  (paren\n    (text "a")\n    (text "b")))');
+      assert.equal(res.nodes[0].nodes[1], b);
+      assert.equal(b.parent, res.nodes[0]);
+    });
+
+    it('should call replace functions', function() {
+      const tree = Node.parseSexpr('(root (text "a") (star "*") (text "b"))');
+      const res = Node.rewrite(tree, [
+        { pattern: '(star)', replace: () => null },
+        { pattern: '(text "a")', replace: () => [new Node('text', 'x'), new Node('text', 'y')] },
+        { pattern: '(text "b")', replace: captures => '(text "c")' },
+        { pattern: '(text $v)', replace: ({ v }) => (v === 'c' ? { type: 'text', value: 'd' } : undefined) }
+      ]);
+      assert.equal(res.stringify(), 'xyd');
+    });
+
+    it('should create literal strings from quoted strings and escaped strings', function() {
+      const tree = Node.parseSexpr('(root (star "*") (plus "+"))');
+      const res = Node.rewrite(tree, [
+        { pattern: '(star)', replace: '(text "$" :list ["$a"])' },
+        { pattern: '(plus)', replace: { type: 'text', value: '\\$b' } }
+      ]);
+      assert.equal(Node.dump(res), '(root\n  (text "$" :list ["$a"])\n  (text "$b"))');
+    });
+
+    it('should not call the visitors of plugins', function() {
+      const tree = Node.parseSexpr('(root (brace (text "a")))');
+      const seen = [];
+      tree.use({ name: 'seen', visitors: { text: node => seen.push(node.value) } });
+      Node.rewrite(tree, [{ pattern: '(brace $_ $child)', replace: '$child' }]);
+      assert.deepEqual(seen, []);
+      tree.walk(() => {});
+      assert.deepEqual(seen, ['a']);
+    });
+
+    it('should replace the root node', function() {
+      const tree = Node.parseSexpr('(brace (text "a"))');
+      const res = Node.rewrite(tree, [{ pattern: '(brace $_ $child)', replace: '$child' }]);
+      assert.equal(Node.dump(res), '(text "a")');
+      assert.equal(res.parent, null);
+      assert.throws(() => Node.rewrite(res, [{ pattern: '(text)', replace: () => null }]), /expected the root node to be replaced with one node/);
+    });
+
+    it('should detect loops', function() {
+      const tree = Node.parseSexpr('(root (a))');
+      const rules = [
+        { pattern: '(a)', replace: '(b)' },
+        { pattern: '(b)', replace: '(a)' }
+      ];
+      assert.throws(() => Node.rewrite(tree, rules), /rewrite rules are in a loop: the tree after pass 2 is the same as after pass 0/);
+    });
+
+    it('should stop after options.maxIterations', function() {
+      const tree = Node.parseSexpr('(root (text "a"))');
+      const rules = [{ pattern: '(text $v)', replace: ({ v }) => ({ type: 'text', value: v + 'a' }) }];
+      assert.throws(() => Node.rewrite(tree, rules, { maxIterations: 5 }), /expected rewrite rules to finish in 5 passes/);
+      assert.equal(tree.stringify(), 'aaaaaa');
+    });
+
+    it('should throw on invalid arguments', function() {
+      assert.throws(() => Node.rewrite({}, []), /expected tree to be an instance of Node/);
+      assert.throws(() => Node.rewrite(ast, {}), /expected rules to be an array/);
+      assert.throws(() => Node.rewrite(ast, [{ pattern: '(root)' }]), /expected rules to be objects with a pattern and a replace value/);
+      assert.throws(() => Node.rewrite(ast, [], { maxIterations: 0 }), /expected maxIterations to be a positive integer/);
+      assert.throws(() => Node.rewrite(ast, [{ pattern: '(star)', replace: '(text $v)' }]), /expected "\$v" to be captured by the pattern/);
+    });
+  });
+});
@@ -0,0 +1,321 @@
+'use strict';
+
+require('mocha');
+const assert = require('assert');
+const Node = require('..');
+let ast;
+
+function values(node) {
+  return node.nodes.map(n => n.value || n.type);
+}
+
+function check(node) {
+  assert.equal(node.size, node.nodes.length);
+  node.nodes.forEach((child, i) => {
+    assert.equal(child.parent, node);
+    assert.equal(child.index, i);
+  });
+}
+
+describe('mutations', function() {
+  beforeEach(function() {
+    ast = new Node({ type: 'root' });
+    ['a', 'b', 'c', 'd'].forEach(value => ast.push(new Node('text', value)));
+  });
+
+  describe('.splice', function() {
+    it('should remove and insert nodes', function() {
+      const b = ast.nodes[1];
+      const removed = ast.splice(1, 2, new Node('text', 'x'), { type: 'text', value: 'y' }, new Node('text', 'z'));
+      assert.deepEqual(removed.map(n => n.value), ['b', 'c']);
+      assert.deepEqual(values(ast), ['a', 'x', 'y', 'z', 'd']);
+      assert(ast.nodes[2] instanceof Node);
+      assert.equal(b.parent, null);
+      assert.equal(b.index, -1);
+      check(ast);
+    });
+
+    it('should support negative start indexes', function() {
+      ast.splice(-1, 1, new Node('text', 'x'));
+      assert.deepEqual(values(ast), ['a', 'b', 'c', 'x']);
+      ast.splice(-10, 1);
+      assert.deepEqual(values(ast), ['b', 'c', 'x']);
+      check(ast);
+    });
+
+    it('should remove all nodes from start when deleteCount is not defined', function() {
+      ast.splice(1);
+      assert.deepEqual(values(ast), ['a']);
+      check(ast);
+    });
+
+    it('should create node.nodes', function() {
+      const node = new Node('brace');
+      node.splice(0, 0, new Node('text', 'a'));
+      assert.deepEqual(values(node), ['a']);
+      check(node);
+    });
+
+    it('should keep cached indexes in sync', function() {
+      const d = ast.nodes[3];
+      assert.equal(d.index, 3);
+      ast.splice(0, 2);
+      assert.equal(d.index, 1);
+      ast.splice(0, 0, new Node('text', 'x'), new Node('text', 'y'), new Node('text', 'z'));
+      assert.equal(d.index, 4);
+    });
+
+    it('should widen the loc of the node', function() {
+      const loc = (start, end) => ({ start: { line: 1, column: start + 1, index: start }, end: { line: 1, column: end + 1, index: end } });
+      const node = new Node({ type: 'brace', loc: loc(0, 1) });
+      node.splice(0, 0, new Node({ type: 'text', loc: loc(1, 3) }));
+      assert.deepEqual(node.loc, loc(0, 3));
+    });
+
+    it('should throw when a cycle would be created', function() {
+      const brace = new Node('brace');
+      ast.push(brace);
+      assert.throws(() => ast.splice(0, 0, ast), /cannot insert a node into itself or its descendants/);
+      assert.throws(() => brace.splice(0, 0, ast), /cannot insert a node into itself/);
+      assert.throws(() => ast.splice(0, 0, 'a'), /expected node to be an object/);
+      assert.throws(() => ast.splice('0', 0), /expected start to be an integer/);
+      assert.equal(ast.size, 5);
+    });
+  });
+
+  describe('.insertBefore', function() {
+    it('should insert a node before the node', function() {
+      const node = ast.nodes[2].insertBefore(new Node('text', 'x'));
+      assert.equal(node.value, 'x');
+      assert.equal(node.index, 2);
+      assert.deepEqual(values(ast), ['a', 'b', 'x', 'c', 'd']);
+      check(ast);
+    });
+
+    it('should convert objects to nodes', function() {
+      const node = ast.nodes[0].insertBefore({ type: 'bos' });
+      assert(node instanceof Node);
+      assert.equal(ast.first, node);
+    });
+
+    it('should throw when the node does not have a parent', function() {
+      assert.throws(() => ast.insertBefore(new Node('text')), /expected node to have a parent/);
+    });
+  });
+
+  describe('.insertAfter', function() {
+    it('should insert a node after the node', function() {
+      const node = ast.nodes[3].insertAfter(new Node('eos'));
+      assert.equal(ast.last, node);
+      assert.deepEqual(values(ast), ['a', 'b', 'c', 'd', 'eos']);
+      check(ast);
+    });
+  });
+
+  describe('.replaceWith', function() {
+    it('should replace the node with the given nodes', function() {
+      const b = ast.nodes[1];
+      assert.equal(b.replaceWith(new Node('text', 'x'), new Node('text', 'y')), b);
+      assert.deepEqual(values(ast), ['a', 'x', 'y', 'c', 'd']);
+      assert.equal(b.parent, null);
+      check(ast);
+    });
+
+    it('should remove the node when no nodes are given', function() {
+      ast.nodes[1].replaceWith();
+      assert.deepEqual(values(ast), ['a', 'c', 'd']);
+      check(ast);
+    });
+
+    it('should throw when a node would be replaced with an ancestor', function() {
+      const brace = new Node('brace');
+      ast.push(brace);
+      brace.push(new Node('text', 'x'));
+      assert.throws(() => brace.first.replaceWith(ast), /cannot insert a node into itself/);
+    });
+  });
+
+  describe('.wrap', function() {
+    it('should wrap the node in a new node', function() {
+      const b = ast.nodes[1];
+      const paren = b.wrap('paren');
+      assert.equal(paren.type, 'paren');
+      assert.equal(paren.parent, ast);
+      assert.equal(paren.index, 1);
+      assert.equal(b.parent, paren);
+      assert.deepEqual(values(paren), ['b']);
+      assert.deepEqual(values(ast), ['a', 'paren', 'c', 'd']);
+      check(ast);
+      check(paren);
+    });
+
+    it('should wrap nodes in objects and nodes', function() {
+      const paren = ast.nodes[0].wrap({ type: 'paren', open: '(' });
+      assert.equal(paren.open, '(');
+      const brace = new Node('brace');
+      assert.equal(ast.nodes[1].wrap(brace), brace);
+      assert.equal(ast.nodes[1], brace);
+    });
+
+    it('should wrap nodes that do not have a parent', function() {
+      const paren = ast.wrap('paren');
+      assert.equal(paren.parent, null);
+      assert.equal(ast.parent, paren);
+    });
+  });
+
+  describe('.unwrap', function() {
+    it('should replace the node with its child nodes', function() {
+      const paren = ast.nodes[1].wrap('paren');
+      ast.nodes[2].parent.remove(ast.nodes[2]);
+      paren.push(new Node('text', 'c'));
+
+      const nodes = paren.unwrap();
+      assert.deepEqual(nodes.map(n => n.value), ['b', 'c']);
+      assert.deepEqual(values(ast), ['a', 'b', 'c', 'd']);
+      assert.equal(paren.parent, null);
+      assert.deepEqual(paren.nodes, []);
+      assert.equal(paren.size, 0);
+      check(ast);
+    });
+
+    it('should remove nodes that do not have child nodes', function() {
+      assert.deepEqual(ast.nodes[0].unwrap(), []);
+      assert.deepEqual(values(ast), ['b', 'c', 'd']);
+    });
+  });
+
+  describe('moving nodes', function() {
+    it('should detach nodes from their parent when they are added to another node', function() {
+      const other = new Node({ type: 'root' });
+      const b = ast.nodes[1];
+      other.push(b);
+      other.unshift(ast.nodes[0]);
+      other.nodes[0].insertAfter(ast.nodes[0]);
+      assert.deepEqual(values(ast), ['d']);
+      assert.deepEqual(values(other), ['a', 'c', 'b']);
+      check(ast);
+      check(other);
+    });
+
+    it('should move nodes on the same parent', function() {
+      ast.push(ast.nodes[0]);
+      assert.deepEqual(values(ast), ['b', 'c', 'd', 'a']);
+      ast.unshift(ast.nodes[2]);
+      assert.deepEqual(values(ast), ['d', 'b', 'c', 'a']);
+      assert.equal(ast.nodes[1].insertBefore(ast.nodes[3]).value, 'a');
+      assert.deepEqual(values(ast), ['d', 'a', 'b', 'c']);
+      assert.equal(ast.nodes[2].insertAfter(ast.nodes[0]).value, 'd');
+      assert.deepEqual(values(ast), ['a', 'b', 'd', 'c']);
+      ast.unshift(ast.nodes[2]);
+      ast.nodes[0].insertAfter(ast.nodes[3]);
+      assert.deepEqual(values(ast), ['d', 'c', 'a', 'b']);
+      ast.splice(1, 1, ast.nodes[3], ast.nodes[1]);
+      assert.deepEqual(values(ast), ['d', 'b', 'c', 'a']);
+      check(ast);
+    });
+
+    it('should throw when a cycle would be created', function() {
+      const brace = new Node('brace');
+      const paren = new Node('paren');
+      ast.push(brace);
+      brace.push(paren);
+      paren.push(new Node('text', 'x'));
+      assert.throws(() => paren.push(ast), /cannot insert a node into itself or its descendants/);
+      assert.throws(() => paren.unshift(brace), /cannot insert a node into itself/);
+      assert.throws(() => paren.first.insertAfter(brace), /cannot insert a node into itself/);
+      assert.throws(() => Node.adopt(paren, brace), /cannot insert a node into itself/);
+      assert.equal(brace.parent, ast);
+      assert.equal(ast.size, 5);
+      assert.equal(ast.stringify(), 'abcdx');
+    });
+
+    it('should throw when the same node is inserted more than once', function() {
+      const x = new Node('text', 'x');
+      assert.throws(() => ast.splice(0, 0, x, x), /cannot insert the same node more than once/);
+    });
+
+    it('should set the parent of removed nodes to null', function() {
+      const [a, b, d] = [ast.nodes[0], ast.nodes[1], ast.nodes[3]];
+      assert.equal(ast.shift(), a);
+      assert.equal(ast.pop(), d);
+      ast.remove(b);
+      assert.equal(a.parent, null);
+      assert.equal(b.parent, null);
+      assert.equal(d.parent, null);
+      assert.equal(d.index, -1);
+    });
+  });
+
+  describe('.detach', function() {
+    it('should remove the node from its parent', function() {
+      const b = ast.nodes[1];
+      assert.equal(b.detach(), b);
+      assert.equal(b.parent, null);
+      assert.deepEqual(values(ast), ['a', 'c', 'd']);
+      check(ast);
+      assert.equal(b.detach(), b);
+    });
+
+    it('should return a new root from immutable nodes', function() {
+      const v1 = Node.immutable(ast);
+      assert.deepEqual(values(v1.nodes[1].detach()), ['a', 'c', 'd']);
+      assert.equal(v1.detach(), v1);
+    });
+  });
+
+  describe('Node.adopt', function() {
+    it('should move a node to the given parent', function() {
+      const other = new Node({ type: 'root' });
+      const b = ast.nodes[1];
+      b.push(new Node('text', 'x'));
+      assert.equal(Node.adopt(other, b), b);
+      assert.equal(b.parent, other);
+      assert.equal(b.first.parent, b);
+      assert.deepEqual(values(ast), ['a', 'c', 'd']);
+      assert.deepEqual(values(other), ['b']);
+      check(ast);
+    });
+
+    it('should insert the node at the given index', function() {
+      const other = new Node({ type: 'root' });
+      Node.adopt(other, ast.nodes[0]);
+      Node.adopt(other, ast.nodes[0]);
+      Node.adopt(other, ast.nodes[0], 1);
+      Node.adopt(other, ast.nodes[0], 0);
+      assert.deepEqual(values(other), ['d', 'a', 'c', 'b']);
+      Node.adopt(other, other.nodes[0], 3);
+      assert.deepEqual(values(other), ['a', 'c', 'd', 'b']);
+      check(other);
+    });
+
+    it('should throw on invalid arguments', function() {
+      assert.throws(() => Node.adopt({}, ast.nodes[0]), /expected parent to be an instance of Node/);
+      assert.throws(() => Node.adopt(ast, {}), /expected node to be an instance of Node/);
+    });
+  });
+
+  describe('immutable nodes', function() {
+    it('should return a new root', function() {
+      const v1 = Node.immutable(ast);
+      assert.deepEqual(values(v1.splice(1, 2)), ['a', 'd']);
+      assert.deepEqual(values(v1.nodes[1].insertBefore({ type: 'x' })), ['a', 'x', 'b', 'c', 'd']);
+      assert.deepEqual(values(v1.nodes[1].insertAfter({ type: 'x' })), ['a', 'b', 'x', 'c', 'd']);
+      assert.deepEqual(values(v1.nodes[1].replaceWith({ type: 'x' })), ['a', 'x', 'c', 'd']);
+      assert.deepEqual(values(v1), ['a', 'b', 'c', 'd']);
+    });
+
+    it('should wrap and unwrap nodes', function() {
+      const v1 = Node.immutable(ast);
+      const v2 = v1.nodes[1].wrap('paren');
+      assert(Node.isImmutable(v2));
+      assert.deepEqual(values(v2), ['a', 'paren', 'c', 'd']);
+      assert.equal(v2.nodes[1].nodes[0].parent, v2.nodes[1]);
+
+      const v3 = v2.nodes[1].unwrap();
+      assert.deepEqual(values(v3), ['a', 'b', 'c', 'd']);
+      assert.equal(v3.nodes[1].parent, v3);
+      assert(Node.isImmutable(v1.wrap('paren')));
+    });
+  });
+});
@@ -0,0 +1,147 @@
+'use strict';
+
+require('mocha');
+const assert = require('assert');
+const Node = require('..');
+let ast;
+
+function paths(tree) {
+  const res = new Map();
+  tree.walk((node, path) => res.set(node, path));
+  return res;
+}
+
+describe('paths', function() {
+  beforeEach(function() {
+    ast = new Node({
+      type: 'root',
+      nodes: [
+        { type: 'text', value: 'a' },
+        { type: 'text', value: 'b' },
+        { type: 'brace', nodes: [{ type: 'text', value: 'c' }, { type: 'comma', value: ',' }] }
+      ]
+    });
+  });
+
+  it('should pass a path to visitors', function() {
+    const res = [];
+    ast.visit((node, path) => res.push([path.node.type, path.key, path.listKey, path.getPathString()]));
+    assert.deepEqual(res, [
+      ['root', null, null, ''],
+      ['text', 0, 'nodes', 'nodes[0]'],
+      ['text', 1, 'nodes', 'nodes[1]'],
+      ['brace', 2, 'nodes', 'nodes[2]'],
+      ['text', 0, 'nodes', 'nodes[2].nodes[0]'],
+      ['comma', 1, 'nodes', 'nodes[2].nodes[1]']
+    ]);
+  });
+
+  it('should return the same path for a node', function() {
+    const a = paths(ast);
+    const b = paths(ast);
+    const comma = ast.nodes[2].nodes[1];
+    assert.equal(a.get(comma), b.get(comma));
+    assert.equal(a.get(comma).node, comma);
+    assert.equal(a.get(comma).parentPath, a.get(ast.nodes[2]));
+    assert.equal(a.get(ast).parentPath, null);
+  });
+
+  it('should update the key when the tree changes', function() {
+    const path = paths(ast).get(ast.nodes[2]);
+    ast.shift();
+    assert.equal(path.key, 1);
+    assert.equal(path.getPathString(), 'nodes[1]');
+  });
+
+  it('should return the paths of the ancestors', function() {
+    const map = paths(ast);
+    const path = map.get(ast.nodes[2].nodes[0]);
+    assert.deepEqual(path.ancestors(), [map.get(ast.nodes[2]), map.get(ast)]);
+    assert.deepEqual(path.ancestors().map(p => p.node.type), ['brace', 'root']);
+  });
+
+  it('should share values with descendants on path.scope', function() {
+    const values = [];
+    ast.walk({
+      enter(node, path) {
+        if (node.type === 'root') path.scope.set('depth', 0);
+        if (node.type === 'brace') path.scope.set('depth', 1);
+        values.push([node.value || node.type, path.scope.get('depth'), path.scope.has('depth')]);
+      }
+    });
+    assert.deepEqual(values, [['root', 0, true], ['a', 0, true], ['b', 0, true], ['brace', 1, true], ['c', 1, true], [',', 1, true]]);
+    assert.equal(new Node('text').walk((node, path) => assert.equal(path.scope.has('depth'), false)).type, 'text');
+  });
+
+  it('should not keep values on path.scope after a walk', async function() {
+    let path;
+    ast.walk((node, p) => {
+      if (node.type === 'brace') p.scope.set('inBrace', true);
+      if (node.value === 'c') path = p;
+    });
+    assert.equal(path.scope, null);
+
+    const seen = [];
+    ast.walk((node, p) => seen.push(p.scope.has('inBrace')));
+    await ast.walkAsync((node, p) => seen.push(p.scope.has('inBrace')));
+    assert.deepEqual(seen.filter(Boolean), []);
+  });
+
+  describe('mutations', function() {
+    it('should move the path to the replacement node', function() {
+      let path;
+      ast.visit({
+        comma(node, p) {
+          path = p;
+          p.replace({ type: 'text', value: 'd' });
+        }
+      });
+      const text = ast.nodes[2].nodes[1];
+      assert.equal(path.node, text);
+      assert.equal(paths(ast).get(text), path);
+      assert.equal(ast.stringify(), 'abcd');
+    });
+
+    it('should replace nodes with multiple nodes', function() {
+      const types = [];
+      ast.visit({
+        comma(node, path) {
+          path.replaceWith(new Node('text', 'x'), new Node('text', 'y'));
+        },
+        text(node) {
+          types.push(node.value);
+        }
+      });
+      assert.equal(ast.stringify(), 'abcxy');
+      assert.deepEqual(types, ['a', 'b', 'c', 'x', 'y']);
+    });
+
+    it('should insert sibling nodes', function() {
+      ast.visit({
+        brace(node, path) {
+          path.insertBefore(new Node('text', '{'));
+          path.insertAfter(new Node('text', '}'));
+        }
+      });
+      assert.equal(ast.stringify(), 'ab{c,}');
+    });
+
+    it('should remove nodes', function() {
+      ast.visit({
+        text(node, path) {
+          if (node.value === 'b') path.remove();
+        }
+      });
+      assert.equal(ast.stringify(), 'ac,');
+    });
+
+    it('should not be affected by walks inside of visitors', function() {
+      const types = [];
+      ast.walk((node, path) => {
+        types.push(node.type);
+        if (node.stringify() === 'c,') path.skip();
+      });
+      assert.deepEqual(types, ['root', 'text', 'text', 'brace']);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+'use strict';
+
+require('mocha');
+const assert = require('assert');
+const Node = require('..');
+let Ctor;
+
+const capture = {
+  name: 'capture',
+  methods: {
+    capture(type) {
+      return this.nodes ? this.nodes.filter(node => node.type === type) : [];
+    }
+  },
+  getters: {
+    isLeaf() {
+      return !this.nodes || this.nodes.length === 0;
+    }
+  }
+};
+
+describe('plugins', function() {
+  beforeEach(function() {
+    Ctor = class extends Node {};
+  });
+
+  describe('Node.use', function() {
+    it('should add methods and getters to nodes', function() {
+      assert.equal(Ctor.use(capture), Ctor);
+      const node = new Ctor({ type: 'root', nodes: [{ type: 'text', value: 'a' }, { type: 'star', value: '*' }] });
+      assert.deepEqual(node.capture('text').map(n => n.value), ['a']);
+      assert.equal(node.isLeaf, false);
+      assert.equal(node.nodes[0].isLeaf, true);
+      assert.equal(Object.keys(node).indexOf('capture'), -1);
+      assert.equal(typeof new Node('text').capture, 'undefined');
+    });
+
+    it('should call function plugins with the class and an api', function() {
+      let args;
+      Ctor.use(function(Node, api) {
+        args = [this, Node];
+        api.method('shout', function() {
+          return this.value.toUpperCase();
+        });
+        api.getter('length', function() {
+          return this.value.length;
+        });
+      });
+      assert.deepEqual(args, [Ctor, Ctor]);
+      assert.equal(new Ctor('text', 'abc').shout(), 'ABC');
+      assert.equal(new Ctor('text', 'abc').length, 3);
+    });
+
+    it('should define types', function() {
+      Ctor.use({ name: 'types', types: { text: { fields: { value: 'string' } } } });
+      assert(Ctor.is.text(new Ctor('text', 'a')));
+      Ctor.use((Node, api) => api.type('star', { fields: { value: 'string' } }));
+      assert.equal(Ctor.builders.star('*').value, '*');
+    });
+
+    it('should only apply a plugin once per class', function() {
+      let count = 0;
+      const plugin = () => count++;
+      Ctor.use(plugin);
+      Ctor.use(plugin);
+      assert.equal(count, 1);
+
+      Ctor.use(capture);
+      Ctor.use(Object.assign({}, capture));
+      assert.equal(typeof new Ctor('text').capture, 'function');
+    });
+
+    it('should not apply a plugin to subclasses of a class that used it', function() {
+      let count = 0;
+      const plugin = () => count++;
+      Ctor.use(plugin);
+      const Sub = class extends Ctor {};
+      Sub.use(plugin);
+      assert.equal(count, 1);
+
+      const Other = class extends Node {};
+      Other.use(plugin);
+      assert.equal(count, 2);
+    });
+
+    it('should throw when a method or getter is already defined', function() {
+      Ctor.use(capture);
+      assert.throws(() => Ctor.use({ name: 'other', methods: { capture() {} } }), /plugin "other" cannot define "capture", it is already defined by plugin "capture"/);
+      assert.throws(() => Ctor.use({ name: 'other', getters: { isLeaf() {} } }), /already defined by plugin "capture"/);
+      assert.throws(() => Ctor.use({ name: 'other', methods: { push() {} } }), /plugin "other" cannot define "push", it is already defined$/);
+      assert.throws(() => Ctor.use((Node, api) => api.getter('stringify', () => {})), /cannot define "stringify"/);
+      assert.throws(() => Ctor.use({ name: 'other', methods: { a() {} }, getters: { a() {} } }), /cannot define "a"/);
+    });
+
+    it('should not change the class when an object plugin conflicts', function() {
+      Ctor.use({ name: 'types', types: { text: {} } });
+      assert.throws(() => Ctor.use({ name: 'other', methods: { foo() {} }, types: { text: {} } }), /cannot define type "text"/);
+      assert.equal(typeof new Ctor('text').foo, 'undefined');
+      assert.throws(() => Ctor.use({ name: 'other', methods: { foo() {}, push() {} } }), /cannot define "push"/);
+      assert.equal(typeof new Ctor('text').foo, 'undefined');
+      Ctor.use({ name: 'other', methods: { foo() {} } });
+      assert.equal(typeof new Ctor('text').foo, 'function');
+    });
+
+    it('should add visitors to walks', async function() {
+      const calls = [];
+      Ctor.use({ name: 'a', visitors: { text: node => calls.push('a:' + node.value) } });
+      Ctor.use((Node, api) => api.visitor({ leave: node => calls.push('b:' + node.type) }));
+
+      const ast = new Ctor({ type: 'root', nodes: [{ type: 'text', value: 'x' }] });
+      ast.visit(node => calls.push('visit:' + node.type));
+      assert.deepEqual(calls, ['visit:root', 'a:x', 'visit:text', 'b:text', 'b:root']);
+
+      calls.length = 0;
+      await ast.walkAsync({ text: node => calls.push('walk:' + node.value) });
+      assert.deepEqual(calls, ['a:x', 'walk:x', 'b:text', 'b:root']);
+
+      calls.length = 0;
+      new Node('text', 'y').visit(() => {});
+      assert.deepEqual(calls, []);
+    });
+
+    it('should throw on invalid plugins', function() {
+      assert.throws(() => Ctor.use(), /expected plugin to be a function or object/);
+      assert.throws(() => Ctor.use({ methods: { foo: 'bar' } }), /expected method "foo" to be a function/);
+      assert.throws(() => Ctor.use({ visitors: 'foo' }), /expected visitor to be a function or object/);
+    });
+  });
+
+  describe('.use', function() {
+    it('should add methods, getters and visitors to a node', function() {
+      const calls = [];
+      const node = new Ctor({ type: 'root', nodes: [{ type: 'text', value: 'a' }] });
+      assert.equal(node.use(capture), node);
+      node.use((n, api) => api.visitor(n => calls.push(n.type)));
+      assert.equal(node.capture('text').length, 1);
+      assert.equal(node.isLeaf, false);
+      assert.equal(typeof node.nodes[0].capture, 'undefined');
+      assert.equal(typeof new Ctor('root').capture, 'undefined');
+
+      node.visit(() => {});
+      node.nodes[0].visit(() => {});
+      assert.deepEqual(calls, ['root', 'text']);
+    });
+
+    it('should not apply plugins that were applied to the class', function() {
+      let count = 0;
+      const plugin = () => count++;
+      Ctor.use(plugin);
+      const node = new Ctor('text');
+      node.use(plugin);
+      node.use(capture);
+      node.use(capture);
+      assert.equal(count, 1);
+    });
+
+    it('should not define types', function() {
+      assert.throws(() => new Ctor('text').use({ types: { text: {} } }), /types can only be defined by class plugins/);
+    });
+
+    it('should throw when a method is already defined', function() {
+      const node = new Ctor('text');
+      node.use(capture);
+      assert.throws(() => node.use({ name: 'other', methods: { capture() {} } }), /already defined by plugin "capture"/);
+      assert.throws(() => node.use({ name: 'other', getters: { type() {} } }), /cannot define "type"/);
+    });
+  });
+});
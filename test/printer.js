@@ -0,0 +1,79 @@
+'use strict';
+
+require('mocha');
+const assert = require('assert');
+const Node = require('..');
+let ast;
+
+describe('printer', function() {
+  beforeEach(function() {
+    ast = new Node({
+      type: 'root',
+      nodes: [
+        { type: 'text', value: 'a' },
+        { type: 'brace', nodes: [{ type: 'text', value: 'b' }, { type: 'text', value: 'c' }, { type: 'text', value: 'd' }] },
+        { type: 'text', value: 'e' }
+      ]
+    });
+  });
+
+  it('should print nodes with print functions', function() {
+    const print = Node.printer({
+      brace: (node, print) => '{' + print.join(node.nodes, ',') + '}'
+    });
+    assert.equal(print(ast), 'a{b,c,d}e');
+  });
+
+  it('should print nodes without a print function like .stringify', function() {
+    const print = Node.printer({});
+    assert.equal(print(ast), ast.stringify());
+    assert.equal(print(new Node('text')), '');
+  });
+
+  it('should pass the print function for child nodes', function() {
+    const print = Node.printer({
+      text: node => node.value.toUpperCase(),
+      brace: (node, print) => '(' + node.nodes.map(print).join(' ') + ')'
+    });
+    assert.equal(print(ast), 'A(B C D)E');
+  });
+
+  it('should print groups on one line when they fit', function() {
+    const print = Node.printer({
+      brace: (node, { join, group, indent, line, softline }) => {
+        return group(['{', indent([softline, join(node.nodes, [',', line])]), softline, '}']);
+      }
+    });
+    assert.equal(print(ast), 'a{b, c, d}e');
+    assert.equal(print(ast, { width: 11 }), 'a{b, c, d}e');
+    assert.equal(print(ast, { width: 10 }), 'a{\n  b,\n  c,\n  d\n}e');
+    assert.equal(print(ast, { width: 10, indent: 4 }), 'a{\n    b,\n    c,\n    d\n}e');
+    assert.equal(print(ast, { width: 10, indent: '\t' }), 'a{\n\tb,\n\tc,\n\td\n}e');
+  });
+
+  it('should break nested groups from the outside in', function() {
+    ast.nodes[1].nodes[1] = new Node({ type: 'brace', nodes: [{ type: 'text', value: 'x' }, { type: 'text', value: 'y' }] });
+    const print = Node.printer({
+      brace: (node, { join, group, indent, line, softline }) => {
+        return group(['{', indent([softline, join(node.nodes, [',', line])]), softline, '}']);
+      }
+    }, { width: 12 });
+    assert.equal(print(ast), 'a{\n  b,\n  {x, y},\n  d\n}e');
+    assert.equal(print(ast, { width: 5 }), 'a{\n  b,\n  {\n    x,\n    y\n  },\n  d\n}e');
+  });
+
+  it('should always break hard lines and the groups around them', function() {
+    const print = Node.printer({
+      brace: (node, { join, group, indent, line, hardline }) => {
+        return group(['{', indent([line, join(node.nodes, hardline)]), line, '}']);
+      }
+    });
+    assert.equal(print(ast), 'a{\n  b\n  c\n  d\n}e');
+  });
+
+  it('should throw on invalid arguments', function() {
+    assert.throws(() => Node.printer(), /expected printer to be an object/);
+    assert.throws(() => Node.printer({ text: 'a' }), /expected printer "text" to be a function/);
+    assert.throws(() => Node.printer({})({ type: 'text' }), /expected node to be an instance of Node/);
+  });
+});
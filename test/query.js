@@ -0,0 +1,197 @@
+'use strict';
+
+require('mocha');
+const assert = require('assert');
+const Node = require('..');
+const { parse } = require('../lib/query');
+let ast;
+
+function node(type, value, nodes = []) {
+  const node = new Node(type, value);
+  nodes.forEach(child => node.push(child));
+  return node;
+}
+
+function types(nodes) {
+  return nodes.map(n => n.type + (n.value ? ':' + n.value : ''));
+}
+
+describe('.query', function() {
+  beforeEach(function() {
+    // a{b,c}(*|d)/**
+    ast = node('root', undefined, [
+      node('text', 'a'),
+      node('brace', undefined, [
+        node('text', 'b'),
+        node('comma', ','),
+        node('text', 'c')
+      ]),
+      node('paren', undefined, [
+        node('star', '*'),
+        node('pipe', '|'),
+        node('text', 'd')
+      ]),
+      node('slash', '/'),
+      node('globstar', '**')
+    ]);
+  });
+
+  describe('types', function() {
+    it('should get the first descendant of the given type', function() {
+      const text = ast.query('text');
+      assert.equal(text, ast.nodes[0]);
+    });
+
+    it('should return null when no nodes match', function() {
+      assert.equal(ast.query('foo'), null);
+    });
+
+    it('should get all descendants of the given type', function() {
+      assert.deepEqual(types(ast.queryAll('text')), ['text:a', 'text:b', 'text:c', 'text:d']);
+    });
+
+    it('should match any type with "*"', function() {
+      assert.equal(ast.queryAll('*').length, 11);
+    });
+
+    it('should not match the node itself', function() {
+      assert.deepEqual(ast.queryAll('root'), []);
+    });
+
+    it('should support selector lists', function() {
+      assert.deepEqual(types(ast.queryAll('star, comma')), ['comma:,', 'star:*']);
+    });
+  });
+
+  describe('attributes', function() {
+    it('should match attributes by value', function() {
+      assert.deepEqual(types(ast.queryAll('[value="*"]')), ['star:*']);
+      assert.deepEqual(types(ast.queryAll('text[value=c]')), ['text:c']);
+      assert.deepEqual(types(ast.queryAll("paren star[value='*']")), ['star:*']);
+    });
+
+    it('should match attributes that exist', function() {
+      assert.equal(ast.queryAll('[value]').length, 9);
+    });
+
+    it('should support operators', function() {
+      assert.deepEqual(types(ast.queryAll('[value^="*"]')), ['star:*', 'globstar:**']);
+      assert.deepEqual(types(ast.queryAll('[type$=star]')), ['star:*', 'globstar:**']);
+      assert.deepEqual(types(ast.queryAll('[type*=lob]')), ['globstar:**']);
+      assert.deepEqual(types(ast.queryAll('text[value!=a]')), ['text:b', 'text:c', 'text:d']);
+    });
+
+    it('should support dot-separated paths', function() {
+      ast.nodes[0].loc = { start: { line: 2 } };
+      assert.deepEqual(types(ast.queryAll('[loc.start.line=2]')), ['text:a']);
+    });
+  });
+
+  describe('combinators', function() {
+    it('should match descendants', function() {
+      assert.deepEqual(types(ast.queryAll('root text')), ['text:a', 'text:b', 'text:c', 'text:d']);
+      assert.deepEqual(types(ast.queryAll('brace text')), ['text:b', 'text:c']);
+    });
+
+    it('should match children', function() {
+      assert.deepEqual(types(ast.queryAll('root > text')), ['text:a']);
+      assert.deepEqual(types(ast.queryAll('paren>text')), ['text:d']);
+    });
+
+    it('should match adjacent siblings', function() {
+      assert.deepEqual(types(ast.queryAll('comma + text')), ['text:c']);
+      assert.deepEqual(types(ast.queryAll('text + brace')), ['brace']);
+    });
+
+    it('should not match siblings across parents', function() {
+      assert.deepEqual(types(ast.queryAll('brace > text + star')), []);
+      assert.deepEqual(ast.queryAll('paren > star:first-child ~ brace'), []);
+    });
+
+    it('should match general siblings', function() {
+      assert.deepEqual(types(ast.queryAll('text ~ slash')), ['slash:/']);
+      assert.deepEqual(types(ast.queryAll('star ~ *')), ['pipe:|', 'text:d']);
+    });
+  });
+
+  describe('pseudo-classes', function() {
+    it('should match :first-child and :last-child', function() {
+      assert.deepEqual(types(ast.queryAll('brace > text:first-child')), ['text:b']);
+      assert.deepEqual(types(ast.queryAll(':last-child')), ['text:c', 'text:d', 'globstar:**']);
+    });
+
+    it('should match :only-child', function() {
+      ast.push(node('bracket', undefined, [node('text', 'x')]));
+      assert.deepEqual(types(ast.queryAll(':only-child')), ['text:x']);
+    });
+
+    it('should match :nth-child and :nth-last-child', function() {
+      assert.deepEqual(types(ast.queryAll('root > :nth-child(2)')), ['brace']);
+      assert.deepEqual(types(ast.queryAll('root > :nth-child(odd)')), ['text:a', 'paren', 'globstar:**']);
+      assert.deepEqual(types(ast.queryAll('root > :nth-child(2n)')), ['brace', 'slash:/']);
+      assert.deepEqual(types(ast.queryAll('root > :nth-child(-n+2)')), ['text:a', 'brace']);
+      assert.deepEqual(types(ast.queryAll('brace > :nth-last-child(1)')), ['text:c']);
+    });
+
+    it('should match :empty', function() {
+      ast.push(node('brace', undefined, []));
+      assert.equal(ast.queryAll('brace:empty').length, 1);
+    });
+
+    it('should match :root and :scope', function() {
+      const brace = ast.nodes[1];
+      assert.deepEqual(types(ast.queryAll(':root > slash')), ['slash:/']);
+      assert.deepEqual(types(brace.queryAll(':scope > :last-child')), ['text:c']);
+    });
+
+    it('should match :not', function() {
+      assert.deepEqual(types(ast.queryAll('root > :not(text, slash, globstar)')), ['brace', 'paren']);
+    });
+
+    it('should match :is', function() {
+      assert.deepEqual(types(ast.queryAll(':is(brace, paren) > text:last-child')), ['text:c', 'text:d']);
+    });
+
+    it('should match :has', function() {
+      assert.deepEqual(types(ast.queryAll(':has(star)')), ['paren']);
+      assert.deepEqual(types(ast.queryAll('*:has(> comma)')), ['brace']);
+      assert.deepEqual(types(ast.queryAll('text:has(+ brace)')), ['text:a']);
+      assert.deepEqual(types(ast.queryAll('text:has(~ globstar)')), ['text:a']);
+      assert.equal(ast.queryAll(':not(:has(text))').length, 9);
+    });
+  });
+
+  describe('.matches', function() {
+    it('should return true when a node matches the selector', function() {
+      const star = ast.query('star');
+      assert(star.matches('paren > star'));
+      assert(star.matches(':first-child'));
+      assert(!star.matches('brace star'));
+    });
+  });
+
+  describe('cache', function() {
+    it('should cache the most recently used selectors', function() {
+      const list = parse('brace > text');
+      for (let i = 0; i < 99; i++) parse('text[value="' + i + '"]');
+      assert.equal(parse('brace > text'), list);
+      for (let i = 0; i < 100; i++) parse('star[value="' + i + '"]');
+      assert.notEqual(parse('brace > text'), list);
+      assert.deepEqual(parse('brace > text'), list);
+    });
+  });
+
+  describe('errors', function() {
+    it('should throw on invalid selectors', function() {
+      assert.throws(() => ast.query('text >'), SyntaxError);
+      assert.throws(() => ast.query('[value'), /unexpected end of selector/);
+      assert.throws(() => ast.query(':foo'), /unsupported pseudo-class ":foo"/);
+      assert.throws(() => ast.query(':nth-child(x)'), /invalid argument/);
+      assert.throws(() => ast.query('text)'), /unexpected "\)"/);
+    });
+
+    it('should throw when selector is not a string', function() {
+      assert.throws(() => ast.query(null), TypeError);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+require('mocha');
+const assert = require('assert');
+const Node = require('..');
+let Ctor;
+let BraceNode;
+let TextNode;
+
+describe('Node.register', function() {
+  beforeEach(function() {
+    Ctor = class extends Node {};
+    BraceNode = Ctor.register('brace', class extends Ctor {
+      get isOpen() {
+        return this.first ? this.first.type === 'open' : false;
+      }
+    });
+    TextNode = Ctor.register('text', class extends Ctor {});
+  });
+
+  it('should create registered subclasses with the constructor', function() {
+    assert(new Ctor({ type: 'brace' }) instanceof BraceNode);
+    assert(new Ctor('brace') instanceof BraceNode);
+    assert(new Ctor('text', 'a') instanceof TextNode);
+    assert.equal(new Ctor('text', 'a').value, 'a');
+    assert.equal(new Ctor('star').constructor, Ctor);
+    assert.equal(new BraceNode('brace').constructor, BraceNode);
+  });
+
+  it('should create subclasses for nested nodes', function() {
+    const node = new Ctor({
+      type: 'root',
+      nodes: [{ type: 'brace', nodes: [{ type: 'open', value: '{' }, { type: 'text', value: 'a' }] }]
+    });
+    const brace = node.nodes[0];
+    assert.equal(node.constructor, Ctor);
+    assert(brace instanceof BraceNode);
+    assert.equal(brace.isOpen, true);
+    assert.equal(brace.nodes[0].constructor, Ctor);
+    assert(brace.nodes[1] instanceof TextNode);
+    assert.equal(brace.nodes[1].parent, brace);
+
+    const other = new BraceNode({ type: 'brace', nodes: [{ type: 'text', value: 'b' }, { type: 'star' }] });
+    assert(other.nodes[0] instanceof TextNode);
+    assert.equal(other.nodes[1].constructor, Ctor);
+  });
+
+  it('should create subclasses when nodes are added', function() {
+    const node = new Ctor('root');
+    node.push({ type: 'brace' });
+    node.unshift({ type: 'text', value: 'a' });
+    node.nodes[1].splice(0, 0, { type: 'open', value: '{' }, { type: 'text', value: 'b' });
+    assert(node.nodes[0] instanceof TextNode);
+    assert(node.nodes[1] instanceof BraceNode);
+    assert.equal(node.nodes[1].isOpen, true);
+    assert(node.nodes[1].nodes[1] instanceof TextNode);
+    assert(node.nodes[0].wrap('brace') instanceof BraceNode);
+  });
+
+  it('should create subclasses when nodes are cloned or parsed', function() {
+    const node = new Ctor({ type: 'root', nodes: [{ type: 'brace', nodes: [{ type: 'text', value: 'a' }] }] });
+    const clone = node.clone();
+    assert(clone.nodes[0] instanceof BraceNode);
+    assert(clone.nodes[0].nodes[0] instanceof TextNode);
+
+    const parsed = Ctor.fromJSON(JSON.stringify(node));
+    assert(parsed.nodes[0] instanceof BraceNode);
+    assert(parsed.nodes[0].nodes[0] instanceof TextNode);
+    assert(Ctor.parseSexpr('(brace (text "a"))') instanceof BraceNode);
+    assert(BraceNode.fromJSON({ version: 1, node: { type: 'brace', nodes: [{ type: 'text' }] } }).nodes[0] instanceof TextNode);
+  });
+
+  it('should only use subclasses that extend the class', function() {
+    assert.equal(new Node('brace').constructor, Node);
+    const Other = class extends Node {};
+    assert.equal(new Other('brace').constructor, Other);
+
+    const Sub = class extends Ctor {};
+    assert.equal(new Sub('brace').constructor, Sub);
+    const SubBrace = Sub.register('brace', class extends Sub {});
+    assert(new Sub('brace') instanceof SubBrace);
+    assert(new Sub('text') instanceof Sub);
+  });
+
+  it('should throw on invalid arguments', function() {
+    assert.throws(() => Ctor.register('', class extends Ctor {}), /expected type to be a non-empty string/);
+    assert.throws(() => Ctor.register('star', class {}), /expected a subclass of/);
+    assert.throws(() => Ctor.register('star', Ctor), /expected a subclass of/);
+    assert.throws(() => Ctor.register('brace', class extends Ctor {}), /node type "brace" is already registered/);
+  });
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+require('mocha');
+const assert = require('assert');
+const Node = require('..');
+
+describe('Node.parseSexpr', function() {
+  it('should create a tree of nodes', function() {
+    const ast = Node.parseSexpr('(root (brace (text "a") (comma ",") (text "b")))');
+    const brace = ast.nodes[0];
+    assert(brace instanceof Node);
+    assert.equal(brace.parent, ast);
+    assert.equal(brace.size, 3);
+    assert.equal(brace.nodes[2].index, 2);
+    assert.equal(brace.nodes[2].parent, brace);
+    assert.equal(ast.stringify(), 'a,b');
+  });
+
+  it('should be equal to a tree created with nodes', function() {
+    const ast = new Node('root');
+    const brace = new Node('brace');
+    brace.push(new Node('text', 'a'));
+    brace.push(new Node('comma', ','));
+    ast.push(brace);
+    assert(Node.parseSexpr('(root (brace (text "a") (comma ",")))').equals(ast));
+  });
+
+  it('should set properties from JSON values', function() {
+    const node = Node.parseSexpr('(text "a" :count 2 :"a b" [1, "x)"] :loc {"start": {"line": 1}})');
+    assert.equal(node.type, 'text');
+    assert.equal(node.value, 'a');
+    assert.equal(node.count, 2);
+    assert.deepEqual(node['a b'], [1, 'x)']);
+    assert.deepEqual(node.loc, { start: { line: 1 } });
+    assert.equal(Node.parseSexpr('("my type" "")').type, 'my type');
+    assert.equal(Node.parseSexpr('("my type" "")').value, '');
+    assert.deepEqual(Node.parseSexpr('(brace :nodes [])').nodes, []);
+    assert.equal(Node.parseSexpr('(brace)').nodes, undefined);
+  });
+
+  it('should print back the same string with Node.dump', function() {
+    const fixtures = [
+      '(root\n  (text "a")\n  (brace :open true\n    (text "b")\n    (comma ","))\n  (star "*"))',
+      '("my type" :value 1 :"a b" [1,"x)"] :o {"p":"(]"} :nodes [])',
+      '(:value "a")',
+      '(text "\\"quoted\\"\\n")'
+    ];
+    for (const str of fixtures) {
+      assert.equal(Node.dump(Node.parseSexpr(str)), str);
+    }
+
+    const ast = Node.parseSexpr('(root (text "a") (brace (text "b")))');
+    assert.equal(Node.dump(Node.parseSexpr(Node.dump(ast))), Node.dump(ast));
+  });
+
+  it('should throw on invalid input', function() {
+    assert.throws(() => Node.parseSexpr(), /expected a string/);
+    assert.throws(() => Node.parseSexpr(''), /expected "\(" at position 0, found end of input/);
+    assert.throws(() => Node.parseSexpr('(root (text "a")'), /expected "\)" at position 16/);
+    assert.throws(() => Node.parseSexpr('(root) (root)'), /expected end of input at position 7/);
+    assert.throws(() => Node.parseSexpr('(text a)'), /expected "\(", "\)" or ":" at position 6/);
+    assert.throws(() => Node.parseSexpr('(text :a)'), /expected a JSON value/);
+    assert.throws(() => Node.parseSexpr('(text :a {)'), SyntaxError);
+  });
+});
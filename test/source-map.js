@@ -0,0 +1,129 @@
+'use strict';
+
+require('mocha');
+const assert = require('assert');
+const Node = require('..');
+const { encode, decode } = require('../lib/source-map');
+
+/**
+ * Decode "mappings" into arrays of absolute
+ * `[generatedColumn, sourceIndex, originalLine, originalColumn]`
+ */
+
+function mappings(map) {
+  const state = [0, 0, 0];
+  return map.mappings.split(';').map(line => {
+    let column = 0;
+    return line ? line.split(',').map(segment => {
+      const [col, source, orig, origCol] = decode(segment);
+      column += col;
+      state[0] += source;
+      state[1] += orig;
+      state[2] += origCol;
+      return [column, ...state];
+    }) : [];
+  });
+}
+
+function parse(source) {
+  const root = new Node({ type: 'root' });
+  const regex = /[a-z]+|[{},*\n]/g;
+  let match;
+  while ((match = regex.exec(source))) {
+    root.push(Node.fromToken({ type: 'text', value: match[0], index: match.index }, source));
+  }
+  return root;
+}
+
+describe('source maps', function() {
+  describe('vlq', function() {
+    it('should encode numbers as base64 VLQs', function() {
+      assert.equal(encode(0), 'A');
+      assert.equal(encode(1), 'C');
+      assert.equal(encode(-1), 'D');
+      assert.equal(encode(15), 'e');
+      assert.equal(encode(16), 'gB');
+      assert.equal(encode(-1000), 'x+B');
+    });
+
+    it('should decode base64 VLQs', function() {
+      assert.deepEqual(decode('AACAgBx+B'), [0, 0, 1, 0, 16, -1000]);
+    });
+
+    it('should throw on invalid characters', function() {
+      assert.throws(() => decode('A!'), /invalid base64 VLQ/);
+    });
+  });
+
+  describe('.stringify', function() {
+    it('should skip null and undefined values', function() {
+      const node = new Node('root');
+      node.push(new Node('text', 'a'));
+      node.push(new Node('text'));
+      assert.equal(node.stringify(), 'a');
+      assert.equal(node.stringify(n => (n.value === 'a' ? null : n.value)), '');
+      assert.equal(node.stringify({ sourceMap: true }).code, 'a');
+    });
+
+    it('should return code and a map when options.sourceMap is true', function() {
+      const ast = parse('a{b,c}');
+      const res = ast.stringify({ sourceMap: true, file: 'out.txt', source: 'in.txt' });
+      assert.equal(res.code, 'a{b,c}');
+      assert.deepEqual(Object.keys(res.map), ['version', 'file', 'sources', 'names', 'mappings']);
+      assert.equal(res.map.version, 3);
+      assert.equal(res.map.file, 'out.txt');
+      assert.deepEqual(res.map.sources, ['in.txt']);
+      assert.deepEqual(res.map.names, []);
+      assert.equal(res.map.mappings, 'AAAA,CAAC,CAAC,CAAC,CAAC,CAAC');
+    });
+
+    it('should map output to the original locations', function() {
+      const ast = parse('ab{cd,\n*}');
+      const fn = node => {
+        if (node.value === '{') return '(';
+        if (node.value === '}') return ')';
+        if (node.value === ',') return '|';
+        if (node.value === '\n') return '';
+        if (node.value === '*') return '[^/]*';
+        return node.value;
+      };
+
+      const res = ast.stringify(fn, { sourceMap: true, source: 'in.txt' });
+      assert.equal(res.code, 'ab(cd|[^/]*)');
+      assert.deepEqual(mappings(res.map), [
+        [[0, 0, 0, 0], [2, 0, 0, 2], [3, 0, 0, 3], [5, 0, 0, 5], [6, 0, 1, 0], [11, 0, 1, 1]]
+      ]);
+    });
+
+    it('should track lines in the generated code', function() {
+      const ast = parse('a\nb,c');
+      const res = ast.stringify({ sourceMap: true });
+      assert.equal(res.code, 'a\nb,c');
+      assert.deepEqual(mappings(res.map), [
+        [[0, 0, 0, 0], [1, 0, 0, 1]],
+        [[0, 0, 1, 0], [1, 0, 1, 1], [2, 0, 1, 2]]
+      ]);
+    });
+
+    it('should skip nodes without a loc', function() {
+      const ast = parse('a,b');
+      ast.nodes[1].loc = undefined;
+      const res = ast.stringify({ sourceMap: true });
+      assert.deepEqual(mappings(res.map), [[[0, 0, 0, 0], [2, 0, 0, 2]]]);
+    });
+
+    it('should embed the source content', function() {
+      const ast = parse('a,b');
+      const res = ast.stringify({ sourceMap: true, source: 'in.txt', sourceContent: 'a,b' });
+      assert.deepEqual(res.map.sourcesContent, ['a,b']);
+    });
+
+    it('should use loc.source as the source name', function() {
+      const ast = parse('a,b');
+      ast.nodes[2].loc.source = 'other.txt';
+      const res = ast.stringify({ sourceMap: true, source: 'in.txt' });
+      assert.deepEqual(res.map.sources, ['in.txt', 'other.txt']);
+      assert.deepEqual(mappings(res.map), [[[0, 0, 0, 0], [1, 0, 0, 1], [2, 1, 0, 2]]]);
+    });
+  });
+});
@@ -126,6 +126,12 @@ describe('snapdragon-node', function() {
       assert.equal(node.baz, 'qux');
     });
 
+    it('should create child nodes with the same constructor', function() {
+      let node = new Node({ type: 'brace', nodes: [{ type: 'text', value: 'a' }] });
+      assert(node.nodes[0] instanceof Node);
+      assert.equal(node.nodes[0].parent, node);
+    });
+
     it('should not extend existing getter properties onto a node', function() {
       let node = new Node({ type: 'foo', value: 'bar', index: 11 });
       assert.equal(node.index, -1);
@@ -137,6 +143,12 @@ describe('snapdragon-node', function() {
       assert(ast.isType('root'));
       assert(ast.last.isType('eos'));
     });
+
+    it('should return true if the node is one of the given types', function() {
+      assert(ast.isType(['foo', 'root']));
+      assert(ast.isType(/^ro/));
+      assert(!ast.isType(['foo', 'bar']));
+    });
   });
 
   describe('.hasType', function() {
@@ -0,0 +1,144 @@
+'use strict';
+
+require('mocha');
+const assert = require('assert');
+const Node = require('..');
+
+/**
+ * Parse `{a,b}` braces and words, and return the tree and the
+ * whitespace and comment tokens that were skipped.
+ */
+
+function parse(source) {
+  const regex = /(\s+)|(\/\/[^\n]*)|([{}])|(,)|(\w+)/g;
+  const root = new Node({ type: 'root', nodes: [] });
+  const trivia = [];
+  let parent = root;
+  let match;
+
+  while ((match = regex.exec(source))) {
+    const token = { value: match[0], index: match.index };
+    if (match[1] || match[2]) {
+      trivia.push(Object.assign(token, { type: match[1] ? 'space' : 'comment' }));
+    } else if (match[3] === '{') {
+      const brace = new Node({ type: 'brace', nodes: [] });
+      parent.push(brace);
+      brace.push(Node.fromToken(Object.assign(token, { type: 'open' }), source));
+      parent = brace;
+    } else if (match[3] === '}') {
+      parent.push(Node.fromToken(Object.assign(token, { type: 'close' }), source));
+      parent = parent.parent;
+    } else {
+      parent.push(Node.fromToken(Object.assign(token, { type: match[4] ? 'comma' : 'text' }), source));
+    }
+  }
+  return { ast: root, trivia };
+}
+
+describe('trivia', function() {
+  const source = '  {a ,  b} // c\n\n  d  \n';
+  let ast;
+  let tokens;
+
+  beforeEach(function() {
+    ({ ast, trivia: tokens } = parse(source));
+    Node.attachTrivia(ast, tokens, source);
+  });
+
+  it('should attach trivia to leaf nodes', function() {
+    const [open, a, comma, b, close] = ast.nodes[0].nodes;
+    const d = ast.nodes[1];
+    assert.deepEqual(open.leadingTrivia, [{ type: 'space', value: '  ' }]);
+    assert.equal(open.trailingTrivia, undefined);
+    assert.deepEqual(a.trailingTrivia, [{ type: 'space', value: ' ' }]);
+    assert.deepEqual(comma.trailingTrivia, [{ type: 'space', value: '  ' }]);
+    assert.equal(b.leadingTrivia, undefined);
+    assert.deepEqual(close.trailingTrivia, [{ type: 'space', value: ' ' }, { type: 'comment', value: '// c' }, { type: 'space', value: '\n\n  ' }]);
+    assert.equal(d.leadingTrivia, undefined);
+    assert.deepEqual(d.trailingTrivia, [{ type: 'space', value: '  \n' }]);
+    assert.equal(ast.nodes[0].leadingTrivia, undefined);
+  });
+
+  it('should add trivia after a newline to the next leaf', function() {
+    const src = 'a\n  // b\n  c';
+    const res = parse(src);
+    Node.attachTrivia(res.ast, res.trivia, src);
+    assert.deepEqual(res.ast.nodes[0].trailingTrivia, [{ type: 'space', value: '\n  ' }]);
+    assert.deepEqual(res.ast.nodes[1].leadingTrivia, [{ type: 'comment', value: '// b' }, { type: 'space', value: '\n  ' }]);
+  });
+
+  it('should print the source exactly with options.trivia', function() {
+    assert.equal(ast.stringify(), '{a,b}d');
+    assert.equal(ast.stringify({ trivia: true }), source);
+  });
+
+  it('should add trivia to the code of source maps', function() {
+    const res = ast.stringify({ sourceMap: true, trivia: true });
+    assert.equal(res.code, source);
+    assert.equal(res.map.mappings, 'EAAE,CAAC,EAAE,GAAG,CAAC;;EAEP');
+    assert.equal(ast.stringify({ sourceMap: true }).code, '{a,b}d');
+  });
+
+  it('should print changed and new nodes with their values', function() {
+    const text = ast.query('text');
+    text.value = 'x';
+    ast.nodes[0].insertAfter(new Node('text', 'y'));
+    assert.equal(ast.stringify({ trivia: true }), '  {x ,  b} // c\n\n  yd  \n');
+    assert.equal(ast.stringify(node => node.value && node.value.toUpperCase(), { trivia: true }), '  {X ,  b} // c\n\n  Yd  \n');
+  });
+
+  it('should print the source text of unchanged leaves', function() {
+    const src = '{a}';
+    const res = parse(src);
+    Node.attachTrivia(res.ast, res.trivia, src);
+    res.ast.query('text').value = 'a';
+    res.ast.query('open').value = '(';
+    assert.equal(res.ast.stringify({ trivia: true }), '(a}');
+    res.ast.query('open').value = '{';
+    assert.equal(res.ast.stringify({ trivia: true }), '{a}');
+  });
+
+  it('should print trailing trivia of a node after its child nodes', function() {
+    const node = Node.parseSexpr('(root (brace (text "a")) (text "b"))');
+    node.nodes[0].leadingTrivia = [{ type: 'space', value: '<' }];
+    node.nodes[0].trailingTrivia = [{ type: 'space', value: '>' }];
+    assert.equal(node.stringify({ trivia: true }), '<a>b');
+  });
+
+  it('should use the values of tokens and leaves when source is not given', function() {
+    const res = parse(source);
+    Node.attachTrivia(res.ast, res.trivia);
+    const [open, a, comma, b, close] = res.ast.nodes[0].nodes;
+    assert.deepEqual(open.leadingTrivia, [{ type: 'space', value: '  ' }]);
+    assert.deepEqual(a.trailingTrivia, [{ type: 'space', value: ' ' }]);
+    assert.deepEqual(comma.trailingTrivia, [{ type: 'space', value: '  ' }]);
+    assert.equal(b.leadingTrivia, undefined);
+    assert.deepEqual(close.trailingTrivia, [{ type: 'space', value: ' ' }, { type: 'comment', value: '// c' }, { type: 'space', value: '\n\n  ' }]);
+    assert.deepEqual(res.ast.nodes[1].trailingTrivia, [{ type: 'space', value: '  \n' }]);
+    assert.equal(res.ast.stringify({ trivia: true }), source);
+
+    const src = 'a\n  // b\n  c';
+    const other = parse(src);
+    Node.attachTrivia(other.ast, other.trivia);
+    assert.deepEqual(other.ast.nodes[1].leadingTrivia, [{ type: 'comment', value: '// b' }, { type: 'space', value: '\n  ' }]);
+    assert.equal(other.ast.stringify({ trivia: true }), src);
+  });
+
+  it('should attach trivia to the tree when there are no leaves', function() {
+    const tree = new Node('root');
+    Node.attachTrivia(tree, [{ type: 'space', value: '  ', index: 0 }], '  ');
+    assert.deepEqual(tree.leadingTrivia, [{ type: 'space', value: '  ' }]);
+    assert.equal(tree.stringify({ trivia: true }), '  ');
+  });
+
+  it('should replace trivia when it is attached again', function() {
+    Node.attachTrivia(ast, [], source);
+    assert.equal(ast.stringify({ trivia: true }), '{a,b}d');
+  });
+
+  it('should throw on invalid arguments', function() {
+    assert.throws(() => Node.attachTrivia({}, [], ''), /expected tree to be an instance of Node/);
+    assert.throws(() => Node.attachTrivia(ast, null, ''), /expected tokens to be an array/);
+    assert.throws(() => Node.attachTrivia(ast, [], 1), /expected source to be a string/);
+  });
+});
@@ -0,0 +1,159 @@
+'use strict';
+
+require('mocha');
+const assert = require('assert');
+const Node = require('..');
+let Sub;
+
+describe('types', function() {
+  beforeEach(function() {
+    Sub = class extends Node {};
+    Sub.defineType('root', { children: ['text', 'brace', 'comma'] });
+    Sub.defineType('text', { fields: { value: 'string' }, children: false });
+    Sub.defineType('comma', { fields: { value: { type: 'string', validate: v => v === ',' } }, children: false });
+    Sub.defineType('brace', {
+      fields: {
+        escaped: { type: 'boolean', optional: true },
+        open: { type: ['string', 'number'], optional: true }
+      },
+      children: ['text', 'comma', 'brace']
+    });
+  });
+
+  describe('Node.defineType', function() {
+    it('should return the class', function() {
+      class Foo extends Node {}
+      assert.equal(Foo.defineType('foo'), Foo);
+    });
+
+    it('should throw when a type is already defined', function() {
+      assert.throws(() => Sub.defineType('text', {}), /node type "text" is already defined/);
+    });
+
+    it('should throw on invalid definitions', function() {
+      assert.throws(() => Sub.defineType(''), /expected type to be a non-empty string/);
+      assert.throws(() => Sub.defineType('a', null), /expected type definition/);
+      assert.throws(() => Sub.defineType('a', { fields: { value: 'str' } }), /unsupported kind "str"/);
+      assert.throws(() => Sub.defineType('a', { fields: { value: 1 } }), /expected field "value"/);
+      assert.throws(() => Sub.defineType('a', { children: 'text' }), /expected "children"/);
+      assert.throws(() => Sub.defineType('a', { builder: 'value' }), /expected "builder"/);
+    });
+
+    it('should inherit types from parent classes', function() {
+      class Child extends Sub {}
+      assert.deepEqual(new Child('text', 'a').validate(), []);
+      assert.deepEqual(new Node('text', 'a').validate().map(v => v.message), ['unknown node type "text"']);
+    });
+  });
+
+  describe('.validate', function() {
+    it('should return an empty array when nodes are valid', function() {
+      const ast = new Sub({
+        type: 'root',
+        nodes: [
+          { type: 'text', value: 'a' },
+          { type: 'brace', escaped: true, nodes: [{ type: 'text', value: 'b' }, { type: 'comma', value: ',' }] }
+        ]
+      });
+      assert.deepEqual(ast.validate(), []);
+      assert.deepEqual(Sub.validate(ast), []);
+    });
+
+    it('should report unknown types with their path', function() {
+      const ast = new Sub({
+        type: 'root',
+        nodes: [{ type: 'text', value: 'a' }, { type: 'brce', nodes: [{ type: 'txt', value: 'b' }] }]
+      });
+
+      const violations = ast.validate();
+      assert.deepEqual(violations.map(v => [v.path, v.message]), [
+        ['nodes[1]', 'node type "brce" is not allowed in "root"'],
+        ['nodes[1]', 'unknown node type "brce"'],
+        ['nodes[1].nodes[0]', 'unknown node type "txt"']
+      ]);
+      assert.equal(violations[1].node, ast.nodes[1]);
+    });
+
+    it('should report invalid fields', function() {
+      const ast = new Sub({
+        type: 'root',
+        nodes: [
+          { type: 'text' },
+          { type: 'text', value: 1 },
+          { type: 'comma', value: ';' },
+          { type: 'brace', escaped: 'yes', open: 1 }
+        ]
+      });
+      assert.deepEqual(ast.validate().map(v => [v.path, v.message]), [
+        ['nodes[0]', 'missing required field "value"'],
+        ['nodes[1]', 'expected field "value" to be string, got number'],
+        ['nodes[2]', 'invalid value for field "value"'],
+        ['nodes[3]', 'expected field "escaped" to be boolean, got string']
+      ]);
+    });
+
+    it('should use messages returned by field validators', function() {
+      class Foo extends Node {}
+      Foo.defineType('foo', { fields: { value: { validate: v => v === 'a' || 'expected "a"' } } });
+      assert.deepEqual(new Foo('foo', 'b').validate().map(v => v.message), ['expected "a"']);
+      assert.deepEqual(new Foo('foo', 'a').validate(), []);
+    });
+
+    it('should report child nodes that are not allowed', function() {
+      const ast = new Sub({
+        type: 'root',
+        nodes: [{ type: 'text', value: 'a', nodes: [{ type: 'text', value: 'b' }] }]
+      });
+      assert.deepEqual(ast.validate().map(v => [v.path, v.message]), [
+        ['nodes[0].nodes[0]', 'nodes of type "text" cannot have child nodes']
+      ]);
+    });
+
+    it('should throw when the tree is not a node', function() {
+      assert.throws(() => Sub.validate({}), /expected tree to be an instance of Node/);
+    });
+  });
+
+  describe('strict mode', function() {
+    beforeEach(function() {
+      Sub.strict = true;
+    });
+
+    it('should create valid nodes', function() {
+      const node = new Sub({ type: 'brace', nodes: [{ type: 'text', value: 'a' }] });
+      assert.equal(node.nodes[0].value, 'a');
+    });
+
+    it('should throw when invalid nodes are created', function() {
+      assert.throws(() => new Sub({ type: 'brce' }), /unknown node type "brce"/);
+      assert.throws(() => new Sub('text'), /missing required field "value"/);
+      assert.throws(() => new Sub({ type: 'brace', nodes: [{ type: 'comma', value: ';' }] }), /invalid value/);
+    });
+
+    it('should add violations to the error', function() {
+      try {
+        const node = new Sub({ type: 'brace', nodes: [{ type: 'root' }] });
+        assert.fail('expected an error, got ' + node.type);
+      } catch (err) {
+        assert(err instanceof TypeError);
+        assert.equal(err.message, 'nodes[0]: node type "root" is not allowed in "brace"');
+        assert.equal(err.violations.length, 1);
+      }
+    });
+
+    it('should throw when nodes that are not allowed are pushed or unshifted', function() {
+      const brace = new Sub({ type: 'brace' });
+      const text = new Sub('text', 'a');
+      brace.push(text);
+      assert.throws(() => brace.push(new Sub({ type: 'root' })), /node type "root" is not allowed in "brace"/);
+      assert.throws(() => brace.unshift({ type: 'text', value: 1 }), /expected field "value" to be string/);
+      assert.throws(() => text.push(new Sub('text', 'b')), /cannot have child nodes/);
+      assert.equal(brace.nodes.length, 1);
+    });
+
+    it('should not affect other classes', function() {
+      assert.equal(Node.strict, false);
+      assert.doesNotThrow(() => new Node({ type: 'brce' }));
+    });
+  });
+});
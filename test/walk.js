@@ -0,0 +1,268 @@
+'use strict';
+
+require('mocha');
+const assert = require('assert');
+const Node = require('..');
+let ast;
+
+function text(value) {
+  return new Node({ type: 'text', value });
+}
+
+describe('.walk', function() {
+  beforeEach(function() {
+    ast = new Node({ type: 'root' });
+    const brace = new Node({ type: 'brace' });
+    brace.push(text('a'));
+    brace.push(new Node({ type: 'comma', value: ',' }));
+    brace.push(text('b'));
+    ast.push(text('x'));
+    ast.push(brace);
+    ast.push(new Node({ type: 'star', value: '*' }));
+  });
+
+  it('should call enter in pre-order and leave in post-order', function() {
+    const events = [];
+    ast.walk({
+      enter(node) {
+        events.push('enter:' + node.type);
+      },
+      leave(node) {
+        events.push('leave:' + node.type);
+      }
+    });
+
+    assert.deepEqual(events, [
+      'enter:root',
+      'enter:text',
+      'leave:text',
+      'enter:brace',
+      'enter:text',
+      'leave:text',
+      'enter:comma',
+      'leave:comma',
+      'enter:text',
+      'leave:text',
+      'leave:brace',
+      'enter:star',
+      'leave:star',
+      'leave:root'
+    ]);
+  });
+
+  it('should use a function as the enter callback', function() {
+    const types = [];
+    ast.walk(node => types.push(node.type));
+    assert.deepEqual(types, ['root', 'text', 'brace', 'text', 'comma', 'text', 'star']);
+  });
+
+  it('should pass the parent and index on the context', function() {
+    const seen = [];
+    ast.walk((node, ctx) => {
+      seen.push([node.type, ctx.parent && ctx.parent.type, ctx.index]);
+    });
+    assert.deepEqual(seen[0], ['root', null, -1]);
+    assert.deepEqual(seen[2], ['brace', 'root', 1]);
+    assert.deepEqual(seen[4], ['comma', 'brace', 1]);
+  });
+
+  it('should skip the children of a node', function() {
+    const types = [];
+    ast.walk({
+      enter(node, ctx) {
+        types.push(node.type);
+        if (node.type === 'brace') ctx.skip();
+      },
+      leave(node) {
+        if (node.type === 'brace') types.push('leave:brace');
+      }
+    });
+    assert.deepEqual(types, ['root', 'text', 'brace', 'leave:brace', 'star']);
+  });
+
+  it('should stop walking', function() {
+    const types = [];
+    ast.walk({
+      enter(node, ctx) {
+        types.push(node.type);
+        if (node.type === 'comma') ctx.stop();
+      },
+      leave(node) {
+        types.push('leave:' + node.type);
+      }
+    });
+    assert.deepEqual(types, ['root', 'text', 'leave:text', 'brace', 'text', 'leave:text', 'comma']);
+  });
+
+  it('should remove nodes without skipping siblings', function() {
+    const types = [];
+    ast.walk((node, ctx) => {
+      types.push(node.type);
+      if (node.type === 'text') ctx.remove();
+    });
+
+    assert.deepEqual(types, ['root', 'text', 'brace', 'text', 'comma', 'text', 'star']);
+    assert.deepEqual(ast.nodes.map(n => n.type), ['brace', 'star']);
+    assert.deepEqual(ast.nodes[0].nodes.map(n => n.type), ['comma']);
+    assert.equal(ast.size, 2);
+    assert.equal(ast.nodes[0].size, 1);
+    assert.equal(ast.nodes[1].index, 1);
+  });
+
+  it('should replace nodes and visit the children of the replacement', function() {
+    const types = [];
+    const brace = ast.nodes[1];
+    ast.walk((node, ctx) => {
+      types.push(node.type);
+      if (node.type === 'brace') {
+        ctx.replace({ type: 'paren', nodes: [{ type: 'text', value: 'y' }] });
+      }
+    });
+
+    const paren = ast.nodes[1];
+    assert.deepEqual(types, ['root', 'text', 'brace', 'text', 'star']);
+    assert(paren instanceof Node);
+    assert.equal(paren.type, 'paren');
+    assert.equal(paren.parent, ast);
+    assert.equal(paren.index, 1);
+    assert.equal(paren.nodes[0].parent, paren);
+    assert.equal(brace.parent, null);
+    assert.equal(ast.size, 3);
+  });
+
+  it('should replace nodes in leave', function() {
+    ast.walk({
+      leave(node, ctx) {
+        if (node.type === 'text') ctx.replace(text(node.value.toUpperCase()));
+      }
+    });
+    assert.equal(ast.stringify(n => n.value || ''), 'XA,B*');
+  });
+
+  it('should return the replacement when the root is replaced', function() {
+    const res = ast.walk((node, ctx) => ctx.replace({ type: 'other' }));
+    assert.equal(res.type, 'other');
+  });
+
+  it('should return null when the root is removed', function() {
+    assert.equal(ast.walk((node, ctx) => ctx.remove()), null);
+  });
+
+  it('should visit nodes inserted after the current node', function() {
+    const types = [];
+    ast.walk((node, ctx) => {
+      types.push(node.type);
+      if (node.type === 'star') ctx.parent.push(text('z'));
+    });
+    assert.deepEqual(types.slice(-2), ['star', 'text']);
+  });
+
+  it('should throw when the visitor is invalid', function() {
+    assert.throws(() => ast.walk('foo'), /expected visitor/);
+  });
+});
+
+describe('.visit', function() {
+  it('should visit nodes in pre-order', function() {
+    const node = new Node({ type: 'a' });
+    node.push(new Node({ type: 'b', nodes: [{ type: 'c' }] }));
+    node.push(new Node({ type: 'd' }));
+
+    const types = [];
+    assert.equal(node.visit(n => types.push(n.type)), node);
+    assert.deepEqual(types, ['a', 'b', 'c', 'd']);
+  });
+
+  describe('visitor maps', function() {
+    let tree;
+
+    beforeEach(function() {
+      tree = new Node({ type: 'root' });
+      const brace = new Node({ type: 'brace' });
+      brace.push(text('a'));
+      brace.push(new Node({ type: 'slash', value: '/' }));
+      brace.push(new Node({ type: 'star', value: '*' }));
+      tree.push(brace);
+      tree.push(new Node({ type: 'comma', value: ',' }));
+    });
+
+    it('should call functions keyed by node type', function() {
+      const seen = [];
+      tree.visit({
+        star: node => seen.push('star:' + node.value),
+        text: node => seen.push('text:' + node.value)
+      });
+      assert.deepEqual(seen, ['text:a', 'star:*']);
+    });
+
+    it('should support lists of types separated by a pipe', function() {
+      const seen = [];
+      tree.visit({ 'text|slash': node => seen.push(node.type) });
+      assert.deepEqual(seen, ['text', 'slash']);
+    });
+
+    it('should support regex keys', function() {
+      const seen = [];
+      tree.visit({ '/^(s|c)/': node => seen.push(node.type) });
+      assert.deepEqual(seen, ['slash', 'star', 'comma']);
+    });
+
+    it('should call the "*" handler on nodes no other key matches', function() {
+      const seen = [];
+      tree.visit({
+        star() {},
+        '*': node => seen.push(node.type)
+      });
+      assert.deepEqual(seen, ['root', 'brace', 'text', 'slash', 'comma']);
+    });
+
+    it('should support enter and leave handlers for each key', function() {
+      const seen = [];
+      tree.visit({
+        brace: {
+          enter: () => seen.push('enter:brace'),
+          leave: () => seen.push('leave:brace')
+        },
+        star: { leave: () => seen.push('leave:star') }
+      });
+      assert.deepEqual(seen, ['enter:brace', 'leave:star', 'leave:brace']);
+    });
+
+    it('should pass the walk context to handlers', function() {
+      tree.walk({
+        brace(node, ctx) {
+          ctx.replace({ type: 'text', value: 'x' });
+        }
+      });
+      assert.deepEqual(tree.nodes.map(n => n.type), ['text', 'comma']);
+    });
+
+    it('should merge visitors into a single visitor', function() {
+      const seen = [];
+      const a = { star: () => seen.push('a:star') };
+      const b = { 'star|text': () => seen.push('b') };
+      const c = node => seen.push('c:' + node.type);
+      tree.visit(Node.mergeVisitors(a, b, c));
+      assert.deepEqual(seen, [
+        'c:root',
+        'c:brace',
+        'b',
+        'c:text',
+        'c:slash',
+        'a:star',
+        'b',
+        'c:star',
+        'c:comma'
+      ]);
+    });
+
+    it('should stop calling merged visitors when a node is removed', function() {
+      const seen = [];
+      const a = { comma: (node, ctx) => ctx.remove() };
+      const b = { comma: () => seen.push('comma') };
+      tree.visit(Node.mergeVisitors(a, b));
+      assert.deepEqual(seen, []);
+      assert.equal(tree.nodes.length, 1);
+    });
+  });
+});